@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { datumPlanNode } = require('../src-cjs/constants.js');
+const datumPlan = require('../datum-plan.js');
+
+const USAGE = `\
+Usage: datum-plan-types [options] <module> [<export>[=<TypeName>]...]
+
+Loads <module> (CommonJS or ES) and writes TypeScript declarations for the
+datum plans it exports: for each plan, a type for the data it describes and
+a type (with 'Plan' appended to the name) for the plan's lenses.
+
+Each <export> selects an export of <module> to declare (default: every
+export that is a datum plan).  Unless given as <TypeName>, the type name is
+the export name in PascalCase (e.g. '$order' and 'order_record' become
+'Order' and 'OrderRecord'); the default export (or a CommonJS module that
+is itself a plan) is named after the module file.
+
+Options:
+  -o, --output <file>   Write the declarations to <file> instead of standard
+                        output
+  -h, --help            Write this help and exit
+`;
+
+class UsageError extends Error {}
+
+/**
+ * @summary Run the command line tool
+ * @param {Array.<string>} args  Command line arguments (excluding the Node executable and script)
+ * @param {Object} [io]
+ * @param {stream.Writable} [io.stdout=process.stdout]  Stream to which declarations are written
+ * @param {stream.Writable} [io.stderr=process.stderr]  Stream to which errors are written
+ * @returns {Promise.<number>}  The exit code for the process
+ */
+async function main(args, {
+  stdout = process.stdout,
+  stderr = process.stderr,
+} = {}) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    stderr.write(`datum-plan-types: ${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  let declarations;
+  try {
+    const moduleExports = await loadModule(options.module);
+    declarations = datumPlan.typeDeclarations(selectPlans(moduleExports, options));
+  } catch (e) {
+    stderr.write(`datum-plan-types: ${e.message}\n`);
+    return 1;
+  }
+
+  if (options.output) {
+    await fs.promises.writeFile(options.output, declarations);
+  } else {
+    stdout.write(declarations);
+  }
+  return 0;
+}
+module.exports.main = main;
+
+function parseArgs(args) {
+  const options = {help: false, output: null}, positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      positional.push(...args.slice(i + 1));
+      break;
+    } else if (arg === '-o' || arg === '--output') {
+      if (i + 1 >= args.length) {
+        throw new UsageError(`'${arg}' requires a file name`);
+      }
+      options.output = args[++i];
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new UsageError(`unknown option '${arg}'`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  if (options.help) {
+    return options;
+  }
+
+  const [module, ...exportSpecs] = positional;
+  if (!module) {
+    throw new UsageError("no module given");
+  }
+  return Object.assign(options, {
+    module,
+    exports: exportSpecs.map(spec => {
+      const [exportName, typeName] = spec.split('=');
+      return {exportName, typeName};
+    }),
+  });
+}
+
+async function loadModule(modulePath) {
+  const resolved = path.resolve(modulePath);
+  if (!/\.mjs$/.test(resolved)) {
+    try {
+      const moduleExports = require(resolved);
+      return isPlan(moduleExports) ? {default: moduleExports} : moduleExports;
+    } catch (e) {
+      if (e.code !== 'ERR_REQUIRE_ESM') throw e;
+    }
+  }
+  return import(pathToFileURL(resolved).href);
+}
+
+function selectPlans(moduleExports, {module, exports}) {
+  const selected = (exports.length > 0)
+    ? exports
+    : Object.keys(moduleExports)
+      .filter(exportName => isPlan(moduleExports[exportName]))
+      .map(exportName => ({exportName}));
+  if (selected.length === 0) {
+    throw new Error(`${module} exports no datum plans`);
+  }
+
+  const plans = {};
+  selected.forEach(({exportName, typeName}) => {
+    const plan = moduleExports[exportName];
+    if (!isPlan(plan)) {
+      throw new Error(`export '${exportName}' of ${module} is not a datum plan`);
+    }
+    const name = typeName || defaultTypeName(exportName === 'default'
+      ? path.basename(module).replace(/\.[^.]*$/, '')
+      : exportName
+    );
+    if (name in plans) {
+      throw new Error(`more than one plan would declare type '${name}'`);
+    }
+    plans[name] = plan;
+  });
+  return plans;
+}
+
+function defaultTypeName(name) {
+  const words = name.replace(/^\$+/, '').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const typeName = words.map(w => w[0].toUpperCase() + w.slice(1)).join('');
+  return /^[0-9]/.test(typeName) ? '_' + typeName : typeName;
+}
+
+function isPlan(value) {
+  return Boolean(value) && (typeof value === 'object' || typeof value === 'function') &&
+    Boolean(value[datumPlanNode]);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (err) => {
+      console.error(err);
+      process.exitCode = 1;
+    }
+  );
+}
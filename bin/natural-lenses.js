@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const lens = require('../index.js');
+const A = require('../sugar.js');
+
+const USAGE = `\
+Usage: natural-lenses [options] <command> <path> [<argument>] [<file>...]
+
+Reads JSON from each <file> (or from standard input if no file is given),
+applies <command> to the slot selected by the JSONPath-like <path> (as
+written for natural-lenses/sugar, e.g. '$.orders[0].items[*].sku'), and
+writes the resulting JSON to standard output.
+
+Commands:
+  get <path>            Write the value of the slot (an Array of the values
+                        if <path> selects multiple slots)
+  set <path> <json>     Write the input with the slot set to <json>
+  delete <path>         Write the input without the slot (later elements
+                        of an Array shift to fill a removed element's place)
+  map <path> <expr>     Write the input with the slot's value replaced by
+                        the JavaScript expression <expr>, in which 'value'
+                        is the current value
+
+Options:
+  -c, --compact         Write JSON without indentation
+  -r, --raw             Write string results of 'get' without JSON quoting
+  -h, --help            Write this help and exit
+`;
+
+const COMMANDS = {
+  get: {run: getSlot},
+  set: {run: setSlot, prepareArg: parseJsonArg},
+  delete: {run: deleteSlot},
+  map: {run: mapSlot, prepareArg: compileExpressionArg},
+};
+
+class UsageError extends Error {}
+
+/**
+ * @summary Run the command line tool
+ * @param {Array.<string>} args  Command line arguments (excluding the Node executable and script)
+ * @param {Object} [io]
+ * @param {stream.Readable} [io.stdin=process.stdin]  Stream from which to read input when no files are given
+ * @param {stream.Writable} [io.stdout=process.stdout]  Stream to which results are written
+ * @param {stream.Writable} [io.stderr=process.stderr]  Stream to which errors are written
+ * @returns {Promise.<number>}  The exit code for the process
+ */
+async function main(args, {
+  stdin = process.stdin,
+  stdout = process.stdout,
+  stderr = process.stderr,
+} = {}) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    stderr.write(`natural-lenses: ${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  let optic, commandArg;
+  try {
+    optic = parsePath(options.path);
+    commandArg = options.command.prepareArg && options.command.prepareArg(options.commandArg);
+  } catch (e) {
+    stderr.write(`natural-lenses: ${e.message}\n`);
+    return 2;
+  }
+
+  const inputs = options.files.length > 0
+    ? options.files.map(file => ({name: file, read: () => fs.promises.readFile(file, 'utf8')}))
+    : [{name: '<stdin>', read: () => readStream(stdin)}];
+
+  let exitCode = 0;
+  for (const input of inputs) {
+    let subject;
+    try {
+      subject = JSON.parse(await input.read());
+    } catch (e) {
+      stderr.write(`natural-lenses: ${input.name}: ${e.message}\n`);
+      exitCode = 2;
+      continue;
+    }
+    let result;
+    try {
+      result = options.command.run(optic, subject, commandArg);
+    } catch (e) {
+      result = {error: e.message};
+    }
+    if ('just' in result) {
+      stdout.write(formatOutput(result.just, options) + '\n');
+    } else {
+      stderr.write(`natural-lenses: ${input.name}: ${result.error}\n`);
+      exitCode = Math.max(exitCode, 1);
+    }
+  }
+  return exitCode;
+}
+module.exports.main = main;
+
+function parseArgs(args) {
+  const options = {compact: false, raw: false, help: false}, positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      positional.push(...args.slice(i + 1));
+      break;
+    } else if (arg === '-c' || arg === '--compact') {
+      options.compact = true;
+    } else if (arg === '-r' || arg === '--raw') {
+      options.raw = true;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new UsageError(`unknown option '${arg}'`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  if (options.help) {
+    return options;
+  }
+
+  const [commandName, path, ...rest] = positional;
+  if (!commandName) {
+    throw new UsageError("no command given");
+  }
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, commandName)) {
+    throw new UsageError(`unknown command '${commandName}'`);
+  }
+  if (path === undefined) {
+    throw new UsageError(`no path given for '${commandName}'`);
+  }
+  const command = COMMANDS[commandName], argCount = command.prepareArg ? 1 : 0;
+  if (rest.length < argCount) {
+    throw new UsageError(`'${commandName}' requires an argument after the path`);
+  }
+  return Object.assign(options, {
+    command,
+    path,
+    commandArg: rest[0],
+    files: rest.slice(argCount),
+  });
+}
+
+function parseJsonArg(json) {
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    throw new Error(`invalid JSON for 'set': ${e.message}`);
+  }
+}
+
+function compileExpressionArg(expr) {
+  try {
+    return new Function('value', `'use strict'; return (${expr});`);
+  } catch (e) {
+    throw new Error(`invalid expression for 'map': ${e.message}`);
+  }
+}
+
+function parsePath(path) {
+  const stringParts = [path];
+  stringParts.raw = [path];
+  return A(stringParts);
+}
+
+function getSlot(optic, subject) {
+  if (typeof optic.getAll === 'function') {
+    return {just: optic.getAll(subject)};
+  }
+  const value_maybe = optic.get_maybe(subject);
+  return ('just' in value_maybe) ? value_maybe : {error: optic.explain(subject).message};
+}
+
+function setSlot(optic, subject, value) {
+  return {just: isRoot(optic) ? value : optic.setInClone(subject, value)};
+}
+
+function deleteSlot(optic, subject) {
+  if (isRoot(optic)) {
+    return {error: "cannot delete the input itself"};
+  }
+  const lastKey = Array.isArray(optic.keys) ? optic.keys[optic.keys.length - 1] : undefined;
+  if (typeof lastKey === 'number') {
+    // Deleting an element would leave a hole, which JSON writes as null
+    const sequenceLens = lens(...optic.keys.slice(0, -1));
+    if (Array.isArray(sequenceLens.get(subject))) {
+      return {just: sequenceLens.removeInClone(subject, lastKey)};
+    }
+  }
+  return {just: optic.deleteInClone(subject)};
+}
+
+function mapSlot(optic, subject, fn) {
+  return {just: isRoot(optic) ? fn(subject) : optic.xformInClone(subject, fn)};
+}
+
+function isRoot(optic) {
+  return Array.isArray(optic.keys) && optic.keys.length === 0;
+}
+
+function formatOutput(value, {compact, raw}) {
+  if (raw && typeof value === 'string') {
+    return value;
+  }
+  const json = JSON.stringify(value, null, compact ? undefined : 2);
+  // JSON has no representation for undefined (e.g. from a 'map' expression)
+  return json === undefined ? 'null' : json;
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (err) => {
+      console.error(err);
+      process.exitCode = 1;
+    }
+  );
+}
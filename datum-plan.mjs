@@ -8,4 +8,4 @@ const cjsExports = makeExports({
 });
 
 export default cjsExports;
-export const { value, others, raw, fromPOD } = cjsExports;
+export const { value, others, raw, fromJSONSchema, fromPOD, toJSONSchema, typeDeclarations } = cjsExports;
@@ -1,5 +1,6 @@
 import fusion from './esm/fusion.js';
 import Lens from './esm/lens.js';
 import OpticArray from './esm/optic_array.js';
+import Traversal from './esm/traversal.js';
 
-export default fusion({ Lens, OpticArray });
+export default fusion({ Lens, OpticArray, Traversal });
@@ -4,6 +4,7 @@ const Errors = require('./cjs/errors');
 const fusion = require('./cjs/fusion').default;
 const Lens = require('./cjs/lens').default;
 const { set: setLogger, enableAsync: asyncLogging } = require('./cjs/logger');
+const { parsePointer } = require('./cjs/json_pointer');
 const { eachFound, maybeDo } = require('./cjs/utils');
 
 let fuse = null;
@@ -50,18 +51,28 @@ let fuse = null;
  * @param {...*} key  A name or index to use in successive subscripting (i.e. square bracket) operations
  * @returns {Lens}  The constructed lens
  *
+ * @property {Function} applyPatch          [Documentation]{@link module:natural-lenses#applyPatch}
  * @property {Function} asyncLogging        [Documentation]{@link module:natural-lenses#asyncLogging}
  * @property {symbol}   at_maybe            Key for method implementing retrieval from a container
+ * @property {Function} batch               [Documentation]{@link module:natural-lenses#batch}
+ * @property {Function} checkLensLaws       [Documentation]{@link module:natural-lenses#checkLensLaws}
  * @property {symbol}   clone               Key for method implementing cloning of a container with modifications
+ * @property {Function} dataViewField       [Construct]{@link module:natural-lenses#dataViewField} a Step for a DataView field
  * @property {Function} eachFound           [Documentation]{@link module:natural-lenses#eachFound}
  * @property {Function} Factory             [Class]{@link Factory} for customized lens creation
+ * @property {Function} fromPointer         [Documentation]{@link module:natural-lenses#fromPointer}
  * @property {Function} fuse                [Documentation]{@link module:natural-lenses#fuse}
+ * @property {Function} iso                 [Construct]{@link module:natural-lenses#iso} an isomorphism optic
  * @property {symbol}   isLens              Key for testing objects for "lens-ness"
  * @property {Function} JsContainerFactory  [Class]{@link JsContainerFactory} for customized container creation
  * @property {Object}   jsContainers        {@link JsContainerFactory} for standard JavaScript containers (Map and Array)
+ * @property {Function} Maybe               [Class]{@link Maybe} of Maybe monad values with methods for using them
  * @property {Function} maybeDo             [Documentation]{@link module:natural-lenses#maybeDo}
  * @property {Function} nfocal              [Construct]{@link module:natural-lenses#nfocal} a multifocal lens
  * @property {Function} polyfillImmutable   [Documentation]{@link module:natural-lenses#polyfillImmutable}
+ * @property {Function} prism               [Construct]{@link module:natural-lenses#prism} a prism optic
+ * @property {Function} recordPatch         [Documentation]{@link module:natural-lenses#recordPatch}
+ * @property {Function} registerCloner      [Documentation]{@link module:natural-lenses#registerCloner}
  * @property {Function} setLogger           [Documentation]{@link module:natural-lenses#setLogger}
  * @property {Function} Step                [Class]{@link Step} for customized Lens steps
  *
@@ -87,11 +98,180 @@ Object.defineProperties(makeLens, {
   maybeDo: {enumerable: true, value: maybeDo},
   ...mapObject(Errors, (cls) => ({enumerable: true, value: cls})),
   
+  /**
+   * @function module:natural-lenses#applyPatch
+   * @summary Apply an RFC 6902 JSON Patch to a clone of a subject
+   * @since 2.4.0
+   * @param {*} subject  The input structured data
+   * @param {Array.<JsonPatchOperation>} patch  The operations to apply, in order
+   * @returns {*}  A minimally changed clone of *subject* with *patch* applied
+   * @throws {PatchTestFailedError}  If a `test` operation of *patch* fails
+   * @see module:natural-lenses#recordPatch
+   *
+   * @description
+   * Each operation (`add`, `remove`, `replace`, `move`, `copy`, or `test`) is
+   * carried out with {@link Lens#setInClone} and the [clone]{@link module:natural-lenses#clone}
+   * protocol of the containers involved, so *subject* is never modified and
+   * any container supporting lenses — `Map`, Immutable `List` and `Map`, or a
+   * custom {@link Container} — can be patched.
+   *
+   * As RFC 6902 specifies, `add` and `remove` operations on a sequence (an
+   * Array or an Immutable `List`) shift the following elements, and `-` as the
+   * last reference token of an `add` appends to the sequence.  A number token
+   * addressing any other container is used as a string key.
+   *
+   * An operation targeting a slot whose container does not exist, a `remove`,
+   * `replace`, `move`, or `copy` of a missing slot, and an unknown operation
+   * throw an Error with `operation` and `opIndex` properties.  A failing
+   * `test` operation throws a {@link PatchTestFailedError}.
+   */
+  applyPatch: {enumerable: true, get: () => {
+    return require('./cjs/json_patch').applyPatch;
+  }},
+  
+  /**
+   * @function module:natural-lenses#batch
+   * @summary Clone a subject with the slots of several optics set or transformed in one pass
+   * @since 2.4.0
+   * @param {*} subject  The input structured data
+   * @param {Iterable.<Array>} updates  `[optic, valueOrFn]` pairs, applied in order
+   * @returns {*}  A minimally changed clone of *subject* with all of *updates* applied
+   *
+   * @description
+   * Each element of *updates* pairs an {@link Optic} with either a new value
+   * for its slot or a Function transforming the current value of its slot.
+   * The result is the same as calling {@link Optic#setInClone} (for a value)
+   * or {@link Optic#xformInClone} (for a Function) with each pair in turn,
+   * so a Function is never called for a missing slot.  To set a slot to a
+   * Function value, pass a Function returning it.
+   *
+   * Setting the slots of several [Lenses]{@link Lens} one at a time clones
+   * every container from the root of *subject* to each slot, so containers
+   * on a path shared by the slots are cloned once per update.  This function
+   * merges the keys of consecutive Lens updates into a tree, visiting each
+   * container along the shared paths once and, for Objects and Arrays, cloning
+   * it at most once no matter how many of its slots change.  Other containers
+   * are cloned through their [clone]{@link module:natural-lenses#clone}
+   * method for each changed slot.  As with {@link Lens#setInClone}, containers
+   * in which nothing changes are reused rather than cloned, and *subject* itself
+   * is returned if no slot changes.
+   *
+   * Updates through optics other than Lenses are applied on their own, in
+   * order between the Lens updates.
+   *
+   * The [setInClone]{@link ObjectNFocal#setInClone} method of a multifocal
+   * updates the slots of its constituent Lenses in the same way.
+   */
+  batch: {enumerable: true, get: () => {
+    return require('./cjs/batch').batch;
+  }},
+  
+  /**
+   * @function module:natural-lenses#checkLensLaws
+   * @summary Check an optic for violations of the lens laws
+   * @since 2.4.0
+   * @param {Optic} optic  The optic to check
+   * @param {Array.<*>} samples  Sample subjects
+   * @param {Object} [opts]
+   * @param {Array.<*>} [opts.values]  Values to set in the slot (default: the values of the slot in *samples*)
+   * @param {Array.<string>} [opts.laws]  Names of the laws to check (default: all)
+   * @param {function(*, *): boolean} [opts.equals]  Equality test for subjects and values (default: structural equality)
+   * @param {boolean} [opts.throwOnViolation=true]  Whether to throw if any law is violated
+   * @returns {Array.<LensLawViolation>}  The violations found
+   * @throws {LensLawViolationError}  If any law is violated and *opts.throwOnViolation* is truthy
+   *
+   * @description
+   * This function is intended for testing custom [Steps]{@link Step} and
+   * {@link Container} implementations (`lens.at_maybe` and `lens.clone`
+   * methods) through optics that use them.  The subjects checked are the
+   * *samples*, each sample with the slot set to each of *opts.values*, and
+   * each sample with the slot deleted.  The laws checked for each subject are:
+   *
+   * * `get-put`: if the slot is present, setting it to its current value
+   *   returns the subject itself
+   * * `put-get`: after setting the slot to a value, getting the slot produces
+   *   an equal value
+   * * `put-put`: setting the slot to one value and then another is equal to
+   *   setting it only to the second
+   * * `xform-identity`: transforming the slot with a function returning its
+   *   argument returns the subject itself
+   * * `delete-get`: after deleting the slot, the slot is missing
+   * * `delete-identity`: deleting a missing slot returns the subject itself
+   * * `subject-unchanged`: checking the other laws does not change the
+   *   subject, anywhere within it
+   *
+   * An exception thrown while checking a law is a violation of that law.
+   * Some optics intentionally break some laws — an {@link Iso} cannot delete
+   * its slot, and an [immutable.List]{@link external:immutable.List} sets
+   * a deleted element to `undefined` — so *opts.laws* selects the laws
+   * appropriate to *optic*.
+   *
+   * By default, the violations are thrown in a {@link LensLawViolationError},
+   * making this function usable as an assertion in a test framework:
+   * ```js
+   * it('obeys the lens laws', () => {
+   *   lens.checkLensLaws(lens('header', myStep), [sample1, sample2], {values: [0, 1, 255]});
+   * });
+   * ```
+   */
+  checkLensLaws: {enumerable: true, get: () => {
+    return require('./cjs/lens_laws').checkLensLaws;
+  }},
+  
+  /**
+   * @function module:natural-lenses#dataViewField
+   * @summary Construct a {@link Step} for a numeric field of a `DataView`
+   * @since 2.4.0
+   * @param {number} byteOffset  Offset of the field within the DataView, in bytes
+   * @param {string} type  Numeric type of the field, as named in the methods of DataView (e.g. `'Uint16'` or `'Float32'`)
+   * @param {Object} [options]
+   * @param {boolean} [options.littleEndian=false]  Whether the field is stored little-endian
+   * @returns {Step}  A Step for use as a key of a {@link Lens} (or as a leaf of a datum plan spec)
+   *
+   * @description
+   * The returned Step reads the field from a DataView with the DataView's
+   * getter for *type* and, when changing the field, clones the bytes of the
+   * DataView into a new ArrayBuffer and writes the field into the clone, so
+   * the buffer of the subject is never modified.  Deleting the field zeroes it
+   * in the clone.  A field extending beyond the end of the DataView is missing,
+   * and setting it produces a clone long enough to contain it.
+   *
+   * ```js
+   * const temperature = lens('frame', lens.dataViewField(4, 'Float32', {littleEndian: true}));
+   * const updated = temperature.setInClone({frame: new DataView(buffer)}, 21.5);
+   * ```
+   */
+  dataViewField: {enumerable: true, get: () => {
+    return require('./cjs/data_view_field').default;
+  }},
+  
+  /**
+   * @function module:natural-lenses#fromPointer
+   * @summary Construct a Lens from an RFC 6901 JSON Pointer
+   * @since 2.4.0
+   * @param {string} pointer  The JSON Pointer (e.g. `/orders/0/items/3`)
+   * @returns {Lens}  The Lens designating the slot referenced by *pointer*
+   * @see Lens#toPointer
+   *
+   * @description
+   * Each reference token of *pointer* becomes a key of the resulting Lens.
+   * Tokens that are valid Array indexes (`0` or an unsigned integer without
+   * leading zeros) become number keys — so that missing containers are
+   * constructed as Arrays when setting through the Lens — and all other tokens
+   * are unescaped (`~1` to `/` and `~0` to `~`) to become string keys.
+   *
+   * An Error is thrown if *pointer* is neither empty nor starts with `/`, or
+   * if it contains an invalid escape sequence.
+   */
+  fromPointer: {enumerable: true, get: () => (pointer) => {
+    return new Lens(...parsePointer(pointer));
+  }},
+  
   /**
    * @function module:natural-lenses#fuse
    * @summary Fuse multiple optics into a single, sequential application
    * @param {...Optic} optic  Optic object to fuse
-   * @returns {Lens|OpticArray}  A single {@link Optic} joining the *optics*
+   * @returns {Lens|OpticArray|Traversal}  A single {@link Optic} joining the *optics*
    *
    * @description
    * To understand the slot reference of the returned optic, consider the
@@ -104,13 +284,44 @@ Object.defineProperties(makeLens, {
    * If all *optics* are [Lenses]{@link Lens}, the result will be a Lens.  This
    * does not apply for Lens-derived objects (e.g. from [Factories]{@link Factory}) —
    * if such are passed, the result will always be an OpticArray.
+   *
+   * If any of *optics* is a {@link Traversal}, the result is a Traversal:
+   * the optics to the left of the first Traversal are fused into the slot
+   * it traverses and the optics to its right are fused into the optic it
+   * applies within each element.
    */
   fuse: {enumerable: true, get: () => {
     const OpticArray = require('./cjs/optic_array.js').default;
-    fuse = fuse || fusion({ Lens, OpticArray });
+    const Traversal = require('./cjs/traversal.js').default;
+    fuse = fuse || fusion({ Lens, OpticArray, Traversal });
     return fuse;
   }},
   
+  /**
+   * @function module:natural-lenses#iso
+   * @summary Construct an optic converting between a stored value and its view
+   * @since 2.4.0
+   * @param {function(*): *} to    Function converting a stored value to its view
+   * @param {function(*): *} from  Function converting a view back to a stored value
+   * @returns {Iso}
+   *
+   * @description
+   * An {@link Iso} is useful for data stored in a form other than the one in
+   * which it is most naturally manipulated, such as dates stored as ISO
+   * strings.  Fused after another optic, *getting* produces the converted
+   * view of the slot and *setting* or transforming converts back before
+   * writing:
+   * ```js
+   * const dueDate = lens.fuse(lens('due'), lens.iso(s => new Date(s), d => d.toISOString()));
+   * dueDate.get(invoice) // => a Date
+   * dueDate.xformInClone(invoice, d => new Date(d.getTime() + 86400000)) // => due one day later
+   * ```
+   */
+  iso: {enumerable: true, get: () => (to, from) => {
+    const Iso = require('./cjs/iso').default;
+    return new Iso(to, from);
+  }},
+  
   /**
    * @function module:natural-lenses#nfocal
    * @summary Construct a multifocal lens
@@ -147,6 +358,125 @@ Object.defineProperties(makeLens, {
     return require('./cjs/nfocal').makeNFocal(lenses);
   }},
   
+  /**
+   * @function module:natural-lenses#prism
+   * @summary Construct an optic focusing only on matching values
+   * @since 2.4.0
+   * @param {function(*): boolean | Object} match  Predicate or discriminator Object the subject must match
+   * @param {function(*): *} [review]  Function constructing a matching value from a focused value
+   * @returns {Prism}
+   *
+   * @description
+   * A {@link Prism} focuses on its subject when the subject matches and on
+   * nothing otherwise, which makes it useful for variant data such as tagged
+   * unions.  Fused with other optics, it restricts *getting* and transforming
+   * to the matching variant:
+   * ```js
+   * const cardLast4 = lens.fuse(lens('payments', 0), lens.prism({type: 'card'}), lens('last4'));
+   * cardLast4.get({payments: [{type: 'ach', routing: '...'}]}) // => undefined
+   * ```
+   * Transforming through a Prism whose subject does not match returns the
+   * subject unchanged.
+   */
+  prism: {enumerable: true, get: () => (match, review) => {
+    const Prism = require('./cjs/prism').default;
+    return new Prism(match, review);
+  }},
+  
+  /**
+   * @function module:natural-lenses#recordPatch
+   * @summary Apply changes to a subject while recording them as an RFC 6902 JSON Patch
+   * @since 2.4.0
+   * @param {*} subject  The input structured data
+   * @param {function(PatchDraft)} body  Callback making changes through the {@link PatchDraft} passed to it
+   * @returns {{result: *, patch: Array.<JsonPatchOperation>}}  The changed clone of *subject* and the patch describing the changes
+   *
+   * @description
+   * The {@link PatchDraft} passed to *body* has `setInClone`, `xformInClone`,
+   * `xformInClone_maybe`, and `deleteInClone` methods taking an optic as their
+   * first argument; each applies the optic's method of the same name to the
+   * result of the previous changes and records the slots changed as `add`,
+   * `replace`, or `remove` operations:
+   * ```js
+   * const {result, patch} = lens.recordPatch(order, draft => {
+   *   draft.setInClone(lens('status'), 'shipped');
+   *   draft.xformInClone(lens('items').each().thence('qty'), n => n - 1);
+   * });
+   * // patch => [{op: 'replace', path: '/status', value: 'shipped'}, ...]
+   * ```
+   * Changes through a {@link Lens} produce a single operation: an `add` of
+   * the shallowest slot missing from the input (along with any containers
+   * constructed within it), or a `replace` or `remove` of the Lens's slot.
+   * Changes through other optics are recorded by comparing the Arrays and
+   * plain Objects cloned in making the change, skipping any values that are
+   * strictly equal.  Because JSON cannot represent holes in Arrays, deleting
+   * an element other than the last `replace`s it with `null`.
+   *
+   * Every key in a changed slot's path must be representable in a JSON
+   * Pointer (see {@link Lens#toPointer}), or an Error is thrown.
+   */
+  recordPatch: {enumerable: true, get: () => {
+    return require('./cjs/json_patch').recordPatch;
+  }},
+  
+  /**
+   * @callback module:natural-lenses~Cloner
+   * @since 2.4.0
+   * @param {Object} instance  The instance to clone
+   * @returns {Object}  An unmodified copy of *instance*
+   *
+   * @description
+   * The change requested of the clone (setting or deleting a property) is
+   * applied to the returned copy by `natural-lenses`, so the cloner only needs
+   * to copy *instance* — including any state, such as private fields, that
+   * copying its own properties would miss.
+   */
+  
+  /**
+   * @function module:natural-lenses#registerCloner
+   * @summary Register a Function for copying instances of a class when lenses clone them
+   * @since 2.4.0
+   * @param {Function} cls  The class whose instances (including instances of subclasses) *cloner* copies
+   * @param {module:natural-lenses~Cloner | null} cloner  The Function copying an instance, or `null` to remove the registration
+   *
+   * @description
+   * Objects that do not implement their own [clone]{@link module:natural-lenses#clone}
+   * method are cloned by the implementation on `Object.prototype`, which uses
+   * the first of these strategies that applies:
+   *
+   * 1. A *cloner* registered with this function for the nearest class in the
+   *    instance's prototype chain
+   * 2. A static [clone]{@link module:natural-lenses#clone} method on the
+   *    instance's constructor, called with the instance and expected to return
+   *    an unmodified copy of it
+   * 3. Constructing the constructor's `Symbol.species` with no arguments and
+   *    assigning the instance's own enumerable properties to the result
+   * 4. For a plain Object, assigning its own enumerable properties to a new
+   *    plain Object
+   * 5. Creating an Object with the same prototype as the instance and the
+   *    same own properties (made writable and configurable, so the clone can
+   *    take the change), without calling the constructor
+   *
+   * The last strategy preserves getters, setters, and methods from the
+   * prototype, but cannot copy private members (e.g. `#balance`).  Rather
+   * than return a clone missing them, it throws an Error for an instance of a
+   * class declaring private members; such classes need a registered cloner
+   * or a static clone method.
+   *
+   * @example
+   * class Account {
+   *   #balance;
+   *   constructor(owner, balance) { this.owner = owner; this.#balance = balance; }
+   *   get balance() { return this.#balance; }
+   *   copy() { return new Account(this.owner, this.#balance); }
+   * }
+   * lens.registerCloner(Account, account => account.copy());
+   * lens('owner').setInClone(new Account('Ann', 10), 'Bob').balance // => 10
+   */
+  registerCloner: {enumerable: true, get: () => {
+    return require('./cjs/cloners').registerCloner;
+  }},
+  
   /**
    * @function module:natural-lenses#setLogger
    * @summary Set a custom logger
@@ -209,6 +539,7 @@ Object.defineProperties(makeLens, {
   Factory: {enumerable: true, get: () => require('./cjs/lens_factory').default},
   JsContainerFactory: {enumerable: true, get: () => require('./cjs/js_container_factory').default},
   jsContainers: {enumerable: true, get: () => require('./cjs/js_container_factory').DEFAULT_FACTORY},
+  Maybe: {enumerable: true, get: () => require('./cjs/maybe').default},
   polyfillImmutable: {enumerable: true, get: () => require('./cjs/immutable_support').polyfillImmutable},
   Step: {enumerable: true, get: () => require('./cjs/custom_step').default},
 });
@@ -269,13 +600,14 @@ module.exports = makeLens;
  * For Object, this is a string property name.  For Array, this is an integer index,
  * where negative values count backward from the end of the Array.  For Map, the
  * argument may be any type, which is passed to `Map.prototype.has` and possibly
- * `Map.prototype.get` as a key value.
+ * `Map.prototype.get` as a key value.  For Set (since 2.4.0), the argument is a
+ * potential member and the result is always a Just of whether it is a member.
  */
 
 /**
  * @function
  * @name Container#[clone]
- * @param {{set: {0: *, 1: *}?, spliceOut: *?}} opDesc
+ * @param {{set: {0: *, 1: *}?, spliceOut: *?, splice: Array?}} opDesc
  * @returns {*} A modified clone of *this*
  *
  * @description
@@ -302,9 +634,18 @@ module.exports = makeLens;
  * In the provided implemenation for Array, negative indexes are interpreted
  * counting backward from the end of the Array, as with `Array.prototype.slice`.
  *
+ * Sequence containers (Array and [immutable.List]{@link external:immutable.List})
+ * also support a `splice` property (since 2.4.0), whose value is an Array of
+ * the arguments to `Array.prototype.splice` — a start index, a count of
+ * elements to remove, and any elements to insert — to apply to the clone.
+ * Unlike `spliceOut`, this shifts the elements following the change.
+ *
  * `Symbol.species` is honored for determining the constructor used for the
- * clone; Object is a special case that defaults to Object if `Symbol.species`
- * is not present.
+ * clone.  The provided implementation for Object (since 2.4.0) prefers a
+ * cloner registered with {@link module:natural-lenses#registerCloner} or a
+ * static method of the constructor named by this symbol, and creates an
+ * Object with the same prototype and own properties for class instances whose
+ * constructors cannot be called without arguments.
  *
  * In a future major version, it is likely that the call interface for this
  * method will change to `function({key: *} | {key: *, just: *}): *`, where
@@ -1,15 +1,27 @@
+import { parsePointer } from './esm/json_pointer.js';
 import Lens from './esm/lens.js';
 
 export default function makeLens(...keys) {
   return new Lens(...keys);
 }
+export function fromPointer(pointer) {
+  return new Lens(...parsePointer(pointer));
+}
 export { at_maybe, cloneImpl as clone, isLensClass as isLens } from './src-cjs/constants.js';
 export { eachFound, maybeDo } from './esm/utils.js';
+export { default as dataViewField } from './esm/data_view_field.js';
 export { default as Factory } from './esm/lens_factory.js';
 export { default as fuse} from './fuse.mjs';
+export { default as iso } from './iso.mjs';
 export { default as JsContainerFactory, DEFAULT_FACTORY as jsContainers } from './esm/js_container_factory.js';
+export { default as Maybe } from './esm/maybe.js';
 export { enableAsync as asyncLogging, set as setLogger } from './esm/logger.js';
 export { default as nfocal } from './nfocal.mjs';
 export { polyfillImmutable } from './esm/immutable_support.js';
+export { default as prism } from './prism.mjs';
+export { applyPatch, recordPatch } from './esm/json_patch.js';
+export { batch } from './esm/batch.js';
+export { registerCloner } from './esm/cloners.js';
+export { checkLensLaws } from './esm/lens_laws.js';
 export { default as Step } from './esm/custom_step.js';
 export * from './esm/errors.js';
@@ -0,0 +1,5 @@
+import Iso from './esm/iso.js';
+
+export default function iso(to, from) {
+  return new Iso(to, from);
+}
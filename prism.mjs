@@ -0,0 +1,5 @@
+import Prism from './esm/prism.js';
+
+export default function prism(match, review) {
+  return new Prism(match, review);
+}
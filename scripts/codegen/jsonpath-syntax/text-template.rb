@@ -6,6 +6,10 @@ class JsonPathTemplateParser < FairCG::FiniteAutomaton
   action :emit_value
   action :emit_literal # value should be eval'd
   action :consume_intercalated_value
+  action :emit_wildcard
+  action :emit_descent
+  action :emit_slice # value is a colon-separated slice specification
+  action :emit_filter # value is a filter expression (with closing parenthesis)
   action :scan
   
   WS = " \t\n\r"
@@ -16,13 +20,27 @@ class JsonPathTemplateParser < FairCG::FiniteAutomaton
   end
   
   state :step_ready, final: true do
-    transition('.' => :identifier) {scan}
+    transition('.' => :member) {scan}
     transition('[' => :subscript) {scan}
     transition(WS => :step_ready) {scan}
   end
   
+  state :member do
+    transition('.' => :descendant) {emit_descent; scan}
+    transition('A-Za-z$_' => :identifier_tail) {append; scan}
+    transition('*' => :step_ready) {emit_wildcard; scan}
+    transition(WS => :identifier) {scan}
+  end
+  
+  state :descendant do
+    transition('A-Za-z$_' => :identifier_tail) {append; scan}
+    transition('*' => :step_ready) {emit_wildcard; scan}
+    transition('[' => :subscript) {scan}
+  end
+  
   state :identifier do
     transition('A-Za-z$_' => :identifier_tail) {append; scan}
+    transition('*' => :step_ready) {emit_wildcard; scan}
     transition(WS => :identifier) {scan}
   end
   
@@ -37,6 +55,9 @@ class JsonPathTemplateParser < FairCG::FiniteAutomaton
     transition('"' => :dq_literal) {append; scan}
     transition("'" => :sq_literal) {append; scan}
     transition('-0-9' => :number) {append; scan}
+    transition(':' => :slice) {append; scan}
+    transition('*' => :subscript_value_emitted) {emit_wildcard; scan}
+    transition('?' => :filter_start) {scan}
     transition(WS => :subscript) {scan}
   end
   
@@ -75,9 +96,73 @@ class JsonPathTemplateParser < FairCG::FiniteAutomaton
   
   state :subscript_end do
     transition(WS => :subscript_end) {scan}
+    transition(':' => :slice) {append; scan}
     transition(']' => :subscript_value_emitted) {emit_literal}
   end
   
+  state :slice do
+    transition('-0-9:' => :slice) {append; scan}
+    transition(WS => :slice_end) {scan}
+    transition(']' => :step_ready) {emit_slice; scan}
+  end
+  
+  state :slice_end do
+    transition(WS => :slice_end) {scan}
+    transition(']' => :step_ready) {emit_slice; scan}
+  end
+  
+  state :filter_start do
+    transition(WS => :filter_start) {scan}
+    transition('(' => :filter) {scan}
+  end
+  
+  state :filter do
+    at_end {consume_intercalated_value} # If a value is consumed, stay in :filter
+    transition('"' => :filter_dq_literal) {append; scan}
+    transition("'" => :filter_sq_literal) {append; scan}
+    transition(')' => :filter_close) {append; scan}
+    transition(:default => :filter) {append; scan}
+  end
+  
+  state :filter_close do
+    # The filter ends at the first ')' followed by ']' outside a string literal
+    at_end {consume_intercalated_value} # If a value is consumed, jump to :filter
+    transition('"' => :filter_dq_literal) {append; scan}
+    transition("'" => :filter_sq_literal) {append; scan}
+    transition(')' => :filter_close) {append; scan}
+    transition(WS => :filter_close) {append; scan}
+    transition(']' => :step_ready) {emit_filter; scan}
+    transition(:default => :filter) {append; scan}
+  end
+  
+  state :filter_dq_literal do
+    transition('"' => :filter) {append; scan}
+    transition('\\' => :filter_dq_escape) {append; scan}
+    transition(0x00...0x20 => :error)
+    transition(0x7f..0x9f => :error)
+    transition(:default => :filter_dq_literal) {append; scan}
+  end
+  
+  state :filter_dq_escape do
+    transition(0x00...0x20 => :error)
+    transition(0x7f..0x9f => :error)
+    transition(:default => :filter_dq_literal) {append; scan}
+  end
+  
+  state :filter_sq_literal do
+    transition("'" => :filter) {append; scan}
+    transition('\\' => :filter_sq_escape) {append; scan}
+    transition(0x00...0x20 => :error)
+    transition(0x7f..0x9f => :error)
+    transition(:default => :filter_sq_literal) {append; scan}
+  end
+  
+  state :filter_sq_escape do
+    transition(0x00...0x20 => :error)
+    transition(0x7f..0x9f => :error)
+    transition(:default => :filter_sq_literal) {append; scan}
+  end
+  
   state :subscript_value_emitted do
     transition(WS => :subscript_value_emitted) {scan}
     transition(']' => :step_ready) {scan}
@@ -0,0 +1,3 @@
+// Shared by the CommonJS and ES module builds, so a cloner registered through
+// either one applies to the single Object.prototype clone implementation
+exports.cloners = new WeakMap();
@@ -1,3 +1,4 @@
 exports.isLensClass = Symbol("isLens");
 exports.at_maybe = Symbol("lens.at_maybe");
 exports.cloneImpl = Symbol("lens.clone");
+exports.datumPlanNode = Symbol("datumPlan.node");
@@ -2,16 +2,27 @@
 const states = Object.freeze({
   start: 1,
   step_ready: 2,
-  identifier: 3,
-  identifier_tail: 4,
-  subscript: 5,
-  dq_literal: 6,
-  dq_escape: 7,
-  sq_literal: 8,
-  sq_escape: 9,
-  number: 10,
-  subscript_end: 11,
-  subscript_value_emitted: 12,
+  member: 3,
+  descendant: 4,
+  identifier: 5,
+  identifier_tail: 6,
+  subscript: 7,
+  dq_literal: 8,
+  dq_escape: 9,
+  sq_literal: 10,
+  sq_escape: 11,
+  number: 12,
+  subscript_end: 13,
+  slice: 14,
+  slice_end: 15,
+  filter_start: 16,
+  filter: 17,
+  filter_close: 18,
+  filter_dq_literal: 19,
+  filter_dq_escape: 20,
+  filter_sq_literal: 21,
+  filter_sq_escape: 22,
+  subscript_value_emitted: 23,
   error: 0,
 });
 const actions = Object.freeze({
@@ -19,39 +30,65 @@ const actions = Object.freeze({
   emit_value: 2,
   emit_literal: 4,
   consume_intercalated_value: 8,
-  scan: 16,
+  emit_wildcard: 16,
+  emit_descent: 32,
+  emit_slice: 64,
+  emit_filter: 128,
+  scan: 256,
 });
 const parserTransitions = [
-  [states.step_ready, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.start, states.error, states.error, states.start, states.error, states.error],
-  [states.error, states.identifier, states.subscript, states.error, states.error, states.error, states.error, states.error, states.error, states.step_ready, states.error, states.error, states.step_ready, states.error, states.error],
-  [states.identifier_tail, states.error, states.error, states.identifier_tail, states.error, states.error, states.error, states.error, states.error, states.identifier, states.error, states.error, states.identifier, states.error, states.error],
-  [states.identifier_tail, states.step_ready, states.step_ready, states.identifier_tail, states.identifier_tail, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.step_ready],
-  [states.error, states.error, states.error, states.error, states.number, states.dq_literal, states.sq_literal, states.number, states.error, states.subscript, states.error, states.error, states.subscript, states.error, states.error],
-  [states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.subscript_end, states.dq_literal, states.dq_literal, states.dq_escape, states.dq_literal, states.error, states.error, states.error, states.dq_literal, states.dq_literal],
-  [states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.error, states.error, states.error, states.dq_literal, states.dq_literal],
-  [states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.subscript_end, states.sq_literal, states.sq_escape, states.sq_literal, states.error, states.error, states.error, states.sq_literal, states.sq_literal],
-  [states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.error, states.error, states.error, states.sq_literal, states.sq_literal],
-  [states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.number, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end],
-  [states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.subscript_end, states.error, states.error, states.subscript_end, states.subscript_value_emitted, states.error],
-  [states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.subscript_value_emitted, states.error, states.error, states.subscript_value_emitted, states.step_ready, states.error],
+  [states.step_ready, states.start, states.start, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error],
+  [states.error, states.step_ready, states.step_ready, states.member, states.subscript, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error],
+  [states.identifier_tail, states.identifier, states.identifier, states.descendant, states.error, states.identifier_tail, states.step_ready, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error],
+  [states.identifier_tail, states.error, states.error, states.error, states.subscript, states.identifier_tail, states.step_ready, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error],
+  [states.identifier_tail, states.identifier, states.identifier, states.error, states.error, states.identifier_tail, states.step_ready, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error],
+  [states.identifier_tail, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.identifier_tail, states.step_ready, states.identifier_tail, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.step_ready, states.step_ready],
+  [states.error, states.subscript, states.subscript, states.error, states.error, states.error, states.subscript_value_emitted, states.number, states.dq_literal, states.sq_literal, states.number, states.slice, states.filter_start, states.error, states.error, states.error, states.error, states.error, states.error, states.error],
+  [states.dq_literal, states.error, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.subscript_end, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_escape, states.error, states.error, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal],
+  [states.dq_literal, states.error, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal, states.error, states.error, states.dq_literal, states.dq_literal, states.dq_literal, states.dq_literal],
+  [states.sq_literal, states.error, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.subscript_end, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_escape, states.error, states.error, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal],
+  [states.sq_literal, states.error, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal, states.error, states.error, states.sq_literal, states.sq_literal, states.sq_literal, states.sq_literal],
+  [states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.number, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end, states.subscript_end],
+  [states.error, states.subscript_end, states.subscript_end, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.slice, states.error, states.error, states.error, states.error, states.subscript_value_emitted, states.error, states.error, states.error],
+  [states.error, states.slice_end, states.slice_end, states.error, states.error, states.error, states.error, states.slice, states.error, states.error, states.slice, states.slice, states.error, states.error, states.error, states.error, states.step_ready, states.error, states.error, states.error],
+  [states.error, states.slice_end, states.slice_end, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.step_ready, states.error, states.error, states.error],
+  [states.error, states.filter_start, states.filter_start, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.filter, states.error, states.error],
+  [states.filter, states.filter, states.filter, states.filter, states.filter, states.filter, states.filter, states.filter, states.filter_dq_literal, states.filter_sq_literal, states.filter, states.filter, states.filter, states.filter, states.filter, states.filter, states.filter, states.filter, states.filter_close, states.filter],
+  [states.filter, states.filter_close, states.filter_close, states.filter, states.filter, states.filter, states.filter, states.filter, states.filter_dq_literal, states.filter_sq_literal, states.filter, states.filter, states.filter, states.filter, states.filter, states.filter, states.step_ready, states.filter, states.filter_close, states.filter],
+  [states.filter_dq_literal, states.error, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_escape, states.error, states.error, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal],
+  [states.filter_dq_literal, states.error, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.error, states.error, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal, states.filter_dq_literal],
+  [states.filter_sq_literal, states.error, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_escape, states.error, states.error, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal],
+  [states.filter_sq_literal, states.error, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.error, states.error, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal, states.filter_sq_literal],
+  [states.error, states.subscript_value_emitted, states.subscript_value_emitted, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.error, states.step_ready, states.error, states.error, states.error],
 ];
 const parserActions = (function () {
   function _([names]) {
     return names.split(',').map(n => actions[n]).reduce((a, b) => a | b);
   }
   return [
-    [_`scan`, 0, 0, 0, 0, 0, 0, 0, 0, _`scan`, 0, 0, _`scan`, 0, 0],
-    [0, _`scan`, _`scan`, 0, 0, 0, 0, 0, 0, _`scan`, 0, 0, _`scan`, 0, 0],
-    [_`append,scan`, 0, 0, _`append,scan`, 0, 0, 0, 0, 0, _`scan`, 0, 0, _`scan`, 0, 0],
-    [_`append,scan`, _`emit_value`, _`emit_value`, _`append,scan`, _`append,scan`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`],
-    [0, 0, 0, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, 0, _`scan`, 0, 0, _`scan`, 0, 0],
-    [_`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, 0, 0, 0, _`append,scan`, _`append,scan`],
-    [_`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, 0, 0, 0, _`append,scan`, _`append,scan`],
-    [_`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, 0, 0, 0, _`append,scan`, _`append,scan`],
-    [_`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, 0, 0, 0, _`append,scan`, _`append,scan`],
-    [0, 0, 0, 0, _`append,scan`, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
-    [0, 0, 0, 0, 0, 0, 0, 0, 0, _`scan`, 0, 0, _`scan`, _`emit_literal`, 0],
-    [0, 0, 0, 0, 0, 0, 0, 0, 0, _`scan`, 0, 0, _`scan`, _`scan`, 0],
+    [_`scan`, _`scan`, _`scan`, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, _`scan`, _`scan`, _`scan`, _`scan`, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [_`append,scan`, _`scan`, _`scan`, _`emit_descent,scan`, 0, _`append,scan`, _`emit_wildcard,scan`, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [_`append,scan`, 0, 0, 0, _`scan`, _`append,scan`, _`emit_wildcard,scan`, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [_`append,scan`, _`scan`, _`scan`, 0, 0, _`append,scan`, _`emit_wildcard,scan`, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [_`append,scan`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`append,scan`, _`emit_value`, _`append,scan`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`, _`emit_value`],
+    [0, _`scan`, _`scan`, 0, 0, 0, _`emit_wildcard,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`scan`, 0, 0, 0, 0, 0, 0, 0],
+    [_`append,scan`, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, 0, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`],
+    [_`append,scan`, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, 0, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`],
+    [_`append,scan`, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, 0, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`],
+    [_`append,scan`, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, 0, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`],
+    [0, 0, 0, 0, 0, 0, 0, _`append,scan`, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    [0, _`scan`, _`scan`, 0, 0, 0, 0, 0, 0, 0, 0, _`append,scan`, 0, 0, 0, 0, _`emit_literal`, 0, 0, 0],
+    [0, _`scan`, _`scan`, 0, 0, 0, 0, _`append,scan`, 0, 0, _`append,scan`, _`append,scan`, 0, 0, 0, 0, _`emit_slice,scan`, 0, 0, 0],
+    [0, _`scan`, _`scan`, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, _`emit_slice,scan`, 0, 0, 0],
+    [0, _`scan`, _`scan`, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, _`scan`, 0, 0],
+    [_`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`],
+    [_`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`emit_filter,scan`, _`append,scan`, _`append,scan`, _`append,scan`],
+    [_`append,scan`, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, 0, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`],
+    [_`append,scan`, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, 0, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`],
+    [_`append,scan`, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, 0, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`],
+    [_`append,scan`, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`, 0, 0, _`append,scan`, _`append,scan`, _`append,scan`, _`append,scan`],
+    [0, _`scan`, _`scan`, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, _`scan`, 0, 0, 0],
   ];
 })();
 const parserEndActions = (function () {
@@ -61,6 +98,8 @@ const parserEndActions = (function () {
   return [
     0, // start
     0, // step_ready
+    0, // member
+    0, // descendant
     0, // identifier
     _`emit_value`, // identifier_tail
     _`consume_intercalated_value`, // subscript
@@ -70,24 +109,33 @@ const parserEndActions = (function () {
     0, // sq_escape
     0, // number
     0, // subscript_end
+    0, // slice
+    0, // slice_end
+    0, // filter_start
+    _`consume_intercalated_value`, // filter
+    _`consume_intercalated_value`, // filter_close
+    0, // filter_dq_literal
+    0, // filter_dq_escape
+    0, // filter_sq_literal
+    0, // filter_sq_escape
     0, // subscript_value_emitted
   ];
 })();
 const classifyChar = (function() {
   const mapping = [
-    11, 11, 11, 11, 11, 11, 11, 11, 11, 12, 12, 11, 11, 12, 11, 11, 11, 11, 11,
-    11, 11, 11, 11, 11, 11, 11, 11, 11, 11, 11, 11, 11, 9, 14, 5, 14, 0, 14,
-    14, 6, 14, 14, 14, 14, 14, 7, 1, 14, 4, 4, 4, 4, 4, 4, 4, 4, 4,
-    4, 14, 14, 14, 14, 14, 14, 14, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3,
-    3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 2, 8, 13, 14,
-    3, 14, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3,
-    3, 3, 3, 3, 3, 3, 3, 3, 3, 14, 14, 14, 14, 10, 10, 10, 10, 10, 10,
-    10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10,
-    10, 10, 10, 10, 10, 10, 10, 10,
+    14, 14, 14, 14, 14, 14, 14, 14, 14, 1, 1, 14, 14, 1, 14, 14, 14, 14, 14,
+    14, 14, 14, 14, 14, 14, 14, 14, 14, 14, 14, 14, 14, 2, 19, 8, 19, 0, 19,
+    19, 9, 17, 18, 6, 19, 19, 10, 3, 19, 7, 7, 7, 7, 7, 7, 7, 7, 7,
+    7, 11, 19, 19, 19, 19, 12, 19, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5,
+    5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 4, 13, 16, 19,
+    5, 19, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5,
+    5, 5, 5, 5, 5, 5, 5, 5, 5, 19, 19, 19, 19, 15, 15, 15, 15, 15, 15,
+    15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15,
+    15, 15, 15, 15, 15, 15, 15, 15,
   ];
   return function classifyChar(ch) {
     ch = ch.codePointAt(0);
-    if (ch >= mapping.length) return 14;
+    if (ch >= mapping.length) return 19;
     return mapping[ch];
   };
 }());
@@ -125,6 +173,18 @@ class Parser {
     if (transActions & actions.consume_intercalated_value) {
       actionsImpl.consume_intercalated_value();
     }
+    if (transActions & actions.emit_wildcard) {
+      actionsImpl.emit_wildcard();
+    }
+    if (transActions & actions.emit_descent) {
+      actionsImpl.emit_descent();
+    }
+    if (transActions & actions.emit_slice) {
+      actionsImpl.emit_slice();
+    }
+    if (transActions & actions.emit_filter) {
+      actionsImpl.emit_filter();
+    }
     if (transActions & actions.scan) {
       actionsImpl.scan();
     }
@@ -148,6 +208,18 @@ class Parser {
     if (finalActions & actions.consume_intercalated_value) {
       actionsImpl.consume_intercalated_value();
     }
+    if (finalActions & actions.emit_wildcard) {
+      actionsImpl.emit_wildcard();
+    }
+    if (finalActions & actions.emit_descent) {
+      actionsImpl.emit_descent();
+    }
+    if (finalActions & actions.emit_slice) {
+      actionsImpl.emit_slice();
+    }
+    if (finalActions & actions.emit_filter) {
+      actionsImpl.emit_filter();
+    }
     if (finalActions & actions.scan) {
       actionsImpl.scan();
     }
@@ -0,0 +1,178 @@
+import isFunction from './functional/isFunction.js';
+import { cloneImpl } from '../src-cjs/constants.js';
+import { isStdlibArray, isStdlibObject, setKey } from './compiled_lens.js';
+import CustomStep from './custom_step.js';
+import Lens from './lens.js';
+import { index_maybe } from './utils.js';
+
+/**
+ * @template T
+ * @summary Clone *subject* with the slots of several optics set or transformed in one pass
+ * @since 2.4.0
+ * @param {T} subject  The input structured data
+ * @param {Iterable.<Array>} updates  `[optic, valueOrFn]` pairs, applied in order
+ * @returns {T} A minimally changed clone of *subject* with all of *updates* applied
+ *
+ * @description
+ * See [batch]{@link module:natural-lenses#batch}.
+ */
+export function batch(subject, updates) {
+  return applyUpdates(subject, Array.from(updates, ([optic, update]) => {
+    if (optic instanceof Lens) {
+      return {lens: optic, xform_maybe: isFunction(update) ? xformPresent(update) : setValue(update)};
+    }
+    return {apply: isFunction(update)
+      ? (cur) => optic.xformInClone(cur, update)
+      : (cur) => optic.setInClone(cur, update)
+    };
+  }));
+}
+
+/**
+ * @private
+ * @summary Describe a Maybe-transform of the slot of an optic for {@link applyUpdates}
+ * @param {Optic} optic  The optic whose slot to transform
+ * @param {function(Maybe): Maybe} xform_maybe  The transform, as for {@link Optic#xformInClone_maybe}
+ * @returns {Object}
+ */
+export function maybeUpdate(optic, xform_maybe) {
+  if (optic instanceof Lens) {
+    return {lens: optic, xform_maybe};
+  }
+  return {apply: (cur) => optic.xformInClone_maybe(cur, xform_maybe)};
+}
+
+/**
+ * @private
+ * @summary Apply updates to *subject*, merging runs of Lens updates into one clone pass
+ * @param {*} subject  The input structured data
+ * @param {Array.<Object>} updates  Objects with either `lens` and `xform_maybe` or an `apply` Function
+ * @returns {*} A minimally changed clone of *subject* with all of *updates* applied
+ *
+ * @description
+ * Consecutive Lens updates are merged into a tree keyed by the steps of the
+ * lenses, so each container along the shared prefixes is looked up once and
+ * cloned once (for the stdlib Object and Array implementations) or once per
+ * changed child (for other containers).  Updates that are not through a Lens
+ * are applied on their own, in order, between the runs of Lens updates.
+ */
+export function applyUpdates(subject, updates) {
+  let result = subject, root = null;
+  const flush = () => {
+    if (root) {
+      result = applyNode(root, {just: result}).just;
+      root = null;
+    }
+  };
+  updates.forEach(update => {
+    if (update.lens) {
+      root = root || makeNode(null);
+      insertUpdate(root, update.lens, 0, update.xform_maybe);
+    } else {
+      flush();
+      result = update.apply(result);
+    }
+  });
+  flush();
+  return result;
+}
+
+// Mirrors Lens#setInClone, which leaves a missing slot missing when setting undefined
+function setValue(value) {
+  return (value_maybe) => ('just' in value_maybe || value !== undefined) ? {just: value} : value_maybe;
+}
+
+// Mirrors Lens#xformInClone, which does not call fn for a missing slot
+function xformPresent(fn) {
+  return (value_maybe) => ('just' in value_maybe) ? {just: fn(value_maybe.just)} : value_maybe;
+}
+
+/*
+ * A node has a sequence of operations, each either a transform of the node's
+ * value or a Map from keys to the child nodes to apply within the node's value.
+ * A new child Map is only started when a transform intervenes, preserving the
+ * order in which the updates were given.
+ */
+function makeNode(construct) {
+  return {construct, ops: []};
+}
+
+function insertUpdate(node, lens, depth, xform_maybe) {
+  if (depth === lens.keys.length) {
+    node.ops.push({xform_maybe});
+    return;
+  }
+  let op = node.ops[node.ops.length - 1];
+  if (!op || !op.children) {
+    node.ops.push(op = {children: new Map()});
+  }
+  const key = lens.keys[depth];
+  let child = op.children.get(key);
+  if (!child) {
+    op.children.set(key, child = makeNode(() => lens._constructFor(depth + 1)));
+  }
+  insertUpdate(child, lens, depth + 1, xform_maybe);
+}
+
+function applyNode(node, value_maybe) {
+  return node.ops.reduce(
+    (cur, op) => op.children ? applyChildren(node, op.children, cur) : op.xform_maybe(cur),
+    value_maybe
+  );
+}
+
+function applyChildren(node, children, container_maybe) {
+  const original = ('just' in container_maybe)
+    ? container_maybe.just
+    : node.construct();
+  let result = original, owned = false;
+  children.forEach((child, key) => {
+    const isStep = key instanceof CustomStep;
+    const before_maybe = isStep ? key.get_maybe(result) : index_maybe(result, key);
+    const after_maybe = applyNode(child, before_maybe);
+    if ('just' in after_maybe) {
+      if ('just' in before_maybe && before_maybe.just === after_maybe.just) {
+        return;
+      }
+    } else if (!('just' in before_maybe)) {
+      return;
+    }
+
+    if (owned && !isStep) {
+      // *result* is a copy made within this call, so it can take further changes in place
+      if ('just' in after_maybe) {
+        result[normalizedKey(result, key)] = after_maybe.just;
+      } else {
+        deleteInPlace(result, normalizedKey(result, key));
+      }
+      return;
+    }
+    const prev = result;
+    if (isStep) {
+      result = key.updatedClone(result, after_maybe);
+    } else if ('just' in after_maybe) {
+      result = setKey(result, key, after_maybe.just);
+    } else {
+      result = result[cloneImpl]({spliceOut: key});
+    }
+    if (result !== prev) {
+      owned = !isStep && (isStdlibArray(result) || isStdlibObject(result));
+    }
+  });
+  return (result === original) ? container_maybe : {just: result};
+}
+
+// Mirrors the stdlib spliceOut, which shortens an Array only when removing its last element
+function deleteInPlace(container, key) {
+  if (isStdlibArray(container) && key === container.length - 1) {
+    container.length = key;
+  } else {
+    delete container[key];
+  }
+}
+
+function normalizedKey(container, key) {
+  return (isStdlibArray(container) && typeof key === 'number' && key < 0)
+    ? container.length + key
+    : key;
+}
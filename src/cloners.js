@@ -0,0 +1,112 @@
+import isFunction from './functional/isFunction.js';
+import { cloners } from '../src-cjs/cloners.js';
+import { cloneImpl } from '../src-cjs/constants.js';
+
+/**
+ * @summary Register a Function for copying instances of a class when lenses clone them
+ * @since 2.4.0
+ * @param {Function} cls  The class whose instances (including instances of subclasses) *cloner* copies
+ * @param {module:natural-lenses~Cloner | null} cloner  The Function copying an instance, or `null` to remove the registration
+ *
+ * @description
+ * See [registerCloner]{@link module:natural-lenses#registerCloner}.
+ */
+export function registerCloner(cls, cloner) {
+  if (cloner) {
+    cloners.set(cls, cloner);
+  } else {
+    cloners.delete(cls);
+  }
+}
+
+/**
+ * @private
+ * @summary Copy an Object using the strategies described for registerCloner
+ * @param {Object} instance
+ * @returns {Object}  An unmodified copy of *instance*
+ */
+export function copyObject(instance) {
+  for (
+    let proto = Object.getPrototypeOf(instance);
+    proto;
+    proto = Object.getPrototypeOf(proto)
+  ) {
+    if (proto.hasOwnProperty('constructor') && cloners.has(proto.constructor)) {
+      return cloners.get(proto.constructor)(instance);
+    }
+  }
+  
+  const ctor = instance.constructor;
+  if (ctor && isFunction(ctor[cloneImpl]) && ctor[cloneImpl] !== Object.prototype[cloneImpl]) {
+    return ctor[cloneImpl](instance);
+  }
+  
+  const Species = ctor && ctor[Symbol.species];
+  if (Species) {
+    let inst = null;
+    try {
+      inst = new Species();
+    } catch (e) {
+      const cantConstruct = new Error(
+        `'${ctor.name}' requires arguments for instantiation; provide a [lens.clone] method`
+      );
+      cantConstruct.cause = e;
+      throw cantConstruct;
+    }
+    return Object.assign(inst, instance);
+  }
+  
+  const proto = Object.getPrototypeOf(instance);
+  if (proto === Object.prototype) {
+    return Object.assign({}, instance);
+  }
+  const privateClass = classWithPrivateMembers(proto);
+  if (privateClass) {
+    throw new Error(
+      `'${privateClass.name}' has private members, which cloning cannot copy; ` +
+      `register a cloner with lens.registerCloner or provide a static [lens.clone] method`
+    );
+  }
+  return Object.create(proto, writableDescriptors(instance));
+}
+
+// Private members are declared in the class body, as `#name` at the start of a member
+const PRIVATE_MEMBER = /(?:^|[{};\n])\s*(?:static\s+)?(?:async\s+)?(?:get\s+|set\s+)?\*?\s*#[A-Za-z_$][\w$]*/;
+
+function classWithPrivateMembers(proto) {
+  for (; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    const ctor = proto.hasOwnProperty('constructor') && proto.constructor;
+    if (isFunction(ctor) && PRIVATE_MEMBER.test(Function.prototype.toString.call(ctor))) {
+      return ctor;
+    }
+  }
+  return null;
+}
+
+// The clone takes the change the lens makes, even if *instance* is frozen or has read-only properties
+function writableDescriptors(instance) {
+  const descriptors = Object.getOwnPropertyDescriptors(instance);
+  Reflect.ownKeys(descriptors).forEach(key => {
+    const descriptor = descriptors[key];
+    descriptor.configurable = true;
+    if ('value' in descriptor) {
+      descriptor.writable = true;
+    }
+  });
+  return descriptors;
+}
+
+/**
+ * @private
+ * @summary Test whether plain Objects are copied by assigning their own enumerable properties
+ * @returns {boolean}
+ *
+ * @description
+ * This is true unless a cloner is registered for `Object` or `Object` has
+ * been given a static clone method or `Symbol.species`.
+ */
+export function copiesPlainObjectsByAssignment() {
+  return !cloners.has(Object) &&
+    Object[cloneImpl] === Object.prototype[cloneImpl] &&
+    !Object[Symbol.species];
+}
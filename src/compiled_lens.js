@@ -0,0 +1,173 @@
+const { isArray } = Array;
+import isObject from './functional/isObject.js';
+import { at_maybe, cloneImpl } from '../src-cjs/constants.js';
+import { copiesPlainObjectsByAssignment } from './cloners.js';
+import CustomStep from './custom_step.js';
+import { index_maybe, isLens } from './utils.js';
+
+import './stdlib_support/object.js';
+import './stdlib_support/array.js';
+
+const MISSING = Symbol('missing');
+
+/**
+ * @private
+ * @summary Derive a Lens with get and set methods specialized for its keys
+ * @param {Lens} lens  The Lens to compile
+ * @returns {Lens}  An Object inheriting from *lens* with specialized methods
+ *
+ * @description
+ * See {@link Lens#compile}.
+ */
+export default function compileLens(lens) {
+  const getters = lens.keys.map(key => (
+    (key instanceof CustomStep) ? customStepGetter(key) : (container) => getKey(container, key)
+  ));
+  const setters = lens.keys.map(key => (
+    (key instanceof CustomStep) ? customStepSetter(key) : (container, value) => setKey(container, key, value)
+  ));
+  const compiled = Object.create(lens);
+
+  if (getters.length === 0) {
+    return compiled;
+  }
+
+  function getValue(subject) {
+    let cur = subject;
+    for (let i = 0; i < getters.length; i++) {
+      cur = getters[i](cur);
+      if (cur === MISSING) {
+        return MISSING;
+      }
+    }
+    return cur;
+  }
+
+  function setFrom(cur, i, newVal) {
+    const child = getters[i](cur);
+    if (i === getters.length - 1) {
+      return ((child === MISSING ? undefined : child) === newVal) ? cur : setters[i](cur, newVal);
+    }
+    const next = (child === MISSING) ? compiled._constructFor(i + 1) : child;
+    const newChild = setFrom(next, i + 1, newVal);
+    return (newChild === next) ? cur : setters[i](cur, newChild);
+  }
+
+  Object.defineProperties(compiled, {
+    get: {configurable: true, writable: true, value: function(subject, ...tail) {
+      const value = getValue(subject);
+      if (value === MISSING) {
+        return undefined;
+      }
+      if (tail.length > 0) {
+        return isLens(value) ? value.get(...tail) : undefined;
+      }
+      return value;
+    }},
+
+    get_maybe: {configurable: true, writable: true, value: function(subject, ...tail) {
+      const value = getValue(subject);
+      if (value === MISSING) {
+        return {};
+      }
+      if (tail.length > 0) {
+        return isLens(value) ? value.get_maybe(...tail) : {};
+      }
+      return {just: value};
+    }},
+
+    setInClone: {configurable: true, writable: true, value: function(subject, newVal) {
+      return setFrom(subject, 0, newVal);
+    }},
+
+    xformInClone: {configurable: true, writable: true, value: function(subject, fn, {addMissing = false} = {}) {
+      const value = getValue(subject);
+      if (value === MISSING && !addMissing) {
+        return subject;
+      }
+      const prevVal = (value === MISSING) ? undefined : value, newVal = fn(prevVal);
+      return (newVal === prevVal) ? subject : setFrom(subject, 0, newVal);
+    }},
+  });
+  return compiled;
+}
+
+const OBJECT_AT_MAYBE = Object.prototype[at_maybe],
+  ARRAY_AT_MAYBE = Array.prototype[at_maybe],
+  OBJECT_CLONE = Object.prototype[cloneImpl],
+  ARRAY_CLONE = Array.prototype[cloneImpl];
+
+// Inlines the stdlib Object and Array implementations of at_maybe
+function getKey(container, key) {
+  if (isObject(container)) {
+    const getImpl = container[at_maybe];
+    if (getImpl === OBJECT_AT_MAYBE) {
+      return (key in container) ? container[key] : MISSING;
+    }
+    if (getImpl === ARRAY_AT_MAYBE) {
+      if (typeof key === 'number') {
+        if (key < -container.length || key >= container.length) {
+          return MISSING;
+        }
+        if (key < 0) {
+          key = container.length + key;
+        }
+      }
+      return (key in container) ? container[key] : MISSING;
+    }
+  }
+  const value_maybe = index_maybe(container, key);
+  return ('just' in value_maybe) ? value_maybe.just : MISSING;
+}
+
+// Inlines the stdlib Object and Array implementations of cloneImpl for `set`
+export function setKey(container, key, value) {
+  if (isStdlibArray(container)) {
+    const result = container.concat();
+    if (typeof key === 'number' && key < 0) key = container.length + key;
+    result[key] = value;
+    return result;
+  }
+  if (isStdlibObject(container)) {
+    const result = Object.assign({}, container);
+    result[key] = value;
+    return result;
+  }
+  return (container || {})[cloneImpl]({set: [key, value]});
+}
+
+/**
+ * @private
+ * @summary Test whether a value is an Array cloned by the stdlib implementation
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isStdlibArray(value) {
+  return isArray(value) && value[cloneImpl] === ARRAY_CLONE;
+}
+
+/**
+ * @private
+ * @summary Test whether a value is a plain Object cloned by the stdlib implementation with `Object.assign`
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isStdlibObject(value) {
+  return (
+    isObject(value) &&
+    Object.getPrototypeOf(value) === Object.prototype &&
+    value[cloneImpl] === OBJECT_CLONE &&
+    copiesPlainObjectsByAssignment()
+  );
+}
+
+function customStepGetter(step) {
+  return (container) => {
+    const value_maybe = step.get_maybe(container);
+    return ('just' in value_maybe) ? value_maybe.just : MISSING;
+  };
+}
+
+function customStepSetter(step) {
+  return (container, value) => step.updatedClone(container, {just: value});
+}
@@ -0,0 +1,51 @@
+import CustomStep from './custom_step.js';
+
+const FIELD_SIZES = {
+  Int8: 1, Uint8: 1,
+  Int16: 2, Uint16: 2,
+  Int32: 4, Uint32: 4,
+  Float32: 4, Float64: 8,
+  BigInt64: 8, BigUint64: 8,
+};
+
+/**
+ * @summary Construct a {@link Step} for a numeric field of a `DataView`
+ * @since 2.4.0
+ * @see module:natural-lenses#dataViewField
+ */
+export default function dataViewField(byteOffset, type, {littleEndian = false} = {}) {
+  const size = FIELD_SIZES[type];
+  if (!size) {
+    throw new Error(`Unknown DataView field type ${JSON.stringify(type)}`);
+  }
+  const end = byteOffset + size, getter = 'get' + type, setter = 'set' + type;
+  
+  return new CustomStep(
+    (view) => {
+      if (!(view instanceof DataView) || end > view.byteLength) {
+        return {};
+      }
+      return {just: view[getter](byteOffset, littleEndian)};
+    },
+    (view, value_maybe) => {
+      const present = end <= view.byteLength;
+      if (!('just' in value_maybe) && !present) {
+        return view;
+      }
+      const bytes = new Uint8Array(Math.max(view.byteLength, end));
+      bytes.set(new Uint8Array(view.buffer, view.byteOffset, view.byteLength));
+      const result = new DataView(bytes.buffer);
+      result[setter](
+        byteOffset,
+        ('just' in value_maybe) ? value_maybe.just : zeroFor(type),
+        littleEndian
+      );
+      return result;
+    },
+    () => new DataView(new ArrayBuffer(end))
+  );
+}
+
+function zeroFor(type) {
+  return type.startsWith('Big') ? BigInt(0) : 0;
+}
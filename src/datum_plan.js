@@ -2,27 +2,177 @@ const { isArray } = Array;
 import forEach from './functional/each.js';
 import isFunction from './functional/isFunction.js';
 import isObject from './functional/isObject.js';
+import { datumPlanNode as PLAN_NODE } from '../src-cjs/constants.js';
+import CustomStep from './custom_step.js';
+import { schemaFromPlan, specFromJSONSchema } from './datum_plan_schema.js';
+import { declarePlanTypes } from './datum_plan_types.js';
 import { UndefinedPropertyError } from './errors.js';
+import { describeType, formatPath } from './explanation.js';
 import { smartLog } from './logger.js';
+import { deepEqual, index_maybe } from './utils.js';
+
+const INDEX_KEY = /^(0|[1-9][0-9]*)$/;
+
+/**
+ * @private
+ * @summary Datum plan spec wrapper carrying validation information for a slot
+ */
+class SlotAnnotation {
+  constructor({spec, optional = false, type = null}) {
+    this.spec = spec;
+    this.optional = optional;
+    this.type = type;
+    Object.freeze(this);
+  }
+}
+
+/**
+ * @private
+ * @summary Datum plan spec standing for a named spec, which may contain the reference itself
+ *
+ * @description
+ * The spec is only obtained when a plan is built from the reference, and a
+ * reference below the top of a plan is built on first use, so a plan can
+ * recur to any depth without being built infinitely deep.
+ */
+class PlanReference {
+  constructor(name, getSpec) {
+    let spec_maybe = {};
+    this.name = name;
+    this.getSpec = () => {
+      if (!('just' in spec_maybe)) {
+        spec_maybe = {just: getSpec()};
+      }
+      return spec_maybe.just;
+    };
+    Object.freeze(this);
+  }
+}
+
+/**
+ * @private
+ * @summary Datum plan spec for entry values that validates each entry by its key
+ *
+ * @description
+ * *spec* is the spec of the `$entryValue` plan.  An entry is validated
+ * against the spec of each rule whose `test` accepts its key or, if no rule
+ * accepts the key, against *otherSpec_maybe*; an entry is unexpected if
+ * *otherSpec_maybe* is *Nothing*.
+ */
+class EntryRules {
+  constructor(spec, rules, otherSpec_maybe) {
+    this.spec = spec;
+    this.rules = rules;
+    this.otherSpec_maybe = otherSpec_maybe;
+    Object.freeze(this);
+  }
+}
+
+/**
+ * @private
+ * @summary Make the `SELF`, `DEFINE`, and `REF` datum plan DSL entries for building one plan
+ * @returns {Object} With `dsl` (the DSL entries) and `rootReference` (a Function taking the spec for the whole plan and returning `SELF`)
+ */
+function makeSpecScope() {
+  const definitions = new Map(), references = new Map();
+  let rootSpec;
+  
+  function REF(name) {
+    if (!references.has(name)) {
+      references.set(name, new PlanReference(name, () => definitions.get(name)));
+    }
+    return references.get(name);
+  }
+  
+  const dsl = {
+    SELF: new PlanReference('self', () => rootSpec),
+    REF,
+    DEFINE(name, spec) {
+      if (definitions.has(name)) {
+        throw new Error(`Datum plan spec ${JSON.stringify(name)} is already defined`);
+      }
+      definitions.set(name, spec);
+      return REF(name);
+    },
+  };
+  
+  return {
+    dsl,
+    rootReference(spec) {
+      for (const name of references.keys()) {
+        if (!definitions.has(name)) {
+          throw new Error(`No datum plan spec defined as ${JSON.stringify(name)}`);
+        }
+      }
+      rootSpec = spec;
+      [dsl.SELF, ...references.values()].forEach(checkResolvesToSpec);
+      return dsl.SELF;
+    },
+  };
+}
+
+// A reference resolving only to references back to itself would be built without end
+function checkResolvesToSpec(reference) {
+  const seen = new Set();
+  let spec = reference;
+  while (isPlanReference(spec)) {
+    while (spec instanceof SlotAnnotation) {
+      spec = spec.spec;
+    }
+    if (seen.has(spec)) {
+      throw new Error(`Datum plan spec ${JSON.stringify(spec.name)} refers only to itself`);
+    }
+    seen.add(spec);
+    spec = spec.getSpec();
+  }
+}
+
+/**
+ * @private
+ * @summary Value computed on first access
+ */
+class Deferred {
+  constructor(compute) {
+    this.compute = compute;
+    this.value_maybe = {};
+  }
+  
+  get value() {
+    if (!('just' in this.value_maybe)) {
+      this.value_maybe = {just: this.compute()};
+    }
+    return this.value_maybe.just;
+  }
+}
 
 export function makeExports({fuse, isLens, lens}) {
   const WEAK_LENS_METHODS = (function() {
     const result = {},
       getHas = lens('has').$`bound`,
       getIterator = lens(Symbol.iterator).$`bound`;
-    let namesPreviouslyGiven = [];
+    function versionEntry(nameSet) {
+      return {
+        has: getHas(nameSet),
+        [Symbol.iterator]: getIterator(nameSet),
+      };
+    }
+    let namesPreviouslyGiven = versionEntry(new Set());
     function addVersionEntry(version, names) {
       if (!names) {
         result[version] = namesPreviouslyGiven;
         return;
       }
-      const nameSet = new Set([...namesPreviouslyGiven, ...names]);
-      result[version] = namesPreviouslyGiven = {
-        has: getHas(nameSet),
-        [Symbol.iterator]: getIterator(nameSet),
-      };
+      result[version] = namesPreviouslyGiven = versionEntry(
+        new Set([...namesPreviouslyGiven, ...names])
+      );
     }
     
+    addVersionEntry('2.4');
+    addVersionEntry('2.3', [
+      '$validate', 'appendInClone', 'compile', 'deleteInClone', 'each',
+      'explain', 'insertInClone', 'maybe', 'moveInClone', 'removeInClone',
+      'toPointer',
+    ]);
     addVersionEntry('2.2');
     addVersionEntry('2.1', ['extractor', 'extractor_maybe']);
     addVersionEntry('2.0');
@@ -51,6 +201,20 @@ export function makeExports({fuse, isLens, lens}) {
     {[others]: value}
   );
   
+  const slotTypes = {
+    STRING: new SlotAnnotation({spec: value, type: {name: 'string'}}),
+    NUMBER: new SlotAnnotation({spec: value, type: {name: 'number'}}),
+    BOOLEAN: new SlotAnnotation({spec: value, type: {name: 'boolean'}}),
+    ENUM: (...values) => new SlotAnnotation({spec: value, type: {name: 'enum', values}}),
+    PREDICATE: (predicate, description = predicate.name || 'predicate') => new SlotAnnotation({
+      spec: value,
+      type: {name: 'predicate', predicate, description},
+    }),
+    OPTIONAL: (spec = value) => (spec instanceof SlotAnnotation)
+      ? new SlotAnnotation({...spec, optional: true})
+      : new SlotAnnotation({spec, optional: true}),
+  };
+  
   class PlanBuilder {
     constructor(keys = [], options = {}) {
       this.keys = keys;
@@ -68,8 +232,18 @@ export function makeExports({fuse, isLens, lens}) {
     }
     
     buildPlan(rawPlan) {
-      if (isArray(rawPlan)) {
+      if (rawPlan instanceof SlotAnnotation) {
+        const result = this.buildPlan(rawPlan.spec), node = result[PLAN_NODE];
+        node.optional = node.optional || rawPlan.optional;
+        node.type = rawPlan.type || node.type;
+        return result;
+      } else if (rawPlan instanceof PlanReference) {
+        const result = this.buildPlan(rawPlan.getSpec()), node = result[PLAN_NODE];
+        node.reference = node.reference || rawPlan;
+        return result;
+      } else if (isArray(rawPlan)) {
         const result = this.makeLens(...this.keys);
+        this.attachPlanNode(result, {kind: 'array', item: null});
         if (rawPlan.length > 1) {
           smartLog({
             level: 'error',
@@ -81,17 +255,34 @@ export function makeExports({fuse, isLens, lens}) {
           });
           throw new Error(`Multiple plans for Array items at ${keyDesc(this.keys)}`);
         } else if (rawPlan.length) {
-          result.$item = new PlanBuilder([], this.options).buildPlan(rawPlan[0]);
-          Object.assign(result, this.indexableMixin(result.$item));
+          const itemSlot = new PlanBuilder([], this.options).slotPlan(rawPlan[0]);
+          assignSlot(result, '$item', itemSlot);
+          assignSlot(result[PLAN_NODE], 'item', itemSlot);
+          Object.assign(result, this.indexableMixin());
         }
         return result;
       } else if (rawPlan.constructor === Object || rawPlan === NAMED_VALUES) {
         const result = this.makeLens(...this.keys);
-        const theseKeys = this.keys;
+        const node = this.attachPlanNode(result, {kind: 'object', children: null, entries: null, entryRules: null, tuple: false});
+        const theseKeys = this.keys, childSlots = new Map();
         try {
           if (others in rawPlan) {
-            result.$entryValue = new PlanBuilder([], this.options).buildPlan(rawPlan[others]);
-            Object.assign(result, this.entriesMixin(result.$entryValue, Object.keys(rawPlan)));
+            const entryBuilder = new PlanBuilder([], this.options), entrySpec = rawPlan[others];
+            let entrySlot;
+            if (entrySpec instanceof EntryRules) {
+              entrySlot = entryBuilder.slotPlan(entrySpec.spec);
+              node.entryRules = {
+                rules: entrySpec.rules.map(({test, spec}) => ({test, slot: entryBuilder.slotPlan(spec)})),
+                otherSlot_maybe: ('just' in entrySpec.otherSpec_maybe)
+                  ? {just: entryBuilder.slotPlan(entrySpec.otherSpec_maybe.just)}
+                  : {},
+              };
+            } else {
+              entrySlot = entryBuilder.slotPlan(entrySpec);
+            }
+            assignSlot(result, '$entryValue', entrySlot);
+            assignSlot(node, 'entries', entrySlot);
+            Object.assign(result, this.entriesMixin(Object.keys(rawPlan)));
           }
           const conflictedChildren = {}, addedChildren = new Set();
           for (let key of Object.keys(rawPlan)) {
@@ -99,17 +290,18 @@ export function makeExports({fuse, isLens, lens}) {
             this.keys = theseKeys.concat([key]);
             try {
               this.parent = result;
-              const childPlan = this.buildPlan(rawPlan[key]);
+              const childSlot = this.slotPlan(rawPlan[key]);
+              childSlots.set(key, childSlot);
               if (key in result) {
                 if (this.weakLensMethods.has(key)) {
                   conflictedChildren[key] = result[key];
-                  result[key] = childPlan;
+                  assignSlot(result, key, childSlot);
                   addedChildren.add(key);
                 } else {
-                  conflictedChildren[key] = childPlan;
+                  conflictedChildren[key] = childSlot;
                 }
               } else {
-                result[key] = childPlan;
+                assignSlot(result, key, childSlot);
                 addedChildren.add(key);
               }
             } finally {
@@ -120,16 +312,17 @@ export function makeExports({fuse, isLens, lens}) {
             this.keys = theseKeys.concat([key]);
             try {
               this.parent = result;
-              const childPlan = this.buildPlan(rawPlan[raw][key]);
+              const childSlot = this.slotPlan(rawPlan[raw][key]);
+              childSlots.set(key, childSlot);
               if (key in result && !addedChildren.has(key)) {
                 if (this.weakLensMethods.has(key)) {
                   conflictedChildren[key] = result[key];
-                  result[key] = childPlan;
+                  assignSlot(result, key, childSlot);
                 } else {
-                  conflictedChildren[key] = childPlan;
+                  conflictedChildren[key] = childSlot;
                 }
               } else {
-                result[key] = childPlan;
+                assignSlot(result, key, childSlot);
               }
             } finally {
               this.parent = null;
@@ -140,14 +333,30 @@ export function makeExports({fuse, isLens, lens}) {
             while (planKey in result) {
               planKey = '_' + planKey;
             }
-            result[planKey] = lensTree;
+            assignSlot(result, planKey, lensTree);
           });
+          assignSlot(node, 'children', new Deferred(
+            () => new Map(Array.from(childSlots, ([key, slot]) => [key, slotValue(slot)]))
+          ));
+          // An Object spec with only index keys is an Array with elements given by position
+          assignSlot(node, 'tuple', new Deferred(
+            () => !node.entries && node.children.size > 0 && Array.from(node.children.values()).every(
+              child => INDEX_KEY.test(child.keys[child.keys.length - 1])
+            )
+          ));
         } finally {
           this.keys = theseKeys;
         }
         return result;
+      } else if (rawPlan instanceof CustomStep) {
+        // The Step takes the place of the property name as the last key
+        const result = this.makeLens(...this.keys.slice(0, -1), rawPlan);
+        this.attachPlanNode(result, {kind: 'value'});
+        return result;
       } else if (rawPlan === value || this.podInput) {
-        return this.makeLens(...this.keys);
+        const result = this.makeLens(...this.keys);
+        this.attachPlanNode(result, {kind: 'value'});
+        return result;
       } else {
         smartLog({
           level: 'error',
@@ -165,7 +374,7 @@ export function makeExports({fuse, isLens, lens}) {
      * @mixin
      * @name IndexableMixin
      */
-    indexableMixin(itemPlan) {
+    indexableMixin() {
       return {
         /**
          * @function
@@ -211,7 +420,7 @@ export function makeExports({fuse, isLens, lens}) {
           if (pickLens && pickLens[isLens]) {
             return fuse(itemLens, pickLens);
           } else if (typeof pickLens === 'function') {
-            return fuse(itemLens, pickLens.call(undefined, itemPlan));
+            return fuse(itemLens, pickLens.call(undefined, this.$item));
           } else {
             return itemLens;
           }
@@ -258,7 +467,7 @@ export function makeExports({fuse, isLens, lens}) {
         mapInside: function (subject, ...manipulators) {
           if (manipulators.length === 2) {
             const [getLens, itemSlotXform] = manipulators;
-            const itemLens = getLens.xformInClone ? getLens : getLens.call(undefined, itemPlan);
+            const itemLens = getLens.xformInClone ? getLens : getLens.call(undefined, this.$item);
             
             return this.xformIterableInClone(subject, items => {
               const mapped = Array.from(
@@ -366,7 +575,7 @@ export function makeExports({fuse, isLens, lens}) {
      * @mixin
      * @name EntriesMixin
      */
-    entriesMixin(valuePlan, explicitKeys) {
+    entriesMixin(explicitKeys) {
       explicitKeys = new Set(explicitKeys);
       
       return {
@@ -403,7 +612,7 @@ export function makeExports({fuse, isLens, lens}) {
           if (pickLens && pickLens[isLens]) {
             return fuse(itemLens, pickLens);
           } else if (typeof pickLens === 'function') {
-            return fuse(itemLens, pickLens.call(undefined, valuePlan));
+            return fuse(itemLens, pickLens.call(undefined, this.$entryValue));
           } else {
             return itemLens;
           }
@@ -454,7 +663,7 @@ export function makeExports({fuse, isLens, lens}) {
          */
         mapInside: function (subject, ...manipulators) {
           const valueModifier = entryValueModifier({
-            manipulators, valuePlan, fnName: 'mapInside'
+            manipulators, valuePlan: this.$entryValue, fnName: 'mapInside'
           });
           
           return this.xformInClone(subject, entryValueXform({
@@ -506,7 +715,7 @@ export function makeExports({fuse, isLens, lens}) {
          */
         mapAllInside: function (subject, ...manipulators) {
           const valueModifier = entryValueModifier({
-            manipulators, valuePlan, fnName: 'mapAllInside'
+            manipulators, valuePlan: this.$entryValue, fnName: 'mapAllInside'
           });
           
           return this.xformInClone(subject, entryValueXform({
@@ -516,6 +725,25 @@ export function makeExports({fuse, isLens, lens}) {
       };
     }
     
+    /*
+     * Builds the plan for *spec* at the current keys, except that the plan for
+     * a reference is deferred until first used
+     */
+    slotPlan(spec) {
+      if (!isPlanReference(spec)) {
+        return this.buildPlan(spec);
+      }
+      const keys = this.keys;
+      return new Deferred(() => new PlanBuilder(keys, this.options).buildPlan(spec));
+    }
+    
+    attachPlanNode(resultLens, nodeProps) {
+      const node = {optional: false, type: null, reference: null, ...nodeProps};
+      Object.defineProperty(resultLens, PLAN_NODE, {configurable: true, value: node});
+      Object.assign(resultLens, ValidationMixin);
+      return node;
+    }
+    
     makeLens(...keys) {
       let resultLens = lens(...keys);
       if (this.proxyGuarded) {
@@ -539,6 +767,37 @@ export function makeExports({fuse, isLens, lens}) {
    * @property RAW  Allows specifying otherwise special property names; its value
    *                should be an object whose properties will spec lenses in the
    *                Object where *RAW* appears
+   * @property STRING  *(since 2.4.0)* Like *VALUE*, but [validated]{@link ValidationMixin~$validate}
+   *                   to be a string
+   * @property NUMBER  *(since 2.4.0)* Like *VALUE*, but validated to be a number
+   * @property BOOLEAN  *(since 2.4.0)* Like *VALUE*, but validated to be a boolean
+   * @property {function(...*)} ENUM  *(since 2.4.0)* Called with the allowed values to spec
+   *                                  a "tip" validated to be one of them
+   * @property {function(function(*): boolean, string=)} PREDICATE  *(since 2.4.0)* Called
+   *                                  with a predicate Function (and optionally a
+   *                                  description of it for validation messages) to
+   *                                  spec a "tip" validated by the predicate
+   * @property {Function} OPTIONAL  *(since 2.4.0)* Called with a spec (default *VALUE*) to
+   *                                mark the slot as allowed to be missing when validating
+   * @property SELF  *(since 2.4.0)* A spec standing for the whole datum plan spec, for
+   *                 recursive (e.g. tree) structures; see [recursive plans]{@tutorial datum-plans}
+   * @property {function(string)} REF  *(since 2.4.0)* Called with a name to get a spec
+   *                                   standing for the spec given that name with *DEFINE*,
+   *                                   which may itself contain the reference
+   * @property {function(string, *)} DEFINE  *(since 2.4.0)* Called with a name and a spec to
+   *                                         give the spec that name, returning the same
+   *                                         reference as *REF* does for the name
+   */
+  
+  /**
+   * @typedef DatumPlan_Issue
+   * @since 2.4.0
+   * @summary A departure of a subject from a datum plan
+   * @property {string} code  `'missing'`, `'type'`, `'enum'`, `'predicate'`, or `'unexpected'`
+   * @property {Array.<*>} path  Keys (as for {@link Lens}) from the subject to the slot with the issue
+   * @property {string} message  Human-readable description of the issue
+   * @property {*} [expected]  The expected type name, allowed values, or predicate description
+   * @property {*} [actual]  The type name (for `'type'`) or value (for `'enum'` and `'predicate'`) found
    */
   
   /**
@@ -687,11 +946,13 @@ export function makeExports({fuse, isLens, lens}) {
     });
   };
   
-  function makeDatumPlanDSL() {
+  function makeDatumPlanDSL(scope = makeSpecScope()) {
     return {
       VALUE: value,
       RAW: raw,
       NAMED_VALUES,
+      ...slotTypes,
+      ...scope.dsl,
     }
   }
   
@@ -745,6 +1006,14 @@ export function makeExports({fuse, isLens, lens}) {
    * "special key" pattern (double parentheses containing only lowercase
    * letters).
    *
+   * A spec written as a plain literal is finite, so it cannot describe a
+   * recursive structure like a tree.  Within a
+   * [DSL callback]{@link DatumPlan_DslCallback}, `SELF` stands for the whole
+   * spec returned and `REF(name)` for the spec given to `DEFINE(name, spec)`;
+   * either may appear within the spec it stands for.  The plan for such a
+   * reference is built when first accessed, so the plan extends to whatever
+   * depth is used (e.g. `plan.children.$item.children.$item.title`).
+   *
    * The resulting datum plan will be structured vaguely like *spec* (or the
    * result of calling *spec*) and constructed to access a value of similar
    * structure to *spec*.
@@ -760,14 +1029,18 @@ export function makeExports({fuse, isLens, lens}) {
    */
   function makeDatumPlan(rawPlan, { planGroup, methodsVersion } = {}) {
     if (isFunction(rawPlan)) {
-      rawPlan = rawPlan.call(undefined, makeDatumPlanDSL());
+      const scope = makeSpecScope();
+      rawPlan = scope.rootReference(rawPlan.call(undefined, makeDatumPlanDSL(scope)));
     }
     return new PlanBuilder([], { planGroup, methodsVersion }).buildPlan(rawPlan);
   }
   Object.assign(makeDatumPlan, {
+    fromJSONSchema,
     fromPOD,
     others,
     raw,
+    toJSONSchema,
+    typeDeclarations,
     value,
     WEAK_LENS_METHODS,
   });
@@ -802,9 +1075,10 @@ export function makeExports({fuse, isLens, lens}) {
    * and ambiguities.
    */
   function fromPOD(rawPlan, { tweaks = [], ...opts } = {}) {
+    const scope = makeSpecScope();
     if (isFunction(tweaks)) {
       tweaks = tweaks.call(undefined, {
-        ...makeDatumPlanDSL(),
+        ...makeDatumPlanDSL(scope),
         lens,
         access: {
           VALUE(...keys) {
@@ -836,12 +1110,163 @@ export function makeExports({fuse, isLens, lens}) {
     for (const tweak of tweaks) {
       rawPlan = tweak.call(undefined, rawPlan);
     }
-    return new PlanBuilder([], { ...opts, podInput: true }).buildPlan(rawPlan);
+    return new PlanBuilder([], { ...opts, podInput: true }).buildPlan(scope.rootReference(rawPlan));
+  }
+  
+  /**
+   * @function module:natural-lenses/datum-plan#fromJSONSchema
+   * @since 2.4.0
+   * @summary Generate a datum plan from a JSON Schema
+   * @param {Object|boolean} schema  The JSON Schema describing the data to access
+   * @param {Object} [opts]  See [*opts* in datumPlan]{@link module:natural-lenses/datum-plan}
+   * @returns {Lens} A Lens with {@link Lens} properties which may, in turn, have {@link Lens} properties; mixin methods may be added to some of these lenses
+   * @see module:natural-lenses/datum-plan
+   *
+   * @description
+   * Where a JSON Schema for the data already exists, this function keeps it
+   * the single source of truth for both validating the data and building
+   * [Lenses]{@link Lens} into it.  The schema maps onto a datum plan spec as
+   * follows:
+   *
+   * * `properties` become the explicit properties of an Object spec, those
+   *   not listed in `required` being wrapped in `OPTIONAL` (see
+   *   {@link DatumPlan_Dsl});
+   * * `additionalProperties` (other than `false`) and `patternProperties`
+   *   become the entry spec, as with `NAMED_VALUES`, using a plain value spec
+   *   if more than one schema applies; an object schema without
+   *   `additionalProperties` allows entries of any value beside its
+   *   `properties`, as JSON Schema does;
+   * * entries are validated against the schema of each `patternProperties`
+   *   pattern matching their key or, if none matches, against
+   *   `additionalProperties` (and are unexpected if it is `false`);
+   * * `items` (as a single schema) becomes the item spec of an Array spec;
+   *   tuples (`prefixItems` or an Array of `items`) get no item spec;
+   * * `const`, `enum`, and `type` on any other schema become `ENUM`, `STRING`,
+   *   `NUMBER`, or `BOOLEAN` annotations, or a `PREDICATE` for `integer` or
+   *   a list of types; and
+   * * `$ref`s to JSON Pointers within *schema* (e.g. `"#/$defs/node"`) are
+   *   built into the plan when first accessed, so a schema may refer to
+   *   itself and the plan extends to whatever depth is accessed.
+   *
+   * Other keywords — including the combinators (`allOf`, `anyOf`, `oneOf`,
+   * and `not`) and any keywords beside a `$ref` — are not interpreted.  A
+   * `$ref` to anything other than a JSON Pointer fragment within *schema*
+   * causes an Error.
+   *
+   * The resulting plan [validates]{@link ValidationMixin~$validate} data
+   * against the structure, requirements, and types drawn from *schema*.
+   */
+  function fromJSONSchema(schema, opts = {}) {
+    return makeDatumPlan(
+      specFromJSONSchema(schema, makeDatumPlanDSL(), {
+        makeReference: (name, getSpec) => new PlanReference(name, getSpec),
+        makeEntryRules: (spec, rules, otherSpec_maybe) => new EntryRules(spec, rules, otherSpec_maybe),
+      }),
+      opts
+    );
+  }
+  
+  /**
+   * @function module:natural-lenses/datum-plan#toJSONSchema
+   * @since 2.4.0
+   * @summary Describe the data accessed through a datum plan with a JSON Schema
+   * @param {*} plan  A datum plan (or a spec from which to build one)
+   * @param {Object} [opts]  Options for building a plan from a spec, as for [datumPlan]{@link module:natural-lenses/datum-plan}
+   * @returns {Object}  A draft 2020-12 JSON Schema
+   *
+   * @description
+   * The returned schema lets services that do not load this package — and
+   * API documentation tools — check or describe the data with off-the-shelf
+   * JSON Schema tooling.  It accepts the same data as
+   * [`$validate`]{@link ValidationMixin~$validate} with a few exceptions:
+   *
+   * * Object slots have `properties` for their explicit properties (all
+   *   `required` except those wrapped in `OPTIONAL`) and the entry schema
+   *   from `others` (or `NAMED_VALUES`) as `additionalProperties`, which is
+   *   `false` without one;
+   * * Array slots have their item schema as `items`, and Object specs with
+   *   only index keys (and no `others`) become `prefixItems` tuples;
+   * * `STRING`, `NUMBER`, `BOOLEAN`, and `ENUM` annotations become `type`
+   *   or `enum`, but a `PREDICATE` only adds a `description`;
+   * * an Object containing a [Step]{@link Step} is unconstrained; and
+   * * a reference (from a `$ref` in a schema given to
+   *   [fromJSONSchema]{@link module:natural-lenses/datum-plan#fromJSONSchema})
+   *   is described once under `$defs` and referred to with `$ref`.
+   */
+  function toJSONSchema(plan, opts = {}) {
+    return schemaFromPlan((plan && plan[PLAN_NODE]) ? plan : makeDatumPlan(plan, opts));
+  }
+  
+  /**
+   * @function module:natural-lenses/datum-plan#typeDeclarations
+   * @since 2.4.0
+   * @summary Generate TypeScript declarations for datum plans and the data they describe
+   * @param {Object.<string,*>} plans  Datum plans (or specs from which to build them) keyed by type name
+   * @param {Object} [opts]  Options for building plans from specs, as for [datumPlan]{@link module:natural-lenses/datum-plan}
+   * @returns {string}  The text of a `.d.ts` module
+   *
+   * @description
+   * For each entry of *plans*, the generated module exports two types: one
+   * with the name of the entry for the data the plan describes, and one with
+   * `Plan` appended to the name for the tree of [Lenses]{@link Lens} making
+   * up the plan.  With these, a misspelled plan property is a compile-time
+   * error in TypeScript rather than something found at run time (e.g. with
+   * `DATUM_PLAN_GUARDS`).
+   *
+   * The plan types include the properties of the plan as built — with names
+   * from `RAW` and names changed by deconfliction (e.g. `_keys`) — and the
+   * `$item` and `$entryValue` plans of Arrays and dictionary-like Objects,
+   * beside the public members of [Lens]{@link Lens}.
+   *
+   * In the data types, slots spec'd with `STRING`, `NUMBER`, `BOOLEAN`, or
+   * `ENUM` from the [DSL]{@link DatumPlan_Dsl} have the corresponding types,
+   * slots wrapped with `OPTIONAL` are optional properties, and other "tips"
+   * are `unknown`.  An Object spec with only index keys (and no `others`)
+   * describes a tuple type, as it does for
+   * [`$validate`]{@link ValidationMixin~$validate} and
+   * [toJSONSchema]{@link module:natural-lenses/datum-plan#toJSONSchema}.  The
+   * type of an Object containing a [Step]{@link Step} is `unknown`, as the
+   * properties a Step reads cannot be known.
+   *
+   * The `datum-plan-types` command installed with this package writes these
+   * declarations for the datum plans exported by a module.
+   */
+  function typeDeclarations(plans, opts = {}) {
+    const namedPlans = {};
+    for (const name of Object.keys(plans)) {
+      const plan = plans[name];
+      namedPlans[name] = (plan && plan[PLAN_NODE]) ? plan : makeDatumPlan(plan, opts);
+    }
+    return declarePlanTypes(namedPlans);
   }
   
   return makeDatumPlan;
 }
 
+function isPlanReference(spec) {
+  while (spec instanceof SlotAnnotation) {
+    spec = spec.spec;
+  }
+  return spec instanceof PlanReference;
+}
+
+// Assigns the plan (or other value) in *slot* as *target[name]*, building a Deferred plan when first read
+function assignSlot(target, name, slot) {
+  if (slot instanceof Deferred) {
+    Object.defineProperty(target, name, {
+      configurable: true,
+      enumerable: true,
+      get: () => slot.value,
+    });
+  } else {
+    target[name] = slot;
+  }
+}
+
+function slotValue(slot) {
+  return (slot instanceof Deferred) ? slot.value : slot;
+}
+
 function itemsStrictEqual(a, b) {
   for (let i = 0; i < a.length; i++) {
     if (a[i] !== b[i]) return false;
@@ -901,3 +1326,151 @@ function keyDesc(keys) {
   });
   return `[${items.join(', ')}]`;
 }
+
+/**
+ * @mixin
+ * @name ValidationMixin
+ * @since 2.4.0
+ */
+const ValidationMixin = {
+  /**
+   * @function
+   * @name ValidationMixin~$validate
+   * @since 2.4.0
+   * @summary Check the target of this lens in a subject against the datum plan
+   * @param subject  The input structured data
+   * @return {Array.<DatumPlan_Issue>}  The departures of the target from the plan, empty if it conforms
+   *
+   * @description
+   * Every slot in the plan is required unless its spec is wrapped with
+   * `OPTIONAL` from the [DSL]{@link DatumPlan_Dsl}.  A slot whose spec is
+   * an Array must hold an Array, each element of which is checked against
+   * the item spec (if given).  A slot whose spec is an Object must hold
+   * an Object — or, if the spec has only index keys and no `others`, a
+   * "tuple" Array — and each of its own-properties not named in the
+   * spec is checked against the spec for `others` (or `NAMED_VALUES`)
+   * or, if there is none, reported as unexpected.  A slot annotated in the DSL
+   * with a type, an enumeration of values, or a predicate must hold a
+   * matching value.
+   *
+   * Checking stops at the first issue found for a slot, so no issues
+   * are reported within a container of the wrong type.  The `path` of
+   * each issue gives the keys from the subject to the slot, including
+   * the keys of this lens.
+   */
+  $validate: function (subject) {
+    const issues = [];
+    validateSlot(this, this.get_maybe(subject), this.keys, issues);
+    return issues;
+  },
+};
+
+function validateSlot(plan, value_maybe, path, issues) {
+  const node = plan[PLAN_NODE];
+  if (!('just' in value_maybe)) {
+    if (!node.optional) {
+      issues.push({code: 'missing', path, message: `Missing required slot at ${formatPath(path)}`});
+    }
+    return;
+  }
+  const value = value_maybe.just;
+  const typeIssue = node.type && slotTypeIssue(node.type, value, path);
+  if (typeIssue) {
+    issues.push(typeIssue);
+  } else if (node.kind === 'array') {
+    if (!isArray(value)) {
+      issues.push(wrongTypeIssue('Array', value, path));
+    } else if (node.item) {
+      for (let i = 0; i < value.length; i++) {
+        validateSlot(node.item, (i in value) ? {just: value[i]} : {}, path.concat([i]), issues);
+      }
+    }
+  } else if (node.kind === 'object') {
+    validateObjectSlot(node, value, path, issues);
+  }
+}
+
+function validateObjectSlot(node, value, path, issues) {
+  const childKeys = Array.from(node.children.values(), child => child.keys[child.keys.length - 1]);
+  if (node.tuple ? !isArray(value) : (!isObject(value) || isArray(value))) {
+    issues.push(wrongTypeIssue(node.tuple ? 'Array' : 'Object', value, path));
+    return;
+  }
+  node.children.forEach(child => {
+    const key = child.keys[child.keys.length - 1];
+    const child_maybe = (key instanceof CustomStep) ? key.get_maybe(value) : index_maybe(value, key);
+    validateSlot(child, child_maybe, path.concat([key]), issues);
+  });
+  
+  // Which properties a Step reads cannot be known, so none are unexpected
+  if (childKeys.some(key => key instanceof CustomStep)) {
+    return;
+  }
+  const explicitKeys = new Set(childKeys.map(String));
+  for (const key of Object.keys(value)) {
+    if (explicitKeys.has(key)) continue;
+    const keyPath = path.concat([isArray(value) ? Number(key) : key]);
+    const entryPlans = entryPlansFor(node, key);
+    if (entryPlans.length > 0) {
+      entryPlans.forEach(entryPlan => validateSlot(entryPlan, {just: value[key]}, keyPath, issues));
+    } else {
+      issues.push({code: 'unexpected', path: keyPath, message: `Unexpected slot at ${formatPath(keyPath)}`});
+    }
+  }
+}
+
+function entryPlansFor(node, key) {
+  if (!node.entryRules) {
+    return node.entries ? [node.entries] : [];
+  }
+  const { rules, otherSlot_maybe } = node.entryRules;
+  const matched = rules.filter(rule => rule.test(key));
+  if (matched.length > 0) {
+    return matched.map(rule => slotValue(rule.slot));
+  }
+  return ('just' in otherSlot_maybe) ? [slotValue(otherSlot_maybe.just)] : [];
+}
+
+function slotTypeIssue(type, value, path) {
+  switch (type.name) {
+    case 'enum':
+      return enumIncludes(type.values, value) ? null : {
+        code: 'enum',
+        path,
+        expected: type.values,
+        actual: value,
+        message: `Expected one of ${type.values.map(describeValue).join(', ')} at ${formatPath(path)}, found ${describeValue(value)}`,
+      };
+    case 'predicate':
+      return type.predicate(value) ? null : {
+        code: 'predicate',
+        path,
+        expected: type.description,
+        actual: value,
+        message: `Value at ${formatPath(path)} does not satisfy ${type.description}`,
+      };
+    default:
+      return (typeof value === type.name) ? null : wrongTypeIssue(type.name, value, path);
+  }
+}
+
+function enumIncludes(values, value) {
+  // Objects in an enumeration (e.g. from a JSON Schema "const") match by structure
+  return values.includes(value) || values.some(v => isObject(v) && deepEqual(v, value));
+}
+
+function wrongTypeIssue(expected, value, path) {
+  const actual = describeType(value);
+  return {
+    code: 'type',
+    path,
+    expected,
+    actual,
+    message: `Expected ${expected} at ${formatPath(path)}, found ${actual}`,
+  };
+}
+
+function describeValue(value) {
+  const json = (typeof value === 'symbol') ? undefined : JSON.stringify(value);
+  return (json === undefined) ? String(value) : json;
+}
@@ -0,0 +1,325 @@
+const { isArray } = Array;
+import isObject from './functional/isObject.js';
+import { datumPlanNode } from '../src-cjs/constants.js';
+import CustomStep from './custom_step.js';
+import { formatPointer, parsePointer } from './json_pointer.js';
+import { index_maybe } from './utils.js';
+
+const SPECIAL_KEY = /\(\([a-z]+\)\)/;
+const DRAFT_2020_12 = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * @private
+ * @summary Convert a JSON Schema into a datum plan spec
+ * @param {Object|boolean} schema  The JSON Schema document
+ * @param {DatumPlan_Dsl} dsl  The datum plan DSL with which to build the spec
+ * @param {Object} hooks
+ * @param {function(string, function(): *): *} hooks.makeReference  Makes a reference spec from a name and a Function returning the spec referred to
+ * @param {function(*, Array.<{test: function(string): boolean, spec: *}>, Maybe.<*>): *} hooks.makeEntryRules  Makes a spec for entry values validated by key from the `$entryValue` spec, the rules matching keys to specs, and the spec for keys no rule matches (*Nothing* if such keys are unexpected)
+ * @returns {*}  A reference to the spec for the whole of *schema*
+ *
+ * @description
+ * See [fromJSONSchema]{@link module:natural-lenses/datum-plan#fromJSONSchema}.
+ */
+export function specFromJSONSchema(schema, dsl, {makeReference, makeEntryRules}) {
+  const references = new Map();
+
+  function reference(ref) {
+    if (!references.has(ref)) {
+      const keys = refKeys(ref), target = resolveRef(ref);
+      checkRefChain(ref, target);
+      const name = (keys.length > 0) ? String(keys[keys.length - 1]) : 'root';
+      references.set(ref, makeReference(name, () => convert(target, keys)));
+    }
+    return references.get(ref);
+  }
+
+  function resolveRef(ref) {
+    const target_maybe = refKeys(ref).reduce(
+      (cur_maybe, key) => ('just' in cur_maybe) ? index_maybe(cur_maybe.just, key) : cur_maybe,
+      {just: schema}
+    );
+    if (!('just' in target_maybe)) {
+      throw new Error(`Unresolvable $ref ${JSON.stringify(ref)}`);
+    }
+    return target_maybe.just;
+  }
+
+  // A $ref to a $ref ... back to the first would be a spec that is only a reference to itself
+  function checkRefChain(ref, target) {
+    const seen = new Set([ref]);
+    while (isObject(target) && typeof target.$ref === 'string') {
+      if (seen.has(target.$ref)) {
+        throw new Error(`Circular $ref ${JSON.stringify(ref)}`);
+      }
+      seen.add(target.$ref);
+      target = resolveRef(target.$ref);
+    }
+  }
+
+  function convert(subschema, keys) {
+    if (subschema === true) {
+      return dsl.VALUE;
+    }
+    if (subschema === false) {
+      return dsl.ENUM();
+    }
+    if (!isObject(subschema) || isArray(subschema)) {
+      throw new Error(`Invalid JSON Schema at ${JSON.stringify('#' + formatPointer(keys))}`);
+    }
+    if (typeof subschema.$ref === 'string') {
+      return reference(subschema.$ref);
+    }
+
+    const types = (subschema.type === undefined) ? [] : [].concat(subschema.type);
+    if (
+      types.includes('object') ||
+      ['properties', 'patternProperties', 'additionalProperties'].some(k => k in subschema)
+    ) {
+      return objectSpec(subschema, keys);
+    }
+    if (types.includes('array') || 'items' in subschema || 'prefixItems' in subschema) {
+      return arraySpec(subschema, keys);
+    }
+    return valueSpec(subschema, types);
+  }
+
+  function objectSpec(subschema, keys) {
+    const properties = subschema.properties || {}, required = new Set(subschema.required || []);
+    const spec = {}, rawProperties = {};
+    for (const name of Object.keys(properties)) {
+      const propertySpec = convert(properties[name], keys.concat(['properties', name]));
+      (SPECIAL_KEY.test(name) ? rawProperties : spec)[name] = required.has(name)
+        ? propertySpec
+        : dsl.OPTIONAL(propertySpec);
+    }
+    if (Object.keys(rawProperties).length > 0) {
+      spec[dsl.RAW] = rawProperties;
+    }
+
+    const patternProperties = subschema.patternProperties || {};
+    const rules = Object.keys(patternProperties).map(pattern => {
+      const regex = new RegExp(pattern, 'u');
+      return {
+        test: key => regex.test(key),
+        spec: convert(patternProperties[pattern], keys.concat(['patternProperties', pattern])),
+      };
+    });
+    const additional = subschema.additionalProperties;
+    const otherSpec_maybe = (additional === false) ? {} : {
+      just: (additional === undefined) ? dsl.VALUE : convert(additional, keys.concat(['additionalProperties'])),
+    };
+    if (rules.length > 0) {
+      // The $entryValue plan can only be specific if every entry has the same spec
+      const entrySpecs = rules.map(rule => rule.spec).concat(
+        ('just' in otherSpec_maybe) ? [otherSpec_maybe.just] : []
+      );
+      const entrySpec = (entrySpecs.length === 1) ? entrySpecs[0] : dsl.VALUE;
+      Object.assign(spec, dsl.NAMED_VALUES(makeEntryRules(entrySpec, rules, otherSpec_maybe)));
+    } else if ('just' in otherSpec_maybe) {
+      Object.assign(spec, dsl.NAMED_VALUES(otherSpec_maybe.just));
+    }
+    return spec;
+  }
+
+  function arraySpec(subschema, keys) {
+    // Tuples (and their "rest" items) have no single item spec
+    if ('prefixItems' in subschema || isArray(subschema.items) || subschema.items === undefined) {
+      return [];
+    }
+    return [convert(subschema.items, keys.concat(['items']))];
+  }
+
+  function valueSpec(subschema, types) {
+    if ('const' in subschema) {
+      return dsl.ENUM(subschema.const);
+    }
+    if (isArray(subschema.enum)) {
+      return dsl.ENUM(...subschema.enum);
+    }
+    if (types.length === 1) {
+      switch (types[0]) {
+        case 'string': return dsl.STRING;
+        case 'number': return dsl.NUMBER;
+        case 'boolean': return dsl.BOOLEAN;
+        case 'null': return dsl.ENUM(null);
+      }
+    }
+    if (types.length > 0) {
+      return dsl.PREDICATE(
+        value => types.some(type => hasJSONType(value, type)),
+        types.join(' or ')
+      );
+    }
+    return dsl.VALUE;
+  }
+
+  return reference('#');
+}
+
+/**
+ * @private
+ * @summary Describe the data a datum plan accesses with a JSON Schema
+ * @param {Lens} plan  The datum plan
+ * @returns {Object}  A draft 2020-12 JSON Schema
+ *
+ * @description
+ * See [toJSONSchema]{@link module:natural-lenses/datum-plan#toJSONSchema}.
+ */
+export function schemaFromPlan(plan) {
+  const defs = {}, refPointers = new Map();
+  const rootReference = planNode(plan).reference;
+  if (rootReference) {
+    refPointers.set(rootReference, '#');
+  }
+
+  function slotSchema(cur) {
+    const node = planNode(cur);
+    if (!node.reference || node.type) {
+      return bodySchema(cur);
+    }
+    if (!refPointers.has(node.reference)) {
+      let name = node.reference.name;
+      for (let i = 2; name in defs; i++) {
+        name = node.reference.name + i;
+      }
+      refPointers.set(node.reference, '#/$defs' + formatPointer([name]));
+      // Claim the name before describing a plan that may recur to it
+      defs[name] = {};
+      defs[name] = bodySchema(cur);
+    }
+    return {$ref: refPointers.get(node.reference)};
+  }
+
+  function bodySchema(cur) {
+    const node = planNode(cur);
+    if (node.type) {
+      return annotationSchema(node.type);
+    }
+    switch (node.kind) {
+      case 'array':
+        return node.item ? {type: 'array', items: slotSchema(node.item)} : {type: 'array'};
+      case 'object':
+        return objectSchema(node);
+      default:
+        return {};
+    }
+  }
+
+  function objectSchema(node) {
+    const keys = Array.from(node.children.keys()), children = Array.from(node.children.values());
+    // The properties a Step reads cannot be known
+    if (children.some(child => child.keys[child.keys.length - 1] instanceof CustomStep)) {
+      return {};
+    }
+    if (node.tuple) {
+      const elements = tupleElements(node), requiredCount = tupleRequiredCount(elements);
+      return Object.assign(
+        {type: 'array', prefixItems: elements.map(child => child ? slotSchema(child) : {}), items: false},
+        (requiredCount > 0) ? {minItems: requiredCount} : {}
+      );
+    }
+    const result = {type: 'object'}, required = [];
+    if (keys.length > 0) {
+      result.properties = {};
+      node.children.forEach((child, key) => {
+        result.properties[key] = slotSchema(child);
+        if (!planNode(child).optional) {
+          required.push(key);
+        }
+      });
+    }
+    if (required.length > 0) {
+      result.required = required;
+    }
+    result.additionalProperties = node.entries ? slotSchema(node.entries) : false;
+    return result;
+  }
+
+  const result = Object.assign({$schema: DRAFT_2020_12}, bodySchema(plan));
+  if (Object.keys(defs).length > 0) {
+    result.$defs = defs;
+  }
+  return result;
+}
+
+/**
+ * @private
+ * @summary Get the element plans of a tuple plan node by index
+ * @param {Object} node  The plan node of an Object spec with only index keys
+ * @returns {Array.<Lens|undefined>}  The plan for each index through the greatest, `undefined` for indexes not in the spec
+ */
+export function tupleElements(node) {
+  const result = [];
+  node.children.forEach(child => {
+    result[Number(child.keys[child.keys.length - 1])] = child;
+  });
+  return Array.from(result);
+}
+
+/**
+ * @private
+ * @summary Count the elements a tuple must have to hold every required element
+ * @param {Array.<Lens|undefined>} elements  The result of {@link tupleElements}
+ * @returns {number}
+ */
+export function tupleRequiredCount(elements) {
+  return elements.reduce((count, child, i) => (child && !planNode(child).optional) ? i + 1 : count, 0);
+}
+
+function planNode(plan) {
+  const node = plan && plan[datumPlanNode];
+  if (!node) {
+    throw new Error("Expected a datum plan");
+  }
+  return node;
+}
+
+function annotationSchema(type) {
+  switch (type.name) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+      return {type: type.name};
+    case 'enum':
+      if (type.values.length === 0) {
+        return {not: {}};
+      }
+      return type.values.every(isJSONScalar) ? {enum: type.values} : {};
+    case 'predicate':
+      return {description: `Satisfies ${type.description}`};
+    default:
+      return {};
+  }
+}
+
+function isJSONScalar(value) {
+  return value === null || typeof value === 'string' || typeof value === 'boolean' ||
+    (typeof value === 'number' && isFinite(value));
+}
+
+function refKeys(ref) {
+  if (ref[0] !== '#') {
+    throw new Error(`Only local $refs (starting with '#') are supported, not ${JSON.stringify(ref)}`);
+  }
+  const fragment = decodeURIComponent(ref.slice(1));
+  if (fragment !== '' && fragment[0] !== '/') {
+    throw new Error(`Unsupported $ref ${JSON.stringify(ref)}; only JSON Pointer fragments are supported`);
+  }
+  return parsePointer(fragment);
+}
+
+function hasJSONType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'integer':
+      return Number.isInteger(value);
+    case 'array':
+      return isArray(value);
+    case 'object':
+      return isObject(value) && !isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
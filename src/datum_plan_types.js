@@ -0,0 +1,406 @@
+import { datumPlanNode } from '../src-cjs/constants.js';
+import CustomStep from './custom_step.js';
+import { tupleElements, tupleRequiredCount } from './datum_plan_schema.js';
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z_$0-9]*$/;
+
+const HEADER = '// Type declarations generated from datum plans by natural-lenses; do not edit';
+
+const HELPERS = `\
+export type Maybe<T> = { just: T } | {};
+
+export interface DatumPlanIssue {
+  code: "missing" | "type" | "enum" | "predicate" | "unexpected";
+  path: unknown[];
+  message: string;
+  expected?: unknown;
+  actual?: unknown;
+}
+
+export interface DatumPlanMaybe<T> {
+  readonly just?: T;
+  map<U>(fn: (value: T) => U): DatumPlanMaybe<U>;
+  flatMap<U>(fn: (value: T) => Maybe<U>): DatumPlanMaybe<U>;
+  filter(predicate: (value: T) => boolean): DatumPlanMaybe<T>;
+  orElse<U>(fallback: U): T | U;
+  getOrThrow(error?: unknown): T;
+  toArray(): T[];
+}
+
+export interface DatumPlanExplanation {
+  found: boolean;
+  value?: unknown;
+  depth: number;
+  keys: unknown[];
+  path: string;
+  failedKey?: unknown;
+  container?: unknown;
+  containerType?: string;
+  message?: string;
+  parts?: DatumPlanExplanation[] | { [key: string]: DatumPlanExplanation };
+}
+
+export interface DatumPlanOptic<S, V> {
+  get(subject: S): V | undefined;
+  get_maybe(subject: S): Maybe<V>;
+  getIterable(subject: S, options?: { orThrow?: unknown }): Iterable<unknown>;
+  getting<T>(subject: S, branches: { then?: (value: V) => T; else?: () => T }): T | undefined;
+  maybe(subject: S): DatumPlanMaybe<V>;
+  explain(subject: S): DatumPlanExplanation;
+  present(subject: S): boolean;
+  setInClone(subject: S, newVal: V): S;
+  xformInClone(subject: S, fn: (value: V) => V, opts?: { addMissing?: boolean }): S;
+  xformInClone_maybe(subject: S, fn: (value_maybe: Maybe<V>) => Maybe<V>): S;
+  xformIterableInClone(subject: S, fn: (items: unknown[]) => Iterable<unknown>, options?: { orThrow?: unknown }): S;
+  deleteInClone(subject: S, opts?: { prune?: boolean }): S;
+  insertInClone(subject: S, index: number, ...values: unknown[]): S;
+  removeInClone(subject: S, index: number, count?: number): S;
+  appendInClone(subject: S, ...values: unknown[]): S;
+  moveInClone(subject: S, fromIndex: number, toIndex: number): S;
+  binding(
+    methodName: string | symbol,
+    options: { on: S; bindNow?: boolean; orThrow?: unknown; or?: (...args: unknown[]) => unknown }
+  ): (...args: unknown[]) => unknown;
+  extractor<T = V>(xform?: (value: V) => T): (subject: S) => T | undefined;
+  extractor_maybe<T = V>(xform?: (value: V) => T): (subject: S) => Maybe<T>;
+  $(method: string): (...args: unknown[]) => unknown;
+  $(strings: TemplateStringsArray, ...values: unknown[]): (...args: unknown[]) => unknown;
+  thence(...keys: unknown[]): DatumPlanOptic<S, unknown>;
+  each(): DatumPlanTraversal<S, unknown>;
+}
+
+export interface DatumPlanTraversal<S, V> extends
+  Omit<DatumPlanOptic<S, V>, "get" | "get_maybe" | "getting" | "maybe" | "extractor" | "extractor_maybe" | "thence">,
+  Pick<DatumPlanOptic<S, V[]>, "get" | "get_maybe" | "getting" | "maybe" | "extractor" | "extractor_maybe"> {
+  getAll(subject: S): V[];
+  thence(...keys: unknown[]): DatumPlanTraversal<S, unknown>;
+}
+
+export interface DatumPlanLens<S, V> extends DatumPlanOptic<S, V> {
+  readonly keys: unknown[];
+  thence(...keys: unknown[]): DatumPlanLens<S, unknown>;
+  bound(
+    subject: S,
+    options?: { bindNow?: boolean; orThrow?: unknown; or?: (...args: unknown[]) => unknown }
+  ): (...args: unknown[]) => unknown;
+  compile(): DatumPlanLens<S, V>;
+  toPointer(): string;
+}
+
+export interface DatumPlanNode<S, V> extends DatumPlanLens<S, V> {
+  $validate(subject: S): DatumPlanIssue[];
+}
+
+export type DatumPlanSlotPicker<I, P, T> = DatumPlanLens<I, T> | ((plan: P) => DatumPlanLens<I, T>);
+
+export interface DatumPlanIndexable<S, I, P> {
+  $item: P;
+  length(subject: S): number | undefined;
+  at(index: number): DatumPlanLens<S, I>;
+  at<T>(index: number, pickLens: DatumPlanSlotPicker<I, P, T>): DatumPlanLens<S, T>;
+  mapInside(subject: S, itemXform: (item: I, index: number, itemPlan: P) => I): S;
+  mapInside<T>(subject: S, pickLens: DatumPlanSlotPicker<I, P, T>, itemSlotXform: (value: T, index: number) => T): S;
+  flatMapInside(
+    subject: S,
+    subItemsForItem: (item: I, index: number, itemPlan: P) => Iterable<I>,
+    opts?: { reduce?: (items: I[]) => Iterable<I>; orThrow?: unknown }
+  ): S;
+}
+
+export interface DatumPlanEntries<S, E, P> {
+  $entryValue: P;
+  at(key: string): DatumPlanLens<S, E>;
+  at<T>(key: string, pickLens: DatumPlanSlotPicker<E, P, T>): DatumPlanLens<S, T>;
+  mapInside(subject: S, propvalXform: (value: E, key: string, valuePlan: P) => E): S;
+  mapInside<T>(subject: S, pickLens: DatumPlanSlotPicker<E, P, T>, propvalSlotXform: (value: T, key: string) => T): S;
+  mapAllInside(subject: S, propvalXform: (value: E, key: string, valuePlan: P) => E): S;
+  mapAllInside<T>(subject: S, pickLens: DatumPlanSlotPicker<E, P, T>, propvalSlotXform: (value: T, key: string) => T): S;
+}`;
+
+// Members of DatumPlanNode, which a plan property of the same name replaces
+const NODE_MEMBERS = new Set([
+  'keys', 'get', 'get_maybe', 'getIterable', 'getting', 'maybe', 'explain',
+  'present', 'setInClone', 'xformInClone', 'xformInClone_maybe',
+  'xformIterableInClone', 'deleteInClone', 'insertInClone', 'removeInClone',
+  'appendInClone', 'moveInClone', 'binding', 'extractor', 'extractor_maybe',
+  '$', 'thence', 'each', 'bound', 'compile', 'toPointer', '$validate',
+]);
+
+/**
+ * @private
+ * @summary Generate TypeScript declarations for datum plans
+ * @param {Object.<string,Lens>} namedPlans  Datum plans keyed by the name of the type to declare for the data each describes
+ * @returns {string}  The text of a `.d.ts` file
+ *
+ * @description
+ * See [typeDeclarations]{@link module:natural-lenses/datum-plan#typeDeclarations}.
+ */
+export function declarePlanTypes(namedPlans) {
+  const parts = [HEADER, HELPERS];
+  Object.keys(namedPlans).forEach(name => {
+    if (!IDENTIFIER.test(name)) {
+      throw new Error(`Invalid type name ${JSON.stringify(name)}`);
+    }
+    const plan = namedPlans[name], auxTypes = [];
+    const context = makeContext(name, auxTypes), reference = planNode(plan).reference;
+    let planDecl;
+    if (reference && reachesReference(plan, reference)) {
+      // The plan recurs to itself, so its plan type is generic like those of other references
+      context.references.set(reference, {name, subjectDeclared: true, planDeclared: true});
+      parts.push(`export type ${name} = ${subjectBody(plan, context, '')};`);
+      planDecl = `export type ${name}Plan<S = ${name}> = ${planBody(plan, 'S', name, name, context, '')};`;
+    } else {
+      parts.push(`export type ${name} = ${subjectBody(plan, context, '')};`);
+      planDecl = `export type ${name}Plan = ${planBody(plan, name, name, name, context, '')};`;
+    }
+    parts.push(...auxTypes, planDecl);
+  });
+  return parts.join('\n\n') + '\n';
+}
+
+/*
+ * The context for declaring the types of one plan names (and declares in
+ * *auxTypes*) multi-line type expressions and the types for references in
+ * the plan, each reference being declared once as a subject type and as a
+ * plan type generic in the subject type of the plan containing it.
+ */
+function makeContext(rootName, auxTypes) {
+  const used = new Set([rootName, `${rootName}Plan`]), references = new Map();
+  function uniqueName(nameHint) {
+    let name = nameHint;
+    for (let i = 2; used.has(name) || used.has(`${name}Plan`); i++) {
+      name = nameHint + i;
+    }
+    used.add(name);
+    used.add(`${name}Plan`);
+    return name;
+  }
+  return {
+    auxTypes,
+    references,
+    nameType(typeExpr, nameHint) {
+      if (!typeExpr.includes('\n')) {
+        return typeExpr;
+      }
+      const name = uniqueName(nameHint);
+      auxTypes.push(`export type ${name} = ${typeExpr};`);
+      return name;
+    },
+    referenceTypes(reference) {
+      if (!references.has(reference)) {
+        references.set(reference, {
+          name: uniqueName(typeNameHint(rootName, reference.name)),
+          subjectDeclared: false,
+          planDeclared: false,
+        });
+      }
+      return references.get(reference);
+    },
+  };
+}
+
+function typeNameHint(prefix, key) {
+  const words = String(key).split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return prefix + words.map(w => w[0].toUpperCase() + w.slice(1)).join('');
+}
+
+function planNode(plan) {
+  const node = plan && plan[datumPlanNode];
+  if (!node) {
+    throw new Error("Expected a datum plan");
+  }
+  return node;
+}
+
+function childPlans(node) {
+  const result = (node.kind === 'object') ? Array.from(node.children.values()) : [];
+  return result.concat([node.item, node.entries].filter(Boolean));
+}
+
+// Whether *plan* contains a plan built from *reference*, examining each reference only once
+function reachesReference(plan, reference) {
+  const visited = new Set();
+  function visit(cur, isTop) {
+    const node = planNode(cur);
+    if (!isTop && node.reference) {
+      if (node.reference === reference) {
+        return true;
+      }
+      if (visited.has(node.reference)) {
+        return false;
+      }
+      visited.add(node.reference);
+    }
+    return childPlans(node).some(child => visit(child, false));
+  }
+  return visit(plan, true);
+}
+
+function lastKey(plan) {
+  return plan.keys[plan.keys.length - 1];
+}
+
+function propertyName(name) {
+  return IDENTIFIER.test(name) ? name : JSON.stringify(name);
+}
+
+function hasStepChild(node) {
+  return Array.from(node.children.values()).some(child => lastKey(child) instanceof CustomStep);
+}
+
+function subjectType(plan, context, indent) {
+  const node = planNode(plan);
+  if (node.reference && !node.type) {
+    const refTypes = context.referenceTypes(node.reference);
+    if (!refTypes.subjectDeclared) {
+      refTypes.subjectDeclared = true;
+      context.auxTypes.push(`export type ${refTypes.name} = ${subjectBody(plan, context, '')};`);
+    }
+    return refTypes.name;
+  }
+  return subjectBody(plan, context, indent);
+}
+
+function subjectBody(plan, context, indent) {
+  const node = planNode(plan);
+  if (node.type) {
+    return annotatedType(node.type);
+  }
+  switch (node.kind) {
+    case 'array':
+      return node.item ? `Array<${subjectType(node.item, context, indent)}>` : 'unknown[]';
+    case 'object':
+      return objectSubjectType(node, context, indent);
+    default:
+      return 'unknown';
+  }
+}
+
+function objectSubjectType(node, context, indent) {
+  // The property read by a Step is unknown, as is the container it reads
+  if (hasStepChild(node)) {
+    return 'unknown';
+  }
+  if (node.tuple) {
+    return tupleSubjectType(node, context, indent);
+  }
+  const inner = indent + '  ', lines = [], propTypes = [];
+  node.children.forEach(child => {
+    const propType = subjectType(child, context, inner);
+    propTypes.push(propType);
+    lines.push(`${inner}${propertyName(String(lastKey(child)))}${planNode(child).optional ? '?' : ''}: ${propType};`);
+  });
+  if (node.entries) {
+    const entryTypes = [subjectType(node.entries, context, inner), ...propTypes]
+      .filter((t, i, all) => all.indexOf(t) === i);
+    lines.push(`${inner}[key: string]: ${entryTypes.join(' | ')};`);
+  }
+  if (lines.length === 0) {
+    return 'Record<string, never>';
+  }
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+function tupleSubjectType(node, context, indent) {
+  const elements = tupleElements(node), requiredCount = tupleRequiredCount(elements);
+  const elementTypes = elements.map((child, i) => {
+    const type = child ? subjectType(child, context, indent) : 'unknown';
+    if (i >= requiredCount) {
+      return /[|&]/.test(type) ? `(${type})?` : `${type}?`;
+    }
+    return (child && planNode(child).optional) ? `${type} | undefined` : type;
+  });
+  return `[${elementTypes.join(', ')}]`;
+}
+
+function annotatedType(type) {
+  switch (type.name) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+      return type.name;
+    case 'enum':
+      if (type.values.length === 0) {
+        return 'never';
+      }
+      return type.values.every(isLiteralType)
+        ? type.values.map(v => JSON.stringify(v)).join(' | ')
+        : 'unknown';
+    default:
+      return 'unknown';
+  }
+}
+
+function isLiteralType(value) {
+  return value === null || typeof value === 'string' || typeof value === 'boolean' ||
+    (typeof value === 'number' && isFinite(value));
+}
+
+/*
+ * S is the type of the subject the plan's lenses take, V the type of the
+ * value in the plan's slot; both are type expressions.  *hint* is the basis
+ * for naming types the plan's type needs declared separately.
+ */
+function planType(plan, S, V, hint, context, indent) {
+  const node = planNode(plan);
+  if (node.reference && !node.type) {
+    const refTypes = context.referenceTypes(node.reference);
+    if (!refTypes.planDeclared) {
+      refTypes.planDeclared = true;
+      subjectType(plan, context, '');
+      const body = planBody(plan, 'S', refTypes.name, refTypes.name, context, '');
+      context.auxTypes.push(`export type ${refTypes.name}Plan<S> = ${body};`);
+    }
+    return `${refTypes.name}Plan<${S}>`;
+  }
+  return planBody(plan, S, V, hint, context, indent);
+}
+
+function planBody(plan, S, V, hint, context, indent) {
+  const node = planNode(plan), inner = indent + '  ';
+  const mixins = [], members = [];
+  if (node.kind === 'array' && node.item) {
+    const I = `${V}[number]`;
+    mixins.push(`DatumPlanIndexable<${S}, ${I}, ${planType(node.item, I, I, hint + 'Item', context, indent)}>`);
+  } else if (node.kind === 'object') {
+    const stepped = hasStepChild(node), propNames = new Map();
+    Object.keys(plan).forEach(prop => {
+      if (!propNames.has(plan[prop])) {
+        propNames.set(plan[prop], prop);
+      }
+    });
+    node.children.forEach(child => {
+      const prop = propNames.get(child);
+      if (prop === undefined) {
+        return;
+      }
+      const childHint = typeNameHint(hint, lastKey(child) instanceof CustomStep ? prop : lastKey(child));
+      let childV;
+      if (stepped) {
+        childV = context.nameType(subjectType(child, context, ''), childHint);
+      } else {
+        childV = `${V}[${JSON.stringify(String(lastKey(child)))}]`;
+        if (planNode(child).optional) {
+          childV = `NonNullable<${childV}>`;
+        }
+      }
+      members.push({name: prop, type: planType(child, S, childV, childHint, context, inner)});
+    });
+    if (node.entries) {
+      const E = (node.children.size > 0 || stepped)
+        ? context.nameType(subjectType(node.entries, context, ''), hint + 'Entry')
+        : `${V}[string]`;
+      mixins.push(`DatumPlanEntries<${S}, ${E}, ${planType(node.entries, E, E, hint + 'Entry', context, indent)}>`);
+    }
+  }
+
+  const replaced = members.filter(m => NODE_MEMBERS.has(m.name)).map(m => JSON.stringify(m.name));
+  const base = (replaced.length > 0)
+    ? `Omit<DatumPlanNode<${S}, ${V}>, ${replaced.join(' | ')}>`
+    : `DatumPlanNode<${S}, ${V}>`;
+  const types = [base, ...mixins];
+  if (members.length > 0) {
+    types.push(`{\n${members.map(m => `${inner}${propertyName(m.name)}: ${m.type};`).join('\n')}\n${indent}}`);
+  }
+  return types.join(' & ');
+}
@@ -36,3 +36,57 @@ function keyArrayDesc(keys) {
   });
   return `[${content}]`;
 }
+
+/**
+ * @extends Error
+ * @hideconstructor
+ * @since 2.4.0
+ * @classdesc
+ * This error is thrown when a `test` operation of a JSON Patch applied with
+ * [applyPatch]{@link module:natural-lenses#applyPatch} fails.
+ *
+ * @property {string} pointer  JSON Pointer of the slot tested
+ * @property {number} opIndex  Index of the failing operation within the patch
+ */
+class PatchTestFailedError extends Error {
+  constructor(pointer, opIndex) {
+    super(`JSON Patch test operation ${opIndex} failed at ${JSON.stringify(pointer)}`);
+    this.pointer = pointer;
+    this.opIndex = opIndex;
+  }
+}
+export { PatchTestFailedError };
+
+/**
+ * @extends Error
+ * @hideconstructor
+ * @since 2.4.0
+ * @classdesc
+ * This error is thrown by [checkLensLaws]{@link module:natural-lenses#checkLensLaws}
+ * when an optic violates any of the laws checked.
+ *
+ * @property {Array.<LensLawViolation>} violations  The violations found
+ */
+class LensLawViolationError extends Error {
+  constructor(violations) {
+    const listed = violations.slice(0, 5).map(
+      v => `\n  ${v.law}: ${v.message} (subject: ${valueDesc(v.subject)})`
+    ).join('');
+    const more = violations.length > 5 ? `\n  ...and ${violations.length - 5} more` : '';
+    super(`Optic violates lens laws:${listed}${more}`);
+    this.violations = violations;
+  }
+}
+export { LensLawViolationError };
+
+function valueDesc(value) {
+  try {
+    const json = JSON.stringify(value);
+    if (json !== undefined) {
+      return json;
+    }
+  } catch (e) /* istanbul ignore next */ {
+    // Fall through to string conversion
+  }
+  return String(value);
+}
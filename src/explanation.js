@@ -0,0 +1,129 @@
+const { isArray } = Array;
+import isObject from './functional/isObject.js';
+import CustomStep from './custom_step.js';
+import { isLens } from './utils.js';
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z_$0-9]*$/;
+
+/**
+ * @typedef {Object} Explanation
+ * @since 2.4.0
+ * @summary Diagnosis of getting the slot of an optic from a subject
+ * @property {boolean} found  Whether the slot is present in the subject
+ * @property {*} [value]  The value of the slot, if *found*
+ * @property {number} depth  Number of steps successfully taken into the subject
+ * @property {Array.<*>} keys  The steps successfully taken (keys, [Steps]{@link Step}, or optics not decomposable into keys)
+ * @property {string} path  *keys* formatted as a JSONPath-like string (e.g. `$.orders[0].items`)
+ * @property {*} [failedKey]  The key, {@link Step}, or optic which found no value, if not *found*
+ * @property {*} [container]  The value at *path* in which *failedKey* found no value, if not *found*
+ * @property {string} [containerType]  Description of the type of *container*, if not *found*
+ * @property {string} [message]  Human-readable description of the failure, if not *found*
+ * @property {Array.<Explanation> | Object.<string,Explanation>} [parts]  Explanations for the constituent optics of a multifocal, by index or key
+ */
+
+/**
+ * @private
+ * @summary Construct the {@link Explanation} of a present slot
+ * @param {Array.<*>} keys  Steps taken to reach the slot
+ * @param {*} value  Value of the slot
+ * @returns {Explanation}
+ */
+export function foundExplanation(keys, value) {
+  return {
+    found: true,
+    value,
+    depth: keys.length,
+    keys,
+    path: formatPath(keys),
+  };
+}
+
+/**
+ * @private
+ * @summary Construct the {@link Explanation} of a missing slot
+ * @param {Array.<*>} keys  Steps successfully taken before the failure
+ * @param {*} failedKey  Step which found no value
+ * @param {*} container  Value in which *failedKey* found no value
+ * @returns {Explanation}
+ */
+export function missingExplanation(keys, failedKey, container) {
+  const path = formatPath(keys), containerType = describeType(container);
+  const message = (isObject(container) || !isPlainKey(failedKey))
+    ? `No ${describeKey(failedKey)} in ${containerType} at ${path}`
+    : `Cannot look up ${describeKey(failedKey)} in ${containerType} at ${path}`;
+  return {
+    found: false,
+    depth: keys.length,
+    keys,
+    path,
+    failedKey,
+    container,
+    containerType,
+    message,
+  };
+}
+
+/**
+ * @private
+ * @summary Format steps as a JSONPath-like string
+ * @param {Array.<*>} keys
+ * @returns {string}
+ */
+export function formatPath(keys) {
+  return '$' + keys.map(key => {
+    if (typeof key === 'string') {
+      return IDENTIFIER.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+    }
+    if (typeof key === 'number' || typeof key === 'symbol') {
+      return `[${String(key)}]`;
+    }
+    return `[<${describeStep(key)}>]`;
+  }).join('');
+}
+
+/**
+ * @private
+ * @summary Describe the type of a value for diagnostic messages
+ * @param {*} value
+ * @returns {string}  `'null'`, the `typeof` a non-Object, or the name of an Object's constructor
+ */
+export function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (!isObject(value)) {
+    return typeof value;
+  }
+  if (isArray(value)) {
+    return 'Array';
+  }
+  const ctor = value.constructor;
+  return (ctor && ctor.name) || 'Object';
+}
+
+function isPlainKey(key) {
+  return !(key instanceof CustomStep) && !isLens(key);
+}
+
+function describeStep(step) {
+  if (step instanceof CustomStep) {
+    return 'Step';
+  }
+  return describeType(step);
+}
+
+function describeKey(key) {
+  if (!isPlainKey(key)) {
+    return `match for ${describeStep(key)}`;
+  }
+  if (typeof key === 'number') {
+    return `index ${key}`;
+  }
+  if (typeof key === 'string') {
+    return `key ${JSON.stringify(key)}`;
+  }
+  if (typeof key === 'symbol') {
+    return `key ${String(key)}`;
+  }
+  return `key ${describeType(key)}`;
+}
@@ -26,6 +26,10 @@ import sugar from './sugar.js';
  * This method is only available if {@link module:natural-lenses/sugar-factory}
  * has been imported/required.
  *
+ * Only paths constructing a {@link Lens} are supported; the multi-focus
+ * operators of {@link module:natural-lenses/sugar} (e.g. `[*]`) cause an
+ * Error to be thrown.
+ *
  * The {@link BinderMixin#$} method may be helpful:
  * ```
  * const A = new Factory({...}).$`A`;
@@ -37,5 +41,9 @@ import sugar from './sugar.js';
  * (U+0041) is often rendered to look a bit like light rays focusing through a lens.
  */
 LensFactory.prototype.A = function(...args) {
-  return this.lens(...sugar(...args).keys);
+  const optic = sugar(...args);
+  if (!optic.keys) {
+    throw new Error("Multi-focus JSONPath operators are not supported in Factory#A");
+  }
+  return this.lens(...optic.keys);
 };
@@ -1,4 +1,4 @@
-export default function fuser({ Lens, OpticArray }) {
+export default function fuser({ Lens, OpticArray, Traversal }) {
   return function fuse(...optics) {
     for (let i = 0, step = null; (step = 1) && i < optics.length - 1; i += step) {
       const [a, b] = optics.slice(i, i + 2);
@@ -6,6 +6,29 @@ export default function fuser({ Lens, OpticArray }) {
         optics.splice(i, 2, Lens.fuse(a, b)); step = 0;
       }
     }
+    const traversalIndex = optics.findIndex(o => o instanceof Traversal);
+    if (traversalIndex >= 0) {
+      // Optics before the first Traversal extend its source, optics after it
+      // extend its item optic
+      const traversal = optics[traversalIndex],
+        before = optics.slice(0, traversalIndex),
+        after = optics.slice(traversalIndex + 1);
+      if (!isTrivialLens(traversal.source) || before.length === 0) {
+        before.push(traversal.source);
+      }
+      if (traversal.itemOptic) {
+        after.unshift(traversal.itemOptic);
+      }
+      return new Traversal(
+        fuse(...before),
+        after.length ? fuse(...after) : null,
+        traversal.selector
+      );
+    }
     return optics.length === 1 ? optics[0] : new OpticArray(optics);
   }
+
+  function isTrivialLens(optic) {
+    return optic.constructor === Lens && optic.keys.length === 0;
+  }
 }
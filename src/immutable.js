@@ -1,5 +1,5 @@
 import _immutable from 'immutable';
-const { List, Map, OrderedMap, Seq } = _immutable;
+const { List, Map, OrderedMap, OrderedSet, Record, Seq, Set, Stack } = _immutable;
 import { polyfillImmutable } from './immutable_support.js';
 import LensFactory from './lens_factory.js';
 import Optic from './optic.js';
@@ -51,10 +51,52 @@ import Optic from './optic.js';
  * it will instead store `undefined` in the target slot of the clone. 
  */
 
+/**
+ * @class Record
+ * @memberof external:immutable
+ * @since 2.4.0
+ *
+ * @description
+ * `natural-lenses` treats instances of Record types like
+ * [immutable.Map]{@link external:immutable.Map}, keyed by the fields of the
+ * Record type.  Deleting a field in a clone restores the field's default
+ * value.  Register Record types with an {@link ImmutableContainerFactory} to
+ * have lenses construct them where missing.
+ */
+
+/**
+ * @class Set
+ * @memberof external:immutable
+ * @since 2.4.0
+ *
+ * @description
+ * `natural-lenses` treats this class (and [immutable.OrderedSet]{@link external:immutable.OrderedSet})
+ * like the native Set class: the slot for any value holds `true` if the value
+ * is a member and `false` if not.
+ */
+
+/**
+ * @class OrderedSet
+ * @memberof external:immutable
+ * @since 2.4.0
+ * @see external:immutable.Set
+ */
+
+/**
+ * @class Stack
+ * @memberof external:immutable
+ * @since 2.4.0
+ *
+ * @description
+ * `natural-lenses` treats this class like [immutable.List]{@link external:immutable.List},
+ * indexed from the top of the Stack.
+ */
+
 /**
  * @module natural-lenses/immutable
  *
- * @property {Object} containerFactory  A factory for [immutable]{@link external:immutable} containers
+ * @property {ImmutableContainerFactory} containerFactory  A factory for [immutable]{@link external:immutable} containers
+ * @property {Function} ImmutableContainerFactory  [Class]{@link ImmutableContainerFactory} for customized [immutable]{@link external:immutable} container creation
  * @property {Factory} lensFactory  A factory for [Lenses]{@link Lens} using [immutable]{@link external:immutable} data types
  *
  * @description
@@ -68,18 +110,102 @@ import Optic from './optic.js';
 polyfillImmutable(List);
 polyfillImmutable(Map);
 polyfillImmutable(OrderedMap);
+polyfillImmutable(Record);
+polyfillImmutable(Set);
+polyfillImmutable(OrderedSet);
+polyfillImmutable(Stack);
+
+const instanceConfigs = new WeakMap();
 
 /**
- * @constant
- * @name module:natural-lenses/immutable#containerFactory
+ * @implements {ContainerFactory}
+ * @since 2.4.0
  */
-export const containerFactory = {
+export class ImmutableContainerFactory {
+  /**
+   * @summary A class to construct [immutable]{@link external:immutable} containers based on path and key type
+   * @param {Object} [containerTypes]
+   * @param {Function} [containerTypes.Map = immutable.Map]  Map-equivalent container to construct
+   * @param {Function} [containerTypes.List = immutable.List]  List-equivalent container to construct
+   * @param {Function} [containerTypes.Set = immutable.Set]  Set-equivalent container to construct
+   * @param {Object} [options]
+   * @param {function(Array): boolean} [options.useSet]  Predicate on the keys passed to {@link ImmutableContainerFactory#construct} indicating a Set should be constructed
+   *
+   * @description
+   * Like {@link JsContainerFactory}, an instance of this class constructs a
+   * List-type container where the key to index into the missing container is
+   * a number and a Map-type container otherwise.  Record types registered with
+   * {@link ImmutableContainerFactory#registerRecord} for the path of the
+   * missing container take precedence, followed by a Set where *options.useSet*
+   * indicates.
+   */
+  constructor(containerTypes = {}, {useSet} = {}) {
+    instanceConfigs.set(this, {
+      types: {Map, List, Set, ...containerTypes},
+      useSet,
+      records: [],
+    });
+  }
+  
+  /**
+   * @summary Register a Record type to construct for a path
+   * @param {Array} path  Keys to the container from the subject, where {@link ImmutableContainerFactory.ANY_KEY} matches any key
+   * @param {Function} RecordType  The Record type (as returned by `immutable.Record`) to construct
+   * @returns {ImmutableContainerFactory}  This factory
+   *
+   * @example
+   * const Address = immutable.Record({street: '', city: ''});
+   * const containers = new ImmutableContainerFactory()
+   *   .registerRecord(['people', ImmutableContainerFactory.ANY_KEY, 'address'], Address);
+   * const lenses = new lens.Factory({containerFactory: containers});
+   * lenses.lens('people', 0, 'address', 'city').setInClone(immutable.Map(), 'Bedrock')
+   * // => Map { "people": List [ Map { "address": Record { "street": "", "city": "Bedrock" } } ] }
+   */
+  registerRecord(path, RecordType) {
+    instanceConfigs.get(this).records.push({path, RecordType});
+    return this;
+  }
+  
+  /**
+   * Construct the missing container
+   * @param {Array} keys  The keys up to and including the one into the missing container
+   * @returns {*} The missing container
+   */
   construct(keys) {
+    const {types, useSet, records} = instanceConfigs.get(this);
+    const containerPath = keys.slice(0, -1);
+    for (const {path, RecordType} of records) {
+      if (pathMatches(path, containerPath)) {
+        return new RecordType();
+      }
+    }
+    if (useSet && useSet(keys)) {
+      return new types.Set();
+    }
     const k = keys[keys.length - 1];
-    return (typeof k === 'number') ? new List() : new Map();
+    return (typeof k === 'number') ? new types.List() : new types.Map();
   }
 }
 
+/**
+ * @constant {symbol} ImmutableContainerFactory.ANY_KEY
+ * @summary Wildcard matching any key in a path passed to {@link ImmutableContainerFactory#registerRecord}
+ */
+ImmutableContainerFactory.ANY_KEY = Symbol('any key');
+
+function pathMatches(pattern, path) {
+  return pattern.length === path.length && pattern.every(
+    (key, i) => key === ImmutableContainerFactory.ANY_KEY || key === path[i]
+  );
+}
+
+/**
+ * @constant
+ * @name module:natural-lenses/immutable#containerFactory
+ * @type {ImmutableContainerFactory}
+ */
+export const containerFactory = new ImmutableContainerFactory();
+
 /**
  * @constant
  * @name module:natural-lenses/immutable#lensFactory
@@ -1,20 +1,26 @@
 import { at_maybe, cloneImpl } from '../src-cjs/constants.js';
 
-function ImmutableMixin({spliceOutWithDelete}) {
+function ImmutableMixin({spliceOutWithDelete, setBySplice = false}) {
   return {
     [at_maybe]: function (key) {
       return this.has(key) ? {just: this.get(key)} : {};
     },
-    [cloneImpl]: function ({pop, set, spliceOut}) {
+    [cloneImpl]: function ({pop, set, spliceOut, splice}) {
       /* istanbul ignore next: unsupported */
       if (pop) {
         return this.pop();
       }
+      if (splice) {
+        return this.splice(...splice);
+      }
       if (set) {
-        return this.set(...set);
+        return setBySplice ? this.splice(set[0], 1, set[1]) : this.set(...set);
       }
       if (spliceOut) {
-        return spliceOutWithDelete ? this.delete(spliceOut) : this.set(spliceOut, undefined);
+        if (spliceOutWithDelete) {
+          return this.delete(spliceOut);
+        }
+        return setBySplice ? this.splice(spliceOut, 1, undefined) : this.set(spliceOut, undefined);
       }
       /* istanbul ignore next: no change requested */
       return this;
@@ -22,6 +28,24 @@ function ImmutableMixin({spliceOutWithDelete}) {
   };
 }
 
+function ImmutableSetMixin() {
+  return {
+    [at_maybe]: function (key) {
+      return {just: this.has(key)};
+    },
+    [cloneImpl]: function (opDesc = {}) {
+      const {set, spliceOut} = opDesc;
+      if (set) {
+        return set[1] ? this.add(set[0]) : this.delete(set[0]);
+      }
+      if ('spliceOut' in opDesc) {
+        return this.delete(spliceOut);
+      }
+      return this;
+    },
+  };
+}
+
 /**
  * @function module:natural-lenses#polyfillImmutable
  * @summary Add lensing support methods to an Immutable type
@@ -31,11 +55,20 @@ function ImmutableMixin({spliceOutWithDelete}) {
  * @description
  * Adds mixin methods for supporting lenses to the given Immutable container
  * type, to implement {@link Container}.
+ *
+ * `List` and `Stack` are indexed like Arrays.  `Set` and `OrderedSet` are
+ * lensed by member, like the native Set: the slot for any value holds whether
+ * the value is a member, and setting it adds or removes the value according to
+ * the truthiness of the new value.  Other types — including `Map`,
+ * `OrderedMap`, and `Record` — are keyed like the native Map; deleting a key
+ * from a `Record` restores the key's default value.
  */
 function polyfillImmutable(containerType) {
-  const isList = containerType.isList;
+  const isList = containerType.isList, isStack = containerType.isStack;
   const proto = containerType.prototype,
-    mixins = ImmutableMixin({spliceOutWithDelete: !isList});
+    mixins = (containerType.isSet || containerType.isOrderedSet)
+      ? ImmutableSetMixin()
+      : ImmutableMixin({spliceOutWithDelete: !(isList || isStack), setBySplice: !!isStack});
   Object.getOwnPropertySymbols(mixins).forEach(
     (name) => {
       if (!proto.hasOwnProperty(name)) {
@@ -0,0 +1,99 @@
+import isUndefined from './functional/isUndefined.js';
+import Optic from './optic.js';
+import { isLens } from './utils.js';
+
+/**
+ * @extends Optic
+ * @since 2.4.0
+ */
+class Iso extends Optic {
+  /**
+   * @summary Optic converting between a stored value and a view of that value
+   * @param {function(*): *} to    Function converting a stored value to its view
+   * @param {function(*): *} from  Function converting a view back to a stored value
+   *
+   * @description
+   * Construct this using [iso]{@link module:natural-lenses#iso}.
+   *
+   * An Iso (i.e. isomorphism) focuses on *to* applied to its subject, and
+   * applies *from* to any value written through it.  *to* and *from* are
+   * expected to be inverses of each other, so that `from(to(x))` is equivalent
+   * to `x`.  An `undefined` subject is considered missing and is never passed
+   * to *to*.
+   *
+   * Fused after a {@link Lens} (or any other optic), an Iso presents the value
+   * in the slot of that optic as its view:
+   * ```js
+   * const amount = lens.fuse(lens('amountCents'), lens.iso(c => c / 100, a => Math.round(a * 100)));
+   * ```
+   */
+  constructor(to, from) {
+    super();
+    this.to = to;
+    this.from = from;
+  }
+
+  /**
+   * @member {function(*): *} Iso#to
+   * @summary Function converting a stored value to its view
+   */
+
+  /**
+   * @member {function(*): *} Iso#from
+   * @summary Function converting a view back to a stored value
+   */
+
+  /**
+   * @summary Construct the Iso converting in the opposite direction
+   * @returns {Iso}  An Iso with *to* and *from* exchanged
+   */
+  reverse() {
+    return new Iso(this.from, this.to);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get_maybe(subject, ...tail) {
+    if (isUndefined(subject)) {
+      return {};
+    }
+    const subjResult = this.to(subject);
+    if (tail.length > 0) {
+      return isLens(subjResult) ? subjResult.get_maybe(...tail) : {};
+    }
+    return {just: subjResult};
+  }
+
+  /**
+   * @template T
+   * @summary Clone the input, transforming the view of the subject with a function
+   * @param {T}                              subject  The input value
+   * @param {function(Maybe.<*>): Maybe.<*>} fn       The function transforming the {@link Maybe} of the view
+   * @return {*} The stored form (via *from*) of the result of *fn*, or *subject* if unchanged
+   *
+   * @description
+   * *fn* receives *Nothing* if *subject* is `undefined`, otherwise *to* applied
+   * to *subject*.  Because an Iso has no container from which to remove its
+   * focus, *subject* is returned if *fn* returns *Nothing*.
+   *
+   * As with other optics, *subject* is returned if the view is unchanged: this
+   * is the case if *fn* returns the strict-equal view it was passed or if
+   * *from* produces a value strict-equal to *subject* (e.g. when storing an
+   * equivalent but distinct Date as an ISO string).
+   */
+  xformInClone_maybe(subject, fn) {
+    const view_maybe = this.get_maybe(subject);
+    const result_maybe = fn(view_maybe);
+    if (!('just' in result_maybe)) {
+      return subject;
+    }
+    if ('just' in view_maybe && result_maybe.just === view_maybe.just) {
+      return subject;
+    }
+    const result = this.from(result_maybe.just);
+    return result === subject ? subject : result;
+  }
+}
+
+export default Iso;
@@ -1,4 +1,4 @@
-const instanceContainerTypes = new WeakMap();
+const instanceContainerTypes = new WeakMap(), instanceSetPredicates = new WeakMap();
 /**
  * @class
  * @summary A class to construct alternative sequential/mapping typings based on key type
@@ -9,6 +9,13 @@ const instanceContainerTypes = new WeakMap();
  * constructed containers based on the type of the key to be used for indexing
  * the container: a number indicates an Array and anything else uses a Map.
  *
+ * Containers with the interface of the ES6 Set class can be constructed
+ * instead where the *useSet* option of the constructor indicates.  A Set is
+ * lensed by member: the slot for any value holds `true` if the value is a
+ * member of the Set and `false` if it is not, and setting a slot in a clone
+ * adds the value to or removes it from the clone according to the truthiness
+ * of the new value.
+ *
  * Pass an instance of this class as the containerFactory option when
  * constructing a LensFactory. The container types to be used can be customized
  * when constructing this factory.
@@ -19,9 +26,21 @@ class JsContainerFactory {
    * @param {Object} containerTypes
    * @param {Function} [containerTypes.Map = Map]  Map-equivalent container to construct
    * @param {Function} [containerTypes.Array = Array]  Array-equivalent container to construct
+   * @param {Function} [containerTypes.Set = Set]  Set-equivalent container to construct (since 2.4.0)
+   * @param {Object} [options]
+   * @param {function(Array): boolean} [options.useSet]  Predicate on the keys passed to {@link JsContainerFactory#construct} indicating a Set should be constructed (since 2.4.0)
+   *
+   * @example
+   * const factory = new lens.Factory({
+   *   containerFactory: new lens.JsContainerFactory(undefined, {
+   *     useSet: (keys) => keys[keys.length - 2] === 'tags',
+   *   }),
+   * });
+   * factory.lens('tags', 'urgent').setInClone({}, true) // => {tags: Set {'urgent'}}
    */
-  constructor(containerTypes = {Map, Array}) {
+  constructor(containerTypes = {Map, Array}, {useSet} = {}) {
     instanceContainerTypes.set(this, {...containerTypes});
+    instanceSetPredicates.set(this, useSet);
   }
   
   /**
@@ -30,10 +49,11 @@ class JsContainerFactory {
    *
    * @property {Function} Map  The "map" type
    * @property {Function} Array The "array" type
+   * @property {Function} Set The "set" type
    */
   get containerTypes() {
     return {
-      Map, Array,
+      Map, Array, Set,
       ...(instanceContainerTypes.get(this) ||
         /* istanbul ignore next: this shouldn't be possible */ {})
     };
@@ -45,7 +65,10 @@ class JsContainerFactory {
    * @returns {*} The missing container
    */
   construct(keys) {
-    const types = instanceContainerTypes.get(this);
+    const types = instanceContainerTypes.get(this), useSet = instanceSetPredicates.get(this);
+    if (useSet && useSet(keys)) {
+      return new (types.Set || Set)();
+    }
     const k = keys[keys.length - 1];
     return (typeof k === 'number')
       ? new (types.Array || Array)()
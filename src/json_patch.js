@@ -0,0 +1,394 @@
+const { isArray } = Array;
+import isObject from './functional/isObject.js';
+import { cloneImpl } from '../src-cjs/constants.js';
+import CustomStep from './custom_step.js';
+import { PatchTestFailedError } from './errors.js';
+import { formatPointer, parsePointer } from './json_pointer.js';
+import Lens from './lens.js';
+import { deepEqual, index_maybe, isPlainObject, isSequence, sequenceLength } from './utils.js';
+
+/**
+ * @typedef {Object} JsonPatchOperation
+ * @since 2.4.0
+ * @property {string} op  One of `add`, `remove`, `replace`, `move`, `copy`, or `test`
+ * @property {string} path  JSON Pointer to the target slot of the operation
+ * @property {*} [value]  Value for `add`, `replace`, and `test` operations
+ * @property {string} [from]  JSON Pointer to the source slot of `move` and `copy` operations
+ *
+ * @description
+ * An operation of an [RFC 6902](https://www.rfc-editor.org/rfc/rfc6902) JSON Patch document.
+ */
+
+/**
+ * @class PatchDraft
+ * @since 2.4.0
+ * @hideconstructor
+ *
+ * @classdesc
+ * Instances of this class are passed to the callback of
+ * [recordPatch]{@link module:natural-lenses#recordPatch}.  Each method applies
+ * the corresponding {@link Optic} method to the current state of the draft,
+ * making the result the new current state and recording the changes made as
+ * JSON Patch operations.
+ */
+class PatchDraft {
+  constructor(subject) {
+    this.current = subject;
+    this.patch = [];
+  }
+
+  /**
+   * @member {*} PatchDraft#current
+   * @summary The result of all changes made through this draft so far
+   */
+
+  /**
+   * @summary Set the slot of an optic within the current state
+   * @param {Optic} optic  The optic targeting the slot
+   * @param {*} newVal  The new value for the slot
+   * @returns {*}  The new current state
+   * @see Optic#setInClone
+   */
+  setInClone(optic, newVal) {
+    return this._record(optic, optic.setInClone(this.current, newVal));
+  }
+
+  /**
+   * @summary Transform the slot of an optic within the current state
+   * @param {Optic} optic  The optic targeting the slot
+   * @param {function(*): *} fn  The function transforming the slot's value
+   * @param {Object} [opts]  Options as for {@link Optic#xformInClone}
+   * @returns {*}  The new current state
+   * @see Optic#xformInClone
+   */
+  xformInClone(optic, fn, opts) {
+    return this._record(optic, optic.xformInClone(this.current, fn, opts));
+  }
+
+  /**
+   * @summary Transform the Maybe value of the slot of an optic within the current state
+   * @param {Optic} optic  The optic targeting the slot
+   * @param {function(Maybe.<*>): Maybe.<*>} fn  The function transforming the slot's {@link Maybe} value
+   * @returns {*}  The new current state
+   * @see Optic#xformInClone_maybe
+   */
+  xformInClone_maybe(optic, fn) {
+    return this._record(optic, optic.xformInClone_maybe(this.current, fn));
+  }
+
+  /**
+   * @summary Delete the slot of an optic within the current state
+   * @param {Optic} optic  The optic targeting the slot
+   * @param {Object} [opts]  Options for the `deleteInClone` method of *optic* (e.g. *prune* for a {@link Lens})
+   * @returns {*}  The new current state
+   * @see Optic#deleteInClone
+   */
+  deleteInClone(optic, opts) {
+    return this._record(optic, optic.deleteInClone(this.current, opts));
+  }
+  
+  /*
+   * @package
+   * @summary Record the changes from the current state to *result*, which becomes the current state
+   */
+  _record(optic, result) {
+    const before = this.current;
+    if (result !== before) {
+      const ops = (optic instanceof Lens && !optic.keys.some(k => k instanceof CustomStep))
+        ? lensChanges(optic.keys, before, result)
+        : structuralChanges([], before, result);
+      this.patch.push(...ops);
+      this.current = result;
+    }
+    return result;
+  }
+}
+
+/**
+ * @summary Apply changes to a subject while recording them as a JSON Patch
+ * @since 2.4.0
+ * @param {*} subject  The input structured data
+ * @param {function(PatchDraft)} body  Callback making changes through the {@link PatchDraft} passed to it
+ * @returns {{result: *, patch: Array.<JsonPatchOperation>}}  The changed clone of *subject* and the patch describing the changes
+ *
+ * @description
+ * See [recordPatch]{@link module:natural-lenses#recordPatch}.
+ */
+export function recordPatch(subject, body) {
+  const draft = new PatchDraft(subject);
+  body(draft);
+  return {result: draft.current, patch: draft.patch};
+}
+
+/**
+ * @summary Apply a JSON Patch to a clone of a subject
+ * @since 2.4.0
+ * @param {*} subject  The input structured data
+ * @param {Array.<JsonPatchOperation>} patch  The operations to apply, in order
+ * @returns {*}  A minimally changed clone of *subject* with *patch* applied
+ * @throws {PatchTestFailedError}  If a `test` operation fails
+ *
+ * @description
+ * See [applyPatch]{@link module:natural-lenses#applyPatch}.
+ */
+export function applyPatch(subject, patch) {
+  return patch.reduce(
+    (doc, operation, opIndex) => applyOperation(doc, operation, opIndex),
+    subject
+  );
+}
+
+function applyOperation(doc, operation, opIndex) {
+  const {op, path} = operation;
+  const fail = (problem) => patchError(`JSON Patch ${op} operation ${opIndex} ${problem}`, operation, opIndex);
+  const requireValue = () => {
+    if (!('value' in operation)) {
+      throw fail("has no 'value'");
+    }
+    return operation.value;
+  };
+  switch (op) {
+    case 'add':
+      return addValue(doc, locate(doc, path, fail), requireValue(), fail);
+    
+    case 'remove':
+      return removeValue(doc, locateExisting(doc, path, fail), fail);
+    
+    case 'replace': {
+      const target = locateExisting(doc, path, fail);
+      return setSlot(doc, target.lens, requireValue());
+    }
+    
+    case 'move': {
+      const source = locateExisting(doc, operation.from, fail);
+      if (path !== operation.from && path.startsWith(operation.from + '/')) {
+        throw fail("cannot move a value into itself");
+      }
+      const removed = removeValue(doc, source, fail);
+      return addValue(removed, locate(removed, path, fail), source.value, fail);
+    }
+    
+    case 'copy': {
+      const source = locateExisting(doc, operation.from, fail);
+      return addValue(doc, locate(doc, path, fail), source.value, fail);
+    }
+    
+    case 'test': {
+      // A test of a slot whose container is missing fails like any other test
+      const target = locate(doc, path, fail, () => new PatchTestFailedError(path, opIndex));
+      if (!(target.exists && deepEqual(target.value, requireValue()))) {
+        throw new PatchTestFailedError(path, opIndex);
+      }
+      return doc;
+    }
+    
+    default:
+      throw patchError(`Unknown JSON Patch operation ${JSON.stringify(op)} at index ${opIndex}`, operation, opIndex);
+  }
+}
+
+/**
+ * @private
+ * @summary Resolve a JSON Pointer against a document
+ * @returns {{lens: Lens, parent: *, key: *, exists: boolean, value: *}}
+ *
+ * @description
+ * Reference tokens are matched to the containers in *doc*: number tokens are
+ * used as strings for containers other than sequences (as JSON Object keys
+ * are strings), and `-` designates the end of a sequence.  The parent of the
+ * slot must exist; if it does not, the Error from *failMissing* (by default,
+ * *fail*) is thrown.
+ */
+function locate(doc, pointer, fail, failMissing = fail) {
+  let keys;
+  try {
+    keys = parsePointer(pointer);
+  } catch (e) {
+    throw fail(`has an invalid pointer: ${e.message}`);
+  }
+  if (keys.length === 0) {
+    return {lens: new Lens(), exists: true, value: doc};
+  }
+  const path = [];
+  let container = doc;
+  for (let i = 0; i < keys.length - 1; i++) {
+    const key = containerKey(container, keys[i]);
+    const next_maybe = index_maybe(container, key);
+    if (!('just' in next_maybe)) {
+      throw failMissing(`targets a slot whose container does not exist (${JSON.stringify(pointer)})`);
+    }
+    path.push(key);
+    container = next_maybe.just;
+  }
+  if (!isObject(container)) {
+    throw failMissing(`targets a slot within a non-container (${JSON.stringify(pointer)})`);
+  }
+  const key = containerKey(container, keys[keys.length - 1]);
+  const value_maybe = (key === '-' && isSequence(container)) ? {} : index_maybe(container, key);
+  return {
+    lens: new Lens(...path, key),
+    parentLens: new Lens(...path),
+    parent: container,
+    key,
+    exists: 'just' in value_maybe,
+    value: value_maybe.just,
+  };
+}
+
+function locateExisting(doc, pointer, fail) {
+  const target = locate(doc, pointer, fail);
+  if (!target.exists) {
+    throw fail(`targets a slot that does not exist (${JSON.stringify(pointer)})`);
+  }
+  return target;
+}
+
+function setSlot(doc, lens, value) {
+  return lens.keys.length === 0 ? value : lens.setInClone(doc, value);
+}
+
+function containerKey(container, key) {
+  return (typeof key === 'number' && !isSequence(container)) ? String(key) : key;
+}
+
+function addValue(doc, target, value, fail) {
+  if (!target.parentLens) {
+    return value;
+  }
+  if (isSequence(target.parent)) {
+    const length = sequenceLength(target.parent);
+    const index = (target.key === '-') ? length : target.key;
+    if (typeof index !== 'number' || index > length) {
+      throw fail(`targets an invalid index of a sequence (${JSON.stringify(target.key)})`);
+    }
+    return setSlot(doc, target.parentLens, target.parent[cloneImpl]({splice: [index, 0, value]}));
+  }
+  return target.lens.setInClone(doc, value);
+}
+
+function removeValue(doc, target, fail) {
+  if (!target.parentLens) {
+    return undefined;
+  }
+  if (isSequence(target.parent)) {
+    return setSlot(doc, target.parentLens, target.parent[cloneImpl]({splice: [target.key, 1]}));
+  }
+  return target.lens.xformInClone_maybe(doc, () => ({}));
+}
+
+function patchError(message, operation, opIndex) {
+  return Object.assign(new Error(message), {operation, opIndex});
+}
+
+/**
+ * @private
+ * @summary Compute the patch operations for a change through a Lens
+ * @param {Array} keys  Keys of the Lens
+ * @param {*} before  Subject of the change
+ * @param {*} after  Result of the change
+ * @returns {Array.<JsonPatchOperation>}
+ *
+ * @description
+ * Only the slots along the path of the Lens are examined: the operation
+ * happens at the shallowest slot missing from *before* (an `add` of the whole
+ * new subtree) or, if the entire path exists, at the Lens's slot.
+ */
+function lensChanges(keys, before, after) {
+  const path = [];
+  let container = before;
+  for (let depth = 0; depth < keys.length; depth++) {
+    let key = keys[depth];
+    if (isArray(container) && typeof key === 'number' && key < 0) {
+      key += container.length;
+    }
+    const next_maybe = index_maybe(container, key);
+    if (!('just' in next_maybe)) {
+      const value_maybe = new Lens(...path, key).get_maybe(after);
+      if (!('just' in value_maybe)) {
+        return [];
+      }
+      if (isArray(container) && typeof key === 'number' && key > container.length) {
+        // Elements skipped over become holes, which only a replacement of the Array can express
+        return [{op: 'replace', path: formatPointer(path), value: new Lens(...path).get(after)}];
+      }
+      return [{op: 'add', path: formatPointer([...path, key]), value: value_maybe.just}];
+    }
+    path.push(key);
+    container = next_maybe.just;
+  }
+  const value_maybe = new Lens(...path).get_maybe(after);
+  if ('just' in value_maybe) {
+    return value_maybe.just === container
+      ? []
+      : [{op: 'replace', path: formatPointer(path), value: value_maybe.just}];
+  }
+  // Containers emptied by the deletion may have been pruned, too
+  let parent = after, depth = 0;
+  for (; depth < path.length - 1; depth++) {
+    const next_maybe = index_maybe(parent, path[depth]);
+    if (!('just' in next_maybe)) {
+      break;
+    }
+    parent = next_maybe.just;
+  }
+  const removed = path.slice(0, depth + 1);
+  if (isArray(parent) && removed[depth] < parent.length) {
+    // Deleting within an Array leaves a hole, which JSON represents as null
+    return [{op: 'replace', path: formatPointer(removed), value: null}];
+  }
+  return [{op: 'remove', path: formatPointer(removed)}];
+}
+
+/**
+ * @private
+ * @summary Compute the patch operations transforming *before* into *after*
+ * @param {Array} path  Keys to the compared values
+ * @param {*} before
+ * @param {*} after
+ * @returns {Array.<JsonPatchOperation>}
+ *
+ * @description
+ * Values strictly equal to each other are not examined further, so only the
+ * containers cloned in producing *after* are compared member-by-member.
+ * Only Arrays and plain Objects are compared by member; any other change of
+ * value is a `replace`.
+ */
+function structuralChanges(path, before, after) {
+  if (before === after) {
+    return [];
+  }
+  if (isArray(before) && isArray(after)) {
+    const ops = [], common = Math.min(before.length, after.length);
+    for (let i = 0; i < common; i++) {
+      if (!(i in after) && (i in before)) {
+        ops.push({op: 'replace', path: formatPointer([...path, i]), value: null});
+      } else {
+        ops.push(...structuralChanges([...path, i], before[i], after[i]));
+      }
+    }
+    for (let i = common; i < after.length; i++) {
+      ops.push({op: 'add', path: formatPointer([...path, i]), value: after[i]});
+    }
+    for (let i = before.length - 1; i >= common; i--) {
+      ops.push({op: 'remove', path: formatPointer([...path, i])});
+    }
+    return ops;
+  }
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const ops = [];
+    Object.keys(before).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(after, key)) {
+        ops.push({op: 'remove', path: formatPointer([...path, key])});
+      }
+    });
+    Object.keys(after).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(before, key)) {
+        ops.push({op: 'add', path: formatPointer([...path, key]), value: after[key]});
+      } else {
+        ops.push(...structuralChanges([...path, key], before[key], after[key]));
+      }
+    });
+    return ops;
+  }
+  return [{op: 'replace', path: formatPointer(path), value: after}];
+}
@@ -0,0 +1,77 @@
+import CustomStep from './custom_step.js';
+
+const ARRAY_INDEX = /^(0|[1-9][0-9]*)$/;
+
+/**
+ * @private
+ * @summary Parse an RFC 6901 JSON Pointer into Lens keys
+ * @param {string} pointer  The JSON Pointer to parse
+ * @returns {Array.<string|number>}  The keys designated by *pointer*
+ *
+ * @description
+ * Reference tokens that are valid Array indexes (i.e. `0` or an unsigned
+ * integer without leading zeros) are converted to numbers; all other
+ * reference tokens are unescaped (`~1` to `/` and `~0` to `~`) and used as
+ * strings.
+ */
+export function parsePointer(pointer) {
+  if (typeof pointer !== 'string') {
+    throw Object.assign(
+      new Error("JSON Pointer must be a string"),
+      { pointer }
+    );
+  }
+  if (pointer === '') {
+    return [];
+  }
+  if (pointer[0] !== '/') {
+    throw Object.assign(
+      new Error(`JSON Pointer must be empty or start with '/': ${JSON.stringify(pointer)}`),
+      { pointer }
+    );
+  }
+  return pointer.slice(1).split('/').map(token => {
+    if (/~[^01]|~$/.test(token)) {
+      throw Object.assign(
+        new Error(`Invalid escape sequence in JSON Pointer ${JSON.stringify(pointer)}`),
+        { pointer }
+      );
+    }
+    if (ARRAY_INDEX.test(token)) {
+      return Number(token);
+    }
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+  });
+}
+
+/**
+ * @private
+ * @summary Format Lens keys as an RFC 6901 JSON Pointer
+ * @param {Array.<*>} keys  The keys to format
+ * @returns {string}  The JSON Pointer designating *keys*
+ *
+ * @description
+ * Only string keys and non-negative integer keys are representable in a
+ * JSON Pointer; any other key (e.g. a {@link Step}, a symbol, or a negative
+ * index) causes an Error with `key` and `keyIndex` properties to be thrown.
+ */
+export function formatPointer(keys) {
+  return keys.map((key, keyIndex) => {
+    if (typeof key === 'string') {
+      return '/' + key.replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+    if (Number.isInteger(key) && key >= 0) {
+      return '/' + key;
+    }
+    const keyDesc = (
+      key instanceof CustomStep ? 'a custom Step'
+      : typeof key === 'symbol' ? 'a symbol'
+      : typeof key === 'number' ? `the number ${key}`
+      : `a(n) ${typeof key}`
+    );
+    throw Object.assign(
+      new Error(`Lens key at index ${keyIndex} is ${keyDesc}, which cannot be represented in a JSON Pointer`),
+      { key, keyIndex }
+    );
+  }).join('');
+}
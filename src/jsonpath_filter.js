@@ -0,0 +1,260 @@
+import Lens from './lens.js';
+
+/**
+ * @private
+ * @summary Mark standing in for an intercalated value within filter text
+ */
+export const VALUE_MARK = '⦃…⦄';
+
+const TOKEN_PATTERNS = [
+  ['ws', /\s+/y],
+  ['mark', new RegExp(VALUE_MARK, 'y')],
+  ['string', /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/y],
+  ['number', /-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][-+]?[0-9]+)?/y],
+  ['op', /===|!==|==|!=|<=|>=|&&|\|\||[<>!()[\].@$]/y],
+  ['name', /[A-Za-z_$][A-Za-z_$0-9]*/y],
+];
+
+const KEYWORD_VALUES = new Map([['true', true], ['false', false], ['null', null]]);
+
+/**
+ * @private
+ * @summary Error in the syntax of a filter expression
+ */
+class FilterSyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.position = position;
+  }
+}
+export { FilterSyntaxError };
+
+/**
+ * @private
+ * @summary Parse the text of a JSONPath filter expression
+ * @param {string} text  Text of the expression (between `[?(` and `)]`), with *VALUE_MARK* for each intercalated value
+ * @returns {function(Array): function(*): boolean}  Function binding the intercalated values into a predicate on a selected element
+ * @throws {FilterSyntaxError}  If *text* is not a valid filter expression
+ *
+ * @description
+ * The supported expression syntax is:
+ *
+ * * Relative paths starting with `@` (the element tested), followed by any
+ *   number of `.name` or `[...]` steps, where the subscript is a string
+ *   literal, an integer, or an intercalated value.  A path alone tests for
+ *   the existence of its slot (any other value alone is tested for truthiness).
+ * * Literal values: numbers, single- or double-quoted strings, `true`,
+ *   `false`, and `null`.
+ * * Intercalated values.
+ * * Comparisons: `==`, `!=` (and the synonyms `===` and `!==`), `<`, `<=`,
+ *   `>`, and `>=`.
+ * * Boolean operators: `&&`, `||`, and `!`, with parentheses for grouping.
+ *
+ * Comparisons use the *Maybe* values of paths: two missing slots are equal,
+ * a missing slot is unequal to any value, and ordering comparisons are false
+ * unless both operands are numbers or both are strings.
+ */
+export function parseFilter(text) {
+  const tokens = tokenize(text);
+  let cursor = 0, valueCount = 0;
+
+  function peek() {
+    return tokens[cursor];
+  }
+
+  function accept(type, text) {
+    const token = tokens[cursor];
+    if (token.type === type && (text === undefined || token.text === text)) {
+      cursor += 1;
+      return token;
+    }
+    return null;
+  }
+
+  function expect(type, text, description) {
+    const token = accept(type, text);
+    if (!token) {
+      throw unexpected(description);
+    }
+    return token;
+  }
+
+  function unexpected(expected) {
+    const token = peek();
+    return new FilterSyntaxError(
+      token.type === 'end'
+        ? `Filter expression ended where ${expected} was expected`
+        : `Unexpected '${token.text}' in filter expression where ${expected} was expected`,
+      token.position
+    );
+  }
+
+  function parseOr() {
+    let result = parseAnd();
+    while (accept('op', '||')) {
+      const left = result, right = parseAnd();
+      result = (values, item) => left(values, item) || right(values, item);
+    }
+    return result;
+  }
+
+  function parseAnd() {
+    let result = parseNot();
+    while (accept('op', '&&')) {
+      const left = result, right = parseNot();
+      result = (values, item) => left(values, item) && right(values, item);
+    }
+    return result;
+  }
+
+  function parseNot() {
+    if (accept('op', '!')) {
+      const operand = parseNot();
+      return (values, item) => !operand(values, item);
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    if (peek().type === 'op' && peek().text === '(') {
+      cursor += 1;
+      const result = parseOr();
+      expect('op', ')', "')'");
+      return result;
+    }
+    const isPath = peek().type === 'op' && peek().text === '@';
+    const left = parseOperand();
+    const opToken = peek(), compare = COMPARATORS[opToken.text];
+    if (opToken.type !== 'op' || !compare) {
+      return isPath
+        ? (values, item) => 'just' in left(values, item)
+        : (values, item) => Boolean(left(values, item).just);
+    }
+    cursor += 1;
+    const right = parseOperand();
+    return (values, item) => compare(left(values, item), right(values, item));
+  }
+
+  function parseOperand() {
+    let token;
+    if ((token = accept('op', '@'))) {
+      return parsePathSteps();
+    }
+    if ((token = accept('op', '$'))) {
+      throw new FilterSyntaxError(
+        "Root ('$') references are not supported in filter expressions",
+        token.position
+      );
+    }
+    if ((token = accept('string')) || (token = accept('number'))) {
+      const value = {just: eval(token.text)};
+      return () => value;
+    }
+    if ((token = accept('mark'))) {
+      const valueIndex = valueCount++;
+      return (values) => ({just: values[valueIndex]});
+    }
+    if ((token = accept('name'))) {
+      if (!KEYWORD_VALUES.has(token.text)) {
+        throw new FilterSyntaxError(
+          `Unknown name '${token.text}' in filter expression`,
+          token.position
+        );
+      }
+      const value = {just: KEYWORD_VALUES.get(token.text)};
+      return () => value;
+    }
+    throw unexpected("a path or value");
+  }
+
+  function parsePathSteps() {
+    const steps = [];
+    for (;;) {
+      if (accept('op', '.')) {
+        steps.push(constantStep(expect('name', undefined, "a property name").text));
+      } else if (accept('op', '[')) {
+        let token;
+        if ((token = accept('string')) || (token = accept('number'))) {
+          steps.push(constantStep(eval(token.text)));
+        } else if (accept('mark')) {
+          const valueIndex = valueCount++;
+          steps.push((values) => values[valueIndex]);
+        } else {
+          throw unexpected("a string, integer, or intercalated value");
+        }
+        expect('op', ']', "']'");
+      } else {
+        break;
+      }
+    }
+    return (values, item) => new Lens(
+      ...steps.map(step => step(values))
+    ).get_maybe(item);
+  }
+
+  const predicate = parseOr();
+  if (peek().type !== 'end') {
+    throw unexpected("an operator or the end of the filter");
+  }
+
+  return (values) => (item) => predicate(values, item);
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let position = 0;
+  scanning: while (position < text.length) {
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(text);
+      if (match) {
+        if (type !== 'ws') {
+          tokens.push({type, text: match[0], position});
+        }
+        position = pattern.lastIndex;
+        continue scanning;
+      }
+    }
+    throw new FilterSyntaxError(
+      `Unexpected character '${text[position]}' in filter expression`,
+      position
+    );
+  }
+  tokens.push({type: 'end', text: '', position});
+  return tokens;
+}
+
+function constantStep(key) {
+  return () => key;
+}
+
+function equal(a_maybe, b_maybe) {
+  if (!('just' in a_maybe) || !('just' in b_maybe)) {
+    return ('just' in a_maybe) === ('just' in b_maybe);
+  }
+  return a_maybe.just === b_maybe.just;
+}
+
+function ordered(test) {
+  return (a_maybe, b_maybe) => {
+    if (!('just' in a_maybe) || !('just' in b_maybe)) {
+      return false;
+    }
+    const a = a_maybe.just, b = b_maybe.just;
+    if (!(typeof a === 'number' && typeof b === 'number') && !(typeof a === 'string' && typeof b === 'string')) {
+      return false;
+    }
+    return test(a, b);
+  };
+}
+
+const COMPARATORS = {
+  '==': equal,
+  '===': equal,
+  '!=': (a, b) => !equal(a, b),
+  '!==': (a, b) => !equal(a, b),
+  '<': ordered((a, b) => a < b),
+  '<=': ordered((a, b) => a <= b),
+  '>': ordered((a, b) => a > b),
+  '>=': ordered((a, b) => a >= b),
+};
@@ -1,17 +1,23 @@
 import isFunction from './functional/isFunction.js';
 import isUndefined from './functional/isUndefined.js';
 import { cloneImpl, isLensClass } from '../src-cjs/constants.js';
+import compileLens from './compiled_lens.js';
 import CustomStep from './custom_step.js';
+import { foundExplanation, missingExplanation } from './explanation.js';
 import fusion from './fusion.js';
+import { formatPointer } from './json_pointer.js';
 import { smartLog } from './logger.js';
 import Optic from './optic.js';
 import OpticArray from './optic_array.js';
-import { getIterator, handleNoniterableValue, index_maybe, isLens } from './utils.js';
+import Traversal from './traversal.js';
+import { getIterator, handleNoniterableValue, index_maybe, isEmptyContainer, isLens } from './utils.js';
 
 // Polyfill support for lenses to standard JavaScript types
 import './stdlib_support/object.js';
 import './stdlib_support/array.js';
 import './stdlib_support/map.js';
+import './stdlib_support/set.js';
+import './stdlib_support/typed_array.js';
 
 /**
  * @typedef {Object} OptionalThrow
@@ -23,17 +29,6 @@ import './stdlib_support/map.js';
  * @property {Function} [or]  The function to return if the slot does not contain a function.
  */
 
-/**
- * @typedef {Object} Maybe
- * @property {*} [just]  The contained value
- * @see Haskell's "Maybe" data type
- *
- * @description
- * The presence of `just` as a property indicates the "Just" construction of
- * the Maybe monad — the presence of a value (even if `undefined`).  A Maybe
- * without a `just` property is the "Nothing" construction.
- */
-
 /**
  * @extends Optic
  * @property {Array.<*>} keys  Indexing/subscripting values to be applied successively to subjects of this lens
@@ -128,6 +123,33 @@ class Lens extends Optic {
     return {just: cur};
   }
 
+  /**
+   * @summary Diagnose getting this slot from subject data
+   * @since 2.4.0
+   * @param {*} subject  The data to query
+   * @returns {Explanation}  Description of how far into *subject* the lookup of this slot proceeded
+   *
+   * @description
+   * Each of the keys (and [Steps]{@link Step}) of this Lens is a step of
+   * the lookup:
+   * ```js
+   * lens('user', 'address', 'city').explain({user: {name: "Fred"}}).message
+   * // => 'No key "address" in Object at $.user'
+   * ```
+   */
+  explain(subject) {
+    let cur = subject;
+    for (let i = 0; i < this.keys.length; i++) {
+      const k = this.keys[i];
+      const next_maybe = (k instanceof CustomStep) ? k.get_maybe(cur) : index_maybe(cur, k);
+      if (!('just' in next_maybe)) {
+        return missingExplanation(this.keys.slice(0, i), k, cur);
+      }
+      cur = next_maybe.just;
+    }
+    return foundExplanation(this.keys, cur);
+  }
+
   /**
    * @template T
    * @summary Clone *subject*, setting the value of this slot within the clone
@@ -282,6 +304,47 @@ class Lens extends Optic {
     return cur;
   }
   
+  /**
+   * @template T
+   * @summary Clone *subject*, omitting this slot from the clone
+   * @since 2.4.0
+   * @param {T} subject  The input structured data
+   * @param {Object} [opts]
+   * @param {boolean} [opts.prune=false]  Whether to also omit containers left empty by the deletion
+   * @returns {T} A minimally changed clone of *subject* without this slot
+   * @see {@link Optic#deleteInClone}
+   *
+   * @description
+   * When *opts.prune* is truthy, the containers along *this.keys* that the
+   * deletion leaves empty are also omitted, innermost first, stopping at the
+   * first container that is not empty; *subject* itself is never omitted.
+   */
+  deleteInClone(subject, {prune = false} = {}) {
+    if (!prune || this.keys.length === 0) {
+      return super.deleteInClone(subject);
+    }
+    const slots = new Array(this.keys.length);
+    let cur = subject;
+    for (let i = 0; i < this.keys.length; i++) {
+      const slot = slots[i] = makeSlot(cur, this.keys[i]);
+      const next_maybe = slot.get_maybe();
+      if (!('just' in next_maybe)) {
+        return subject;
+      }
+      cur = next_maybe.just;
+    }
+    let i = slots.length - 1;
+    cur = slots[i].cloneOmitting();
+    while (i > 0 && isEmptyContainer(cur)) {
+      i -= 1;
+      cur = slots[i].cloneOmitting();
+    }
+    for (i -= 1; i >= 0; i--) {
+      cur = slots[i].cloneAndSet(cur);
+    }
+    return cur;
+  }
+  
   /**
    * @summary DRYly bind a Function to the Object from which it was obtained
    * @param {*} subject  The input structured data
@@ -332,6 +395,52 @@ class Lens extends Optic {
     };
   }
 
+  /**
+   * @summary Derive an equivalent Lens specialized for frequent use
+   * @since 2.4.0
+   * @returns {Lens}  A Lens with the same slot, inheriting from this Lens
+   *
+   * @description
+   * The returned Lens precomputes a getter and a setter for each of its keys,
+   * and its {@link Optic#get}, {@link Optic#get_maybe}, {@link Lens#setInClone},
+   * and {@link Lens#xformInClone} methods walk the subject without the
+   * intermediate objects this Lens allocates for each step.  Steps into plain
+   * Objects and Arrays using the standard [at_maybe]{@link module:natural-lenses#at_maybe}
+   * and [clone]{@link module:natural-lenses#clone} implementations are
+   * inlined; every other container (including those overriding either method)
+   * and every {@link Step} is handled exactly as by this Lens, so the results
+   * are the same.
+   *
+   * Compiling takes time proportional to the number of keys, so it pays off
+   * for lenses created once and applied many times:
+   * ```js
+   * const price = lens('offer', 'price', 'amount').compile();
+   * records.map(r => price.get(r));
+   * ```
+   *
+   * All other methods are inherited from this Lens.
+   */
+  compile() {
+    return compileLens(this);
+  }
+
+  /**
+   * @summary Format the keys of this Lens as a JSON Pointer
+   * @since 2.4.0
+   * @returns {string}  The RFC 6901 JSON Pointer designating this Lens's slot
+   * @see module:natural-lenses#fromPointer
+   *
+   * @description
+   * String keys are escaped (`~` as `~0` and `/` as `~1`) and non-negative
+   * integer keys are written in decimal.  If any key of this Lens cannot be
+   * represented in a JSON Pointer — a {@link Step}, a symbol, a negative
+   * index, or any other non-string, non-integer value — an Error is thrown
+   * with `key` and `keyIndex` properties identifying the offending key.
+   */
+  toPointer() {
+    return formatPointer(this.keys);
+  }
+
   /**
    * Combine the effects of multiple Lenses
    *
@@ -420,7 +529,7 @@ class CSSlot {
   }
 }
 
-// Monkey-patch Optic here with `thence` to avoid cyclic dependency in optic.js
+// Monkey-patch Optic here with `thence` and `each` to avoid cyclic dependency in optic.js
 let fuse = null;
 /**
  * @function Optic#thence
@@ -434,10 +543,33 @@ let fuse = null;
  * {@link Lens} to the right of this optic, as with [fuse]{@link module:natural-lenses#fuse}.
  */
 Optic.prototype.thence = function(...keys) {
-  fuse = fuse || fusion({ Lens, OpticArray});
+  fuse = fuse || fusion({ Lens, OpticArray, Traversal });
   return fuse(this, new Lens(...keys));
 }
 
+/**
+ * @function Optic#each
+ * @since 2.4.0
+ * @summary Build a {@link Traversal} focusing each element of the iterable in this slot
+ * @returns {Traversal}  An Optic focusing every element of the iterable targeted by this optic
+ *
+ * @description
+ * The returned {@link Traversal} can be extended — e.g. with {@link Optic#thence}
+ * or [fuse]{@link module:natural-lenses#fuse} — to focus on a slot within
+ * each element:
+ * ```js
+ * const orderTotals = lens('orders').each().thence('total');
+ * const allTotals = orderTotals.getAll(data);
+ * const discounted = orderTotals.xformInClone(data, total => total * 0.9);
+ * ```
+ * Calling this method on a {@link Traversal} traverses the iterable within
+ * each of its focused slots.
+ */
+Optic.prototype.each = function() {
+  fuse = fuse || fusion({ Lens, OpticArray, Traversal });
+  return fuse(this, new Traversal(new Lens()));
+}
+
 function makeSlot(cur, k) {
   return new ((k instanceof CustomStep) ? CSSlot : Slot)(cur, k);
 }
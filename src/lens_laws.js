@@ -0,0 +1,229 @@
+const { isArray } = Array;
+import isObject from './functional/isObject.js';
+import { LensLawViolationError } from './errors.js';
+import { deepEqual, isPlainObject } from './utils.js';
+
+const LAWS = [
+  'get-put', 'put-get', 'put-put', 'xform-identity', 'delete-get',
+  'delete-identity', 'subject-unchanged',
+];
+
+/**
+ * @typedef {Object} LensLawViolation
+ * @since 2.4.0
+ * @property {string} law  Name of the law violated
+ * @property {string} message  Description of the violation
+ * @property {*} subject  The subject for which the law was violated
+ * @property {*} [value]  The value set in the slot, for laws involving one
+ * @property {Array.<*>} [values]  The values set in the slot, in order, for laws involving more than one
+ * @property {*} [expected]  The result the law requires
+ * @property {*} [actual]  The result produced
+ * @property {*} [error]  The value thrown while checking the law, if any
+ */
+
+/**
+ * @summary Check an optic for violations of the lens laws
+ * @since 2.4.0
+ * @param {Optic} optic  The optic to check
+ * @param {Array.<*>} samples  Sample subjects
+ * @param {Object} [opts]
+ * @param {Array.<*>} [opts.values]  Values to set in the slot
+ * @param {Array.<string>} [opts.laws]  Names of the laws to check
+ * @param {function(*, *): boolean} [opts.equals]  Equality test for subjects and values
+ * @param {boolean} [opts.throwOnViolation=true]  Whether to throw if any law is violated
+ * @returns {Array.<LensLawViolation>}  The violations found
+ * @throws {LensLawViolationError}  If any law is violated and *opts.throwOnViolation* is truthy
+ *
+ * @description
+ * See [checkLensLaws]{@link module:natural-lenses#checkLensLaws}.
+ */
+export function checkLensLaws(optic, samples, {
+  values,
+  laws = LAWS,
+  equals = deepEqual,
+  throwOnViolation = true,
+} = {}) {
+  const unknownLaws = laws.filter(law => !LAWS.includes(law));
+  if (unknownLaws.length > 0) {
+    throw new Error(`Unknown lens law(s) ${unknownLaws.map(l => JSON.stringify(l)).join(', ')}`);
+  }
+  const lawsChecked = new Set(laws);
+  if (!values) {
+    values = [];
+    samples.forEach(sample => {
+      const value_maybe = attempt(() => optic.get_maybe(sample), {});
+      if ('just' in value_maybe && !values.includes(value_maybe.just)) {
+        values.push(value_maybe.just);
+      }
+    });
+  }
+
+  const violations = [];
+  generateSubjects(optic, samples, values).forEach(subject => {
+    function check(law, details, test) {
+      if (!lawsChecked.has(law)) {
+        return;
+      }
+      const failure = attempt(test, (error) => ({message: `threw ${error}`, error}));
+      if (failure) {
+        violations.push(Object.assign({law, subject}, details, failure));
+      }
+    }
+
+    const original_maybe = attempt(() => ({just: snapshot(subject)}), {});
+
+    check('get-put', {}, () => {
+      const current_maybe = optic.get_maybe(subject);
+      if (!('just' in current_maybe)) {
+        return;
+      }
+      const result = optic.setInClone(subject, current_maybe.just);
+      if (result !== subject) {
+        return {
+          message: "setting the slot to its current value did not return the subject",
+          expected: subject,
+          actual: result,
+        };
+      }
+    });
+
+    values.forEach(value => {
+      check('put-get', {value}, () => {
+        const result_maybe = optic.get_maybe(optic.setInClone(subject, value));
+        if (!('just' in result_maybe) || !equals(result_maybe.just, value)) {
+          return {
+            message: "getting the slot after setting it did not produce the value set",
+            expected: {just: value},
+            actual: result_maybe,
+          };
+        }
+      });
+
+      values.forEach(secondValue => {
+        check('put-put', {values: [value, secondValue]}, () => {
+          const expected = optic.setInClone(subject, secondValue);
+          const actual = optic.setInClone(optic.setInClone(subject, value), secondValue);
+          if (!equals(actual, expected)) {
+            return {
+              message: "setting the slot twice differed from setting it only the second time",
+              expected,
+              actual,
+            };
+          }
+        });
+      });
+    });
+
+    check('xform-identity', {}, () => {
+      const result = optic.xformInClone_maybe(subject, value_maybe => value_maybe);
+      if (result !== subject) {
+        return {
+          message: "transforming the slot with the identity function did not return the subject",
+          expected: subject,
+          actual: result,
+        };
+      }
+    });
+
+    check('delete-get', {}, () => {
+      const result_maybe = optic.get_maybe(optic.deleteInClone(subject));
+      if ('just' in result_maybe) {
+        return {
+          message: "getting the slot after deleting it found a value",
+          expected: {},
+          actual: result_maybe,
+        };
+      }
+    });
+
+    check('delete-identity', {}, () => {
+      if ('just' in optic.get_maybe(subject)) {
+        return;
+      }
+      const result = optic.deleteInClone(subject);
+      if (result !== subject) {
+        return {
+          message: "deleting a missing slot did not return the subject",
+          expected: subject,
+          actual: result,
+        };
+      }
+    });
+
+    check('subject-unchanged', {}, () => {
+      if ('just' in original_maybe && !deepEqual(subject, original_maybe.just)) {
+        return {
+          message: "the subject changed while checking the other laws",
+          expected: original_maybe.just,
+          actual: subject,
+        };
+      }
+    });
+  });
+
+  if (throwOnViolation && violations.length > 0) {
+    throw new LensLawViolationError(violations);
+  }
+  return violations;
+}
+
+function generateSubjects(optic, samples, values) {
+  const subjects = [];
+  function add(makeSubject) {
+    const subject_maybe = attempt(() => ({just: makeSubject()}), {});
+    if ('just' in subject_maybe && !subjects.includes(subject_maybe.just)) {
+      subjects.push(subject_maybe.just);
+    }
+  }
+  samples.forEach(sample => {
+    add(() => sample);
+    values.forEach(value => add(() => optic.setInClone(sample, value)));
+    add(() => optic.deleteInClone(sample));
+  });
+  return subjects;
+}
+
+/*
+ * Deep-copy the parts of *value* that deepEqual compares by content; other
+ * values (such as class instances and Immutable containers) are kept as is.
+ */
+function snapshot(value) {
+  if (isArray(value)) {
+    return value.map(snapshot);
+  }
+  if (value instanceof Map) {
+    return new Map(Array.from(value, ([k, v]) => [k, snapshot(v)]));
+  }
+  if (value instanceof Set) {
+    return new Set(value);
+  }
+  if (isObject(value) && typeof value.equals === 'function') {
+    return value;
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (value instanceof ArrayBuffer) {
+    return value.slice(0);
+  }
+  if (value instanceof DataView) {
+    return new DataView(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+  }
+  if (ArrayBuffer.isView(value)) {
+    return value.slice();
+  }
+  if (isPlainObject(value)) {
+    const result = Object.create(Object.getPrototypeOf(value));
+    Object.keys(value).forEach(k => { result[k] = snapshot(value[k]); });
+    return result;
+  }
+  return value;
+}
+
+function attempt(fn, onError) {
+  try {
+    return fn();
+  } catch (error) {
+    return (typeof onError === 'function') ? onError(error) : onError;
+  }
+}
@@ -0,0 +1,142 @@
+import isUndefined from './functional/isUndefined.js';
+
+/**
+ * @template T
+ * @summary Value of the Maybe monad
+ * @property {T} [just]  The contained value
+ * @see Haskell's "Maybe" data type
+ *
+ * @description
+ * The presence of `just` as a property indicates the "Just" construction of
+ * the Maybe monad — the presence of a value (even if `undefined`).  A Maybe
+ * without a `just` property is the "Nothing" construction.
+ *
+ * Methods of this package returning a Maybe (other than {@link Optic#maybe})
+ * return plain Objects with or without a `just` property rather than
+ * instances of this class, and methods accepting a Maybe accept either.
+ * Instances of this class (since 2.4.0) add methods for working with the
+ * contained value.
+ *
+ * Obtain an instance with {@link Optic#maybe}, or with the static methods of
+ * this class, which is available as
+ * [`lens.Maybe`]{@link Maybe}:
+ * ```js
+ * const city = lens('address', 'city').maybe(data)
+ *   .map(name => name.toUpperCase())
+ *   .orElse('<unknown>');
+ * ```
+ *
+ * Instances are frozen.
+ */
+class Maybe {
+  /**
+   * @summary Construct a Maybe from a plain {@link Maybe} Object
+   * @param {Maybe.<T>} [maybe={}]  The *Just* or *Nothing* to copy
+   */
+  constructor(maybe = {}) {
+    if ('just' in maybe) {
+      this.just = maybe.just;
+    }
+    Object.freeze(this);
+  }
+
+  /**
+   * @template T
+   * @summary Construct a *Just* of a value
+   * @param {T} value  The value contained
+   * @returns {Maybe.<T>}  A *Just* of *value*
+   */
+  static just(value) {
+    return new Maybe({just: value});
+  }
+
+  /**
+   * @summary Get a *Nothing*
+   * @returns {Maybe.<*>}  A *Nothing*
+   */
+  static nothing() {
+    return NOTHING;
+  }
+
+  /**
+   * @template T
+   * @summary Convert a plain {@link Maybe} Object to an instance of this class
+   * @param {Maybe.<T>} maybe  The *Just* or *Nothing* to convert
+   * @returns {Maybe.<T>}  *maybe* if it is already an instance of this class, otherwise an equivalent instance
+   */
+  static from(maybe) {
+    if (maybe instanceof Maybe) {
+      return maybe;
+    }
+    return ('just' in maybe) ? new Maybe(maybe) : NOTHING;
+  }
+
+  /**
+   * @template U
+   * @summary Transform the contained value
+   * @param {function(T): U} fn  Function computing the new value from the contained value
+   * @returns {Maybe.<U>}  A *Just* of the result of *fn*, or *Nothing* if *this* is *Nothing*
+   */
+  map(fn) {
+    return ('just' in this) ? Maybe.just(fn(this.just)) : this;
+  }
+
+  /**
+   * @template U
+   * @summary Transform the contained value into another Maybe
+   * @param {function(T): Maybe.<U>} fn  Function computing a {@link Maybe} from the contained value
+   * @returns {Maybe.<U>}  The result of *fn* (converted to an instance of this class), or *Nothing* if *this* is *Nothing*
+   *
+   * @description
+   * *fn* may return a plain {@link Maybe} Object, such as the result of
+   * {@link Optic#get_maybe}, which makes this method suitable for chaining
+   * lookups through data found along the way.
+   */
+  flatMap(fn) {
+    return ('just' in this) ? Maybe.from(fn(this.just)) : this;
+  }
+
+  /**
+   * @summary Keep the contained value only if it satisfies a predicate
+   * @param {function(T): boolean} predicate  Test of the contained value
+   * @returns {Maybe.<T>}  *this* if it is a *Just* whose value satisfies *predicate*, otherwise *Nothing*
+   */
+  filter(predicate) {
+    return (('just' in this) && predicate(this.just)) ? this : NOTHING;
+  }
+
+  /**
+   * @template U
+   * @summary Get the contained value or a fallback
+   * @param {U} fallback  Value returned if *this* is *Nothing*
+   * @returns {T|U}  The contained value, or *fallback*
+   */
+  orElse(fallback) {
+    return ('just' in this) ? this.just : fallback;
+  }
+
+  /**
+   * @summary Get the contained value or throw
+   * @param {*} [error]  The value to `throw` if *this* is *Nothing*
+   * @returns {T}  The contained value
+   * @throws {*} *error* — or an Error if *error* is not given — if *this* is *Nothing*
+   */
+  getOrThrow(error) {
+    if ('just' in this) {
+      return this.just;
+    }
+    throw (isUndefined(error) ? new Error("Maybe contains no value") : error);
+  }
+
+  /**
+   * @summary Get the contained value as an Array
+   * @returns {Array.<T>}  An Array of the contained value, or an empty Array if *this* is *Nothing*
+   */
+  toArray() {
+    return ('just' in this) ? [this.just] : [];
+  }
+}
+
+const NOTHING = new Maybe();
+
+export default Maybe;
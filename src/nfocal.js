@@ -6,6 +6,7 @@ import isFunction from './functional/isFunction.js';
 import _map from './functional/map.js';
 import mapObject from './functional/mapObject.js';
 import _reduce from './functional/reduce.js';
+import { applyUpdates, maybeUpdate } from './batch.js';
 import { StereoscopyError } from './errors.js';
 import { at_maybe, cloneImpl } from '../src-cjs/constants.js';
 import Optic from './optic.js';
@@ -47,6 +48,24 @@ export class AbstractNFocal extends Optic {
     return makeNFocal(lenses);
   }
 
+  /**
+   * @summary Diagnose getting this slot from subject data
+   * @since 2.4.0
+   * @param {*} subject  The data to query
+   * @returns {Explanation}  Description of how far into *subject* the lookup of this slot proceeded
+   *
+   * @description
+   * A multifocal always finds a value, so the `parts` of the result explain
+   * the lookup through each constituent optic, by the same index or key as
+   * in *this.lenses*.
+   */
+  explain(subject) {
+    const explainPart = (lens) => lens.explain(subject);
+    return Object.assign(super.explain(subject), {
+      parts: isArray(this.lenses) ? this.lenses.map(explainPart) : mapObject(this.lenses, explainPart),
+    });
+  }
+  
   /**
    * @summary Test which constituent lenses are present in a subject
    * @param {*} subject  The data to test
@@ -123,13 +142,50 @@ export class AbstractNFocal extends Optic {
    * will cause the clone to omit the targeted slot.
    *
    * Transforms are applied in the order in which they occur in *xformPairs*.
+   * Transforms through constituent [Lenses]{@link Lens} are applied in a
+   * single clone pass (as with [batch]{@link module:natural-lenses#batch}),
+   * so a container shared by the slots of several constituents is cloned
+   * only once.
    */
   xformInClone_maybe(subject, xformArray) {
+    return applyUpdates(
+      subject,
+      _reduce(
+        xformArray,
+        (updates, [key, xform]) => {
+          const lens = this.lenses[key];
+          if (lens) {
+            updates.push(maybeUpdate(lens, xform));
+          }
+          return updates;
+        },
+        []
+      )
+    );
+  }
+  
+  /**
+   * @template T
+   * @summary Clone *subject*, omitting the slots of selected constituent optics
+   * @since 2.4.0
+   * @param {T} subject  The input structured data
+   * @param {Object} [opts]
+   * @param {Iterable.<number|string>} [opts.keys]  Indexes/keys of the constituent optics whose slots to omit (default: all)
+   * @param {boolean} [opts.prune=false]  Whether to also omit containers left empty by each deletion
+   * @returns {T} A minimally changed clone of *subject* without the selected slots
+   * @see {@link Optic#deleteInClone}
+   *
+   * @description
+   * The slots are deleted in the order of *opts.keys* (or of *this.lenses*),
+   * each with the `deleteInClone` method of the constituent optic.  A key in
+   * *opts.keys* that does not identify a constituent optic is a no-op.
+   */
+  deleteInClone(subject, {keys, prune = false} = {}) {
     return _reduce(
-      xformArray,
-      (cur, [key, xform]) => {
+      keys ? Array.from(keys) : _map(this.lenses, (lens, key) => key),
+      (cur, key) => {
         const lens = this.lenses[key];
-        return lens ? lens.xformInClone_maybe(cur, xform) : cur;
+        return lens ? lens.deleteInClone(cur, {prune}) : cur;
       },
       subject
     );
@@ -1,9 +1,11 @@
 import isFunction from './functional/isFunction.js';
 import isUndefined from './functional/isUndefined.js';
 import BinderMixin from './binder_mixin.js';
-import { isLensClass } from '../src-cjs/constants.js';
+import { foundExplanation, missingExplanation } from './explanation.js';
+import Maybe from './maybe.js';
+import { cloneImpl, isLensClass } from '../src-cjs/constants.js';
 import { smartLog } from './logger.js';
-import { getIterator, handleNoniterableValue, isLens } from './utils.js';
+import { getIterator, handleNoniterableValue, index_maybe, isLens, isSequence, sequenceLength } from './utils.js';
 
 class Optic {
   [isLensClass] = true;
@@ -108,6 +110,46 @@ class Optic {
     return handler.call(undefined, maybeVal.just);
   }
   
+  /**
+   * @summary Get the value of this slot as a {@link Maybe} instance
+   * @since 2.4.0
+   * @param {*}    subject  The data to query
+   * @param {...*} tail     Additional subjects for repeated application
+   * @returns {Maybe.<*>}  An instance of {@link Maybe} for the value of the slot
+   *
+   * @description
+   * This method works like {@link Optic#get_maybe}, but the result is always
+   * an instance of the [`lens.Maybe`]{@link Maybe}
+   * class, with methods like {@link Maybe#map} and {@link Maybe#orElse}
+   * for working with the value.
+   */
+  maybe(subject, ...tail) {
+    return Maybe.from(this.get_maybe(subject, ...tail));
+  }
+  
+  /**
+   * @summary Diagnose getting this slot from subject data
+   * @since 2.4.0
+   * @param {*} subject  The data to query
+   * @returns {Explanation}  Description of how far into *subject* the lookup of this slot proceeded
+   *
+   * @description
+   * Where {@link Optic#get_maybe} only indicates whether the slot is present,
+   * this method reports which step of the lookup found no value, the value
+   * in which that step was attempted, and the path to that value, with a
+   * message suitable for reporting the problem.
+   *
+   * This implementation treats the optic as a single step; {@link Lens},
+   * {@link OpticArray}, and the multifocals explain each of their steps or
+   * constituent optics.
+   */
+  explain(subject) {
+    const result_maybe = this.get_maybe(subject);
+    return ('just' in result_maybe)
+      ? foundExplanation([this], result_maybe.just)
+      : missingExplanation([], this, subject);
+  }
+  
   /**
    * @summary Test for the presence of this slot in subject data
    * @param {*}        subject The data to test
@@ -255,6 +297,128 @@ class Optic {
     return this.xformInClone_maybe(subject, () => ({just: newVal}));
   }
   
+  /**
+   * @template T
+   * @summary Clone *subject*, omitting this slot from the clone
+   * @since 2.4.0
+   * @param {T} subject  The input structured data
+   * @returns {T} A minimally changed clone of *subject* without this slot
+   *
+   * @description
+   * This is equivalent to calling {@link Optic#xformInClone_maybe} with a
+   * function returning *Nothing* (`{}`).  If this slot is not present in
+   * *subject*, *subject* is returned.
+   *
+   * Optics that know the path to their slot — {@link Lens} and the result of
+   * [fuse]{@link module:natural-lenses#fuse} — can also prune the containers
+   * left empty by the deletion.
+   */
+  deleteInClone(subject) {
+    return this.xformInClone_maybe(subject, () => ({}));
+  }
+  
+  /**
+   * @template T
+   * @summary Clone *subject*, inserting values into the sequence in this slot
+   * @since 2.4.0
+   * @param {T}      subject  The input structured data
+   * @param {number} index    Index before which to insert *values* (negative counts back from the end)
+   * @param {...*}   values   Values to insert
+   * @returns {T} A minimally changed clone of *subject* with *values* inserted in the sequence in this slot
+   * @throws {Error} If this slot contains a value that is not a sequence
+   *
+   * @description
+   * A sequence is an Array, a TypedArray, or an [immutable.List]{@link external:immutable.List}.
+   * Elements of the sequence at or after *index* follow *values* in the clone.
+   * If this slot is missing from *subject*, it is set to an Array of *values*.
+   */
+  insertInClone(subject, index, ...values) {
+    if (values.length === 0) {
+      return subject;
+    }
+    return editSequenceInClone(this, subject, 'insertInClone',
+      seq => seq[cloneImpl]({splice: [index, 0, ...values]}),
+      () => ({just: values})
+    );
+  }
+  
+  /**
+   * @template T
+   * @summary Clone *subject*, removing elements from the sequence in this slot
+   * @since 2.4.0
+   * @param {T}      subject    The input structured data
+   * @param {number} index      Index of the first element to remove (negative counts back from the end)
+   * @param {number} [count=1]  Number of elements to remove
+   * @returns {T} A minimally changed clone of *subject* without the indicated elements of the sequence in this slot
+   * @throws {Error} If this slot contains a value that is not a sequence
+   *
+   * @description
+   * Unlike deleting an element of an Array with {@link Optic#deleteInClone}
+   * through a {@link Lens}, which leaves a hole, the elements following the
+   * removed elements shift to take their place.  If no element is removed,
+   * *subject* is returned.
+   */
+  removeInClone(subject, index, count = 1) {
+    return editSequenceInClone(this, subject, 'removeInClone', seq => {
+      const start = sequenceIndex(seq, index);
+      if (!(count > 0) || start >= sequenceLength(seq)) {
+        return seq;
+      }
+      return seq[cloneImpl]({splice: [start, count]});
+    });
+  }
+  
+  /**
+   * @template T
+   * @summary Clone *subject*, appending values to the sequence in this slot
+   * @since 2.4.0
+   * @param {T}    subject  The input structured data
+   * @param {...*} values   Values to append
+   * @returns {T} A minimally changed clone of *subject* with *values* appended to the sequence in this slot
+   * @throws {Error} If this slot contains a value that is not a sequence
+   *
+   * @description
+   * If this slot is missing from *subject*, it is set to an Array of *values*.
+   */
+  appendInClone(subject, ...values) {
+    if (values.length === 0) {
+      return subject;
+    }
+    return editSequenceInClone(this, subject, 'appendInClone',
+      seq => seq[cloneImpl]({splice: [sequenceLength(seq), 0, ...values]}),
+      () => ({just: values})
+    );
+  }
+  
+  /**
+   * @template T
+   * @summary Clone *subject*, moving an element within the sequence in this slot
+   * @since 2.4.0
+   * @param {T}      subject    The input structured data
+   * @param {number} fromIndex  Index of the element to move (negative counts back from the end)
+   * @param {number} toIndex    Index of the element in the resulting sequence (negative counts back from the end)
+   * @returns {T} A minimally changed clone of *subject* with the element moved within the sequence in this slot
+   * @throws {Error} If this slot contains a value that is not a sequence
+   *
+   * @description
+   * If *fromIndex* does not identify an element of the sequence or the element
+   * would not move, *subject* is returned.
+   */
+  moveInClone(subject, fromIndex, toIndex) {
+    return editSequenceInClone(this, subject, 'moveInClone', seq => {
+      const length = sequenceLength(seq), from = sequenceIndex(seq, fromIndex);
+      if (from >= length) {
+        return seq;
+      }
+      const to = Math.min(sequenceIndex(seq, toIndex), length - 1);
+      if (to === from) {
+        return seq;
+      }
+      const item = index_maybe(seq, from).just;
+      return seq[cloneImpl]({splice: [from, 1]})[cloneImpl]({splice: [to, 0, item]});
+    });
+  }
+  
   /**
    * @summary DRYly bind a Function to the Object from which it was obtained
    * @param {string|symbol} methodName
@@ -377,6 +541,34 @@ class Optic {
 Object.assign(Optic.prototype, BinderMixin);
 export default Optic;
 
+/**
+ * @private
+ * @summary Clone *subject*, editing the sequence in the slot of *optic*
+ * @param {Optic} optic
+ * @param {*} subject
+ * @param {string} methodName  Name of the calling method, for error messages
+ * @param {function(*): *} edit  Function returning the edited clone of the sequence (or the sequence itself for no change)
+ * @param {function(): Maybe.<*>} [missing]  Function computing the Maybe value for a missing slot
+ * @returns {*}
+ */
+function editSequenceInClone(optic, subject, methodName, edit, missing = () => ({})) {
+  return optic.xformInClone_maybe(subject, (seq_maybe) => {
+    if (!('just' in seq_maybe)) {
+      return missing();
+    }
+    const seq = seq_maybe.just;
+    if (!isSequence(seq)) {
+      throw new Error(`${methodName} requires a sequence (Array, TypedArray, or immutable.List) in the slot`);
+    }
+    return {just: edit(seq)};
+  });
+}
+
+function sequenceIndex(seq, index) {
+  const length = sequenceLength(seq);
+  return index < 0 ? Math.max(length + index, 0) : Math.min(index, length);
+}
+
 /* istanbul ignore next */
 function abstractMethod() {
   throw new Error("Abstract method not implemented by concrete class");
@@ -1,5 +1,6 @@
+import { foundExplanation, missingExplanation } from './explanation.js';
 import Optic from './optic.js';
-import { isLens, lensCap } from './utils.js';
+import { isEmptyContainer, isLens, lensCap } from './utils.js';
 
 /**
  * @extends Optic
@@ -56,6 +57,29 @@ class OpticArray extends Optic {
     return stepSubject;
   }
 
+  /**
+   * @summary Diagnose getting this slot from subject data
+   * @since 2.4.0
+   * @param {*} subject  The data to query
+   * @returns {Explanation}  Description of how far into *subject* the lookup of this slot proceeded
+   *
+   * @description
+   * The steps of the constituent optics are combined into a single path.
+   */
+  explain(subject) {
+    const keys = [];
+    let cur = subject;
+    for (let i = 0; i < this.lenses.length; i++) {
+      const part = this.lenses[i].explain(cur);
+      if (!part.found) {
+        return missingExplanation(keys.concat(part.keys), part.failedKey, part.container);
+      }
+      keys.push(...part.keys);
+      cur = part.value;
+    }
+    return foundExplanation(keys, cur);
+  }
+
   /**
    * @inheritdoc
    */
@@ -85,9 +109,65 @@ class OpticArray extends Optic {
     for (i = leadingLensCount - 1; i >= 0; i--) {
       let lensSubject = lensSubjects[i] || {};
       xformResults[i] = this.lenses[i].setInClone(lensSubject.just, xformResults[i + 1]);
+      if (xformResults[i] === lensSubject.just) {
+        // This optic declined the change (e.g. a non-matching Prism)
+        return subject;
+      }
     }
     return xformResults[0];
   }
+  
+  /**
+   * @template T
+   * @summary Clone *subject*, omitting this slot from the clone
+   * @since 2.4.0
+   * @param {T} subject  The input structured data
+   * @param {Object} [opts]
+   * @param {boolean} [opts.prune=false]  Whether to also omit containers left empty by the deletion
+   * @returns {T} A minimally changed clone of *subject* without this slot
+   * @see {@link Optic#deleteInClone}
+   *
+   * @description
+   * When *opts.prune* is truthy, the slot of each fused optic is pruned in
+   * turn — from the last optic back toward the first — while the deletion
+   * leaves it holding an empty container.  *subject* itself is never omitted.
+   */
+  deleteInClone(subject, {prune = false} = {}) {
+    if (this.lenses.length === 0) {
+      return super.deleteInClone(subject);
+    }
+    const lensSubjects = [subject];
+    for (let i = 0; i < this.lenses.length - 1; i++) {
+      const next_maybe = this.lenses[i].get_maybe(lensSubjects[i]);
+      if (!('just' in next_maybe)) {
+        return subject;
+      }
+      lensSubjects.push(next_maybe.just);
+    }
+    let i = this.lenses.length - 1;
+    let cur = this.lenses[i].deleteInClone(lensSubjects[i], {prune});
+    if (cur === lensSubjects[i]) {
+      return subject;
+    }
+    while (prune && i > 0 && isEmptyContainer(cur)) {
+      const pruned = this.lenses[i - 1].deleteInClone(lensSubjects[i - 1], {prune});
+      if (pruned === lensSubjects[i - 1]) {
+        // This optic cannot omit its slot, so the empty container stays
+        break;
+      }
+      i -= 1;
+      cur = pruned;
+    }
+    for (i -= 1; i >= 0; i--) {
+      const lensSubject = lensSubjects[i];
+      cur = this.lenses[i].setInClone(lensSubject, cur);
+      if (cur === lensSubject) {
+        // This optic declined the change (e.g. a non-matching Prism)
+        return subject;
+      }
+    }
+    return cur;
+  }
 }
 
 export default OpticArray;
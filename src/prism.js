@@ -0,0 +1,117 @@
+import _each from './functional/each.js';
+import identity from './functional/identity.js';
+import isFunction from './functional/isFunction.js';
+import isUndefined from './functional/isUndefined.js';
+import Lens from './lens.js';
+import Optic from './optic.js';
+import { index_maybe, isLens } from './utils.js';
+
+/**
+ * @extends Optic
+ * @since 2.4.0
+ */
+class Prism extends Optic {
+  /**
+   * @summary Optic focusing its subject only when the subject matches
+   * @param {function(*): boolean | Object} match  Predicate or discriminator Object the subject must match
+   * @param {function(*): *} [review]  Function constructing a matching value from a focused value
+   *
+   * @description
+   * Construct this using [prism]{@link module:natural-lenses#prism}.
+   *
+   * A Prism is the optic of variants (e.g. tagged unions).  When the subject
+   * matches, the Prism focuses on the subject itself; when it does not match
+   * (or is `undefined`), the Prism focuses on nothing.
+   *
+   * If *match* is a Function, it is called with the subject and a truthy
+   * result indicates a match.  Otherwise, *match* is a *discriminator* Object
+   * and the subject matches if, for every own property of *match*, the
+   * subject contains a strict-equal value under the same key (as looked up
+   * with [at_maybe]{@link module:natural-lenses#at_maybe}, so any lensable
+   * container can be a subject).
+   *
+   * *review* is used to construct a matching value from a focused value,
+   * both when called directly as {@link Prism#review} and for the result of
+   * transforming through the Prism.  If not given, it defaults to identity
+   * for a predicate *match* or, for a discriminator, to setting the
+   * discriminator values into a clone of the value (via {@link Lens#setInClone}).
+   */
+  constructor(match, review) {
+    super();
+    if (isFunction(match)) {
+      this.matches = match;
+      this.review = review || identity;
+    } else {
+      const discriminator = Object.entries(match);
+      this.matches = (subject) => discriminator.every(
+        ([key, value]) => {
+          const value_maybe = index_maybe(subject, key);
+          return 'just' in value_maybe && value_maybe.just === value;
+        }
+      );
+      this.review = review || ((value) => {
+        let result = value;
+        _each(discriminator, ([key, value]) => {
+          result = new Lens(key).setInClone(result, value);
+        });
+        return result;
+      });
+    }
+  }
+
+  /**
+   * @function Prism#matches
+   * @summary Test whether a subject matches this Prism
+   * @param {*} subject  The value to test
+   * @returns {boolean}
+   */
+
+  /**
+   * @function Prism#review
+   * @summary Construct a matching value from a focused value
+   * @param {*} value  The value to construct from
+   * @returns {*}  A value which this Prism focuses
+   */
+
+  /**
+   * @inheritdoc
+   */
+  get_maybe(subject, ...tail) {
+    if (isUndefined(subject) || !this.matches(subject)) {
+      return {};
+    }
+    if (tail.length > 0) {
+      return isLens(subject) ? subject.get_maybe(...tail) : {};
+    }
+    return {just: subject};
+  }
+
+  /**
+   * @template T
+   * @summary Clone the input, transforming the matching subject with a function
+   * @param {T}                              subject  The input structured data
+   * @param {function(Maybe.<*>): Maybe.<*>} fn       The function transforming the {@link Maybe} of the subject
+   * @return {T} *subject* if it does not match, otherwise the [reviewed]{@link Prism#review} result of *fn*
+   *
+   * @description
+   * If *subject* does not match this Prism, *fn* is not called and *subject*
+   * is returned.  Because a Prism has no container from which to remove its
+   * focus, *subject* is also returned if *fn* returns *Nothing*.
+   *
+   * If *fn* returns the strict-equal value it was passed, *subject* is
+   * returned; otherwise the value returned by *fn* is passed through
+   * {@link Prism#review}.
+   */
+  xformInClone_maybe(subject, fn) {
+    if (isUndefined(subject) || !this.matches(subject)) {
+      return subject;
+    }
+    const result_maybe = fn({just: subject});
+    if (!('just' in result_maybe) || result_maybe.just === subject) {
+      return subject;
+    }
+    return this.review(result_maybe.just);
+  }
+}
+
+export default Prism;
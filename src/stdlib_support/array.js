@@ -17,9 +17,13 @@ incorporateStdlibSupport(Array, [
     return (key in this) ? {just: this[key]} : {};
   }],
   
-  // Define how an Array clones with an element set to a given value or spliced out
-  [cloneImpl, function({set, spliceOut} = {}) {
-    if (set) {
+  // Define how an Array clones with an element set to a given value, spliced out, or with a splice applied
+  [cloneImpl, function({set, spliceOut, splice} = {}) {
+    if (splice) {
+      const result = this.concat();
+      result.splice(...splice);
+      return result;
+    } else if (set) {
       const result = this.concat();
       let [key, value] = set;
       if (typeof key === 'number' && key < 0) key = this.length + key;
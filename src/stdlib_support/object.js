@@ -1,6 +1,7 @@
 const { forEach } = {};
 import isUndefined from '../functional/isUndefined.js';
 import { at_maybe, cloneImpl } from '../../src-cjs/constants.js';
+import { copyObject } from '../cloners.js';
 import { incorporateStdlibSupport } from '../utils.js';
 
 incorporateStdlibSupport(Object, [
@@ -14,18 +15,7 @@ incorporateStdlibSupport(Object, [
     if (spliceOut && !this.hasOwnProperty(spliceOut)) {
       return this;
     }
-    const Species = this.constructor[Symbol.species] || this.constructor;
-    let inst = null;
-    try {
-      inst = new Species();
-    } catch (e) {
-      const cantConstruct = new Error(
-        `'${this.constructor.name}' requires arguments for instantiation; provide a [lens.clone] method`
-      );
-      cantConstruct.cause = e;
-      throw cantConstruct;
-    }
-    const result = Object.assign(inst, this);
+    const result = copyObject(this);
     if (set) {
       result[set[0]] = set[1];
     } else if (!isUndefined(spliceOut)) {
@@ -0,0 +1,27 @@
+import { at_maybe, cloneImpl } from '../../src-cjs/constants.js';
+import { incorporateStdlibSupport } from '../utils.js';
+
+incorporateStdlibSupport(Set, [
+  // Define how a Set retrieves the membership of a value in the Maybe monad
+  [at_maybe, function(key) {
+    return {just: this.has(key)};
+  }],
+  
+  // Define how a Set clones with a value's membership set or the value deleted
+  [cloneImpl, function(opDesc = {}) {
+    const {set, spliceOut} = opDesc, givenSpliceOut = 'spliceOut' in opDesc;
+    const Species = this.constructor[Symbol.species];
+    const result = new Species(this);
+    if (set) {
+      const [member, present] = set;
+      if (present) {
+        result.add(member);
+      } else {
+        result.delete(member);
+      }
+    } else if (givenSpliceOut) {
+      result.delete(spliceOut);
+    }
+    return result;
+  }],
+]);
@@ -0,0 +1,42 @@
+import { at_maybe, cloneImpl } from '../../src-cjs/constants.js';
+import { incorporateStdlibSupport } from '../utils.js';
+
+// The common (unexposed) base class of Uint8Array, Float32Array, etc.
+const TypedArray = Object.getPrototypeOf(Uint8Array);
+
+incorporateStdlibSupport(TypedArray, [
+  // Define how a TypedArray retrieves the element at an index/key in the Maybe monad
+  [at_maybe, function(key) {
+    if (typeof key === 'number') {
+      if (key < -this.length || key >= this.length) {
+        return {};
+      }
+      if (key < 0) {
+        key = this.length + key;
+      }
+    }
+    return (key in this) ? {just: this[key]} : {};
+  }],
+  
+  // Define how a TypedArray clones with an element set, zeroed (TypedArrays
+  // cannot have holes), or with a splice applied
+  [cloneImpl, function({set, spliceOut, splice} = {}) {
+    if (splice) {
+      const elements = Array.from(this);
+      elements.splice(...splice);
+      return new this.constructor(elements);
+    }
+    const result = this.slice();
+    if (set) {
+      let [key, value] = set;
+      if (typeof key === 'number' && key < 0) key = this.length + key;
+      result[key] = value;
+    } else if (typeof spliceOut === 'number') {
+      const i = spliceOut < 0 ? this.length + spliceOut : spliceOut;
+      if (i >= 0 && i < this.length) {
+        result[i] = (typeof result[i] === 'bigint') ? BigInt(0) : 0;
+      }
+    }
+    return result;
+  }],
+]);
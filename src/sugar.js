@@ -1,7 +1,10 @@
+import fusion from './fusion.js';
 import Lens from './lens.js';
+import OpticArray from './optic_array.js';
+import { FilterSyntaxError, parseFilter, VALUE_MARK as RAW_VALUE_MARK } from './jsonpath_filter.js';
+import Traversal, { DESCENDANTS, VALUES, filter, slice } from './traversal.js';
 import { Parser, states, actions } from '../src-cjs/tag-parser.js';
 
-const RAW_VALUE_MARK = '⦃…⦄';
 const MISSING_VALUE = new Error();
 
 const cacheSpaceAllocations = new Map([[null, 100]]);
@@ -22,20 +25,39 @@ lensBuilderCache.allocated = cacheSpaceAllocations.get(null);
  * @module natural-lenses/sugar
  * @since 2.3.0
  * @summary String template tag for constructing a Lens with JSONPath-like syntax
- * @returns {Lens} A lens constructed from the JSONPath (and intercalated values) given
+ * @returns {Lens|Traversal} A lens (or, for multi-focus paths, a traversal) constructed from the JSONPath (and intercalated values) given
  *
  * @description
  * This module is (when `require`d) or exports as default (when `import`ed) a
  * Function implementing a string template tag interpreting a subset of JSONPath
- * to construct a {@link Lens}.  The only supported JSONPath operators
- * are the single dot (`.`) and the square brackets (`[...]`); all other
- * operators would result in a non-Lens optic.  Within the square brackets,
- * only string literals (in single- or double-quotes), unsigned or negative
+ * to construct a {@link Lens}.  The basic JSONPath operators are the single
+ * dot (`.`) and the square brackets (`[...]`).  Within the square brackets,
+ * string literals (in single- or double-quotes), unsigned or negative
  * integers, and intercalated values are allowed.  Use of unquoted `@` (the
  * JSONPath *current object/element*) in the expression is not allowed, and the
  * `$` (the JSONPath *root object*) is only allowed — and required — as the
  * first character of the expression.
  *
+ * *(since 2.4.0)* The following multi-focus JSONPath operators are also
+ * supported, and cause the result to be a {@link Traversal} rather than a
+ * {@link Lens}:
+ *
+ * | Operator | Focuses on |
+ * | :------- | :--------- |
+ * | `[*]` or `.*` | Each element of an Array (or other iterable) or each property value of an Object |
+ * | `[start:end:step]` | Each element of an Array within the slice (each part optional; negative values count from the end) |
+ * | `..name`, `..*`, or `..[...]` | The named member, every member, or the subscripted member of the value and of every Array or plain Object nested within it |
+ * | `[?(...)]` | Each element or property value (as for `[*]`) satisfying the filter expression |
+ *
+ * Filter expressions test the selected element (referenced as `@`) with
+ * paths, literal and intercalated values, comparisons (`==`, `!=`, `<`, `<=`,
+ * `>`, `>=`), and boolean operators (`&&`, `||`, `!`); see
+ * {@tutorial sugar} for details.
+ *
+ * Transforming through `..` only affects nested values where the rest of the
+ * path finds a value, so `` A`$..name`.setInClone(data, 'x') `` replaces
+ * existing `name` properties without adding any.
+ *
  * When an intercalated value is used within a subscript operator, the actual
  * JavaScript value — not its string representation — is used as the step in
  * the {@link Lens}; this allows for using [`lens.Step`]{@link Step} for
@@ -64,6 +86,8 @@ lensBuilderCache.allocated = cacheSpaceAllocations.get(null);
  *
  * const marker = Symbol('marker');
  * const lensExplicit3 = lens('item', marker), lensSugar3 = A`$.item[${marker}]`;
+ *
+ * const traversalExplicit = lens('orders').each().thence('total'), traversalSugar = A`$.orders[*].total`;
  * ```
  */
 export default function lensFromJSONPath(stringParts, ...values) {
@@ -80,6 +104,22 @@ export default function lensFromJSONPath(stringParts, ...values) {
 }
 
 const INTERCALATED_VALUE_PLACEHOLDER = Symbol('intercalated value');
+const SLICE_SPEC = /^(-?\d+)?:(-?\d+)?(?::(-?\d+)?)?$/;
+
+class Selection {
+  constructor(selector) {
+    this.selector = selector;
+  }
+}
+
+class FilterSpec {
+  constructor(bindValues) {
+    this.bindValues = bindValues;
+  }
+}
+
+const fuse = fusion({ Lens, OpticArray, Traversal });
+
 function lensBuilderFromTemplateStrings(stringParts) {
   const stringsCursor = stringParts[Symbol.iterator]();
   let {value: curString, done} = stringsCursor.next();
@@ -110,16 +150,67 @@ function lensBuilderFromTemplateStrings(stringParts) {
       accum = '';
     },
     
+    emit_wildcard() {
+      steps.push(new Selection(VALUES));
+    },
+    
+    emit_descent() {
+      steps.push(new Selection(DESCENDANTS));
+    },
+    
+    emit_slice() {
+      const match = SLICE_SPEC.exec(accum);
+      if (!match) {
+        const reducedInput = stringParts.join(RAW_VALUE_MARK),
+          asciiArt = `\n    ${reducedInput}\n    ${' '.repeat(captureStart) + '^'.repeat(consumed.length - captureStart)}\n`;
+        throw Object.assign(
+          new Error("Invalid JSONPath slice\n" + asciiArt),
+          { consumed, from: reducedInput }
+        );
+      }
+      const [start, end, step] = match.slice(1).map(
+        part => part === undefined ? undefined : Number(part)
+      );
+      steps.push(new Selection(slice(start, end, step)));
+      accum = '';
+    },
+    
+    emit_filter() {
+      // accum includes the ')' closing the filter
+      const text = accum.replace(/\)\s*$/, '');
+      try {
+        steps.push(new FilterSpec(parseFilter(text)));
+      } catch (e) {
+        if (!(e instanceof FilterSyntaxError)) throw e;
+        const reducedInput = stringParts.join(RAW_VALUE_MARK),
+          asciiArt = `\n    ${reducedInput}\n    ${' '.repeat(captureStart + e.position)}^\n`;
+        throw Object.assign(
+          new Error(e.message + "\n" + asciiArt),
+          { consumed, from: reducedInput }
+        );
+      }
+      accum = '';
+    },
+    
     consume_intercalated_value() {
+      const inFilter = (parser.state === states.filter || parser.state === states.filter_close);
+      // Values within a filter are bound to the filter's step when it is emitted
       ivIndexes.push(steps.length);
-      steps.push(INTERCALATED_VALUE_PLACEHOLDER);
+      if (inFilter) {
+        if (!accum) {
+          captureStart = consumed.length;
+        }
+        accum += RAW_VALUE_MARK;
+      } else {
+        steps.push(INTERCALATED_VALUE_PLACEHOLDER);
+      }
       consumed += RAW_VALUE_MARK;
       curString = getNext(stringsCursor, () => {
         throw new Error("Too few template parts!");
       });
       charCursor = curString[Symbol.iterator]();
       curCharRecord = charCursor.next();
-      parser.state = states.subscript_value_emitted;
+      parser.state = inFilter ? states.filter : states.subscript_value_emitted;
     },
     
     scan() {
@@ -164,19 +255,60 @@ function lensBuilderFromTemplateStrings(stringParts) {
     throw new Error("Too many string parts!");
   }
   
+  // Intercalated values are placeholders here, so they cannot be Selections
+  const selecting = steps.some(
+    step => step instanceof Selection || step instanceof FilterSpec
+  );
+  
   return (values) => {
     if (values.length !== ivIndexes.length) {
       throw new Error(`Expected ${ivIndexes.length} values, received ${values.length}`);
     }
     
-    const lensSteps = [...steps];
+    const lensSteps = [...steps], filterValues = new Map();
     ivIndexes.forEach((stepsIndex, i) => {
-      lensSteps[stepsIndex] = values[i];
+      if (steps[stepsIndex] instanceof FilterSpec) {
+        if (!filterValues.has(stepsIndex)) {
+          filterValues.set(stepsIndex, []);
+        }
+        filterValues.get(stepsIndex).push(values[i]);
+      } else {
+        lensSteps[stepsIndex] = values[i];
+      }
     });
-    return new Lens(...lensSteps);
+    if (!selecting) {
+      return new Lens(...lensSteps);
+    }
+    steps.forEach((step, stepsIndex) => {
+      if (step instanceof FilterSpec) {
+        const predicate = step.bindValues(filterValues.get(stepsIndex) || []);
+        lensSteps[stepsIndex] = new Selection(filter(predicate));
+      }
+    });
+    return opticFromSteps(lensSteps);
   };
 }
 
+function opticFromSteps(steps) {
+  const optics = [];
+  let keys = [];
+  steps.forEach(step => {
+    if (step instanceof Selection) {
+      if (keys.length) {
+        optics.push(new Lens(...keys));
+        keys = [];
+      }
+      optics.push(new Traversal(new Lens(), null, step.selector));
+    } else {
+      keys.push(step);
+    }
+  });
+  if (keys.length) {
+    optics.push(new Lens(...keys));
+  }
+  return fuse(...optics);
+}
+
 function getNext(cursor, getDefault) {
   const { value, done } = cursor.next();
   if (done) {
@@ -0,0 +1,491 @@
+const { isArray } = Array;
+import isFunction from './functional/isFunction.js';
+import isObject from './functional/isObject.js';
+import { at_maybe, cloneImpl } from '../src-cjs/constants.js';
+import { applyUpdates } from './batch.js';
+import Lens from './lens.js';
+import Optic from './optic.js';
+import { getIterator, isLens, isSequence, isTypedArray, sequenceLength } from './utils.js';
+
+/**
+ * @extends Optic
+ * @since 2.4.0
+ */
+class Traversal extends Optic {
+  /**
+   * @summary Optic focusing each element of an iterable slot
+   * @param {Optic} source  Optic targeting the slot containing the iterable
+   * @param {Optic} [itemOptic]  Optic applied within each element of the iterable; the element itself is focused if not given
+   * @param {Traversal~Selector} [selector]  Strategy selecting the elements of the container in the slot targeted by *source*
+   *
+   * @description
+   * Construct this using {@link Optic#each}.
+   *
+   * Where a {@link Lens} focuses on a single slot, a Traversal focuses on
+   * the corresponding slot within every element of the iterable found in
+   * the slot targeted by *source*.  Getting through a Traversal yields an
+   * Array of the values found and transforming through it applies the
+   * transform to each of those values.  Composition (e.g. with {@link Optic#thence}
+   * or [fuse]{@link module:natural-lenses#fuse}) extends *itemOptic*, so the
+   * result is still a Traversal over the same elements.
+   *
+   * Strings, though iterable, are considered scalar values; if the slot
+   * targeted by *source* contains a string, there are no elements to traverse.
+   *
+   * Traversals constructed from [JSONPath sugar]{@link module:natural-lenses/sugar}
+   * use other *selectors*, e.g. to select the values of an Object's properties,
+   * a slice of an Array, or every value nested within the container.
+   */
+  constructor(source, itemOptic = null, selector = ELEMENTS) {
+    super();
+    this.source = source;
+    this.itemOptic = itemOptic;
+    this.selector = selector;
+  }
+
+  /**
+   * @member {Optic} Traversal#source
+   * @summary {@link Optic} targeting the iterable slot traversed
+   */
+
+  /**
+   * @member {Optic|null} Traversal#itemOptic
+   * @summary {@link Optic} applied within each element, or `null` to focus the elements themselves
+   */
+
+  /**
+   * @member {Traversal~Selector} Traversal#selector
+   * @summary Strategy selecting the elements traversed
+   */
+
+  /**
+   * @summary Get all values focused by this traversal
+   * @param {*} subject  The data to query
+   * @returns {Array.<*>}  The focused values, in iteration order (empty if the iterable slot is missing)
+   *
+   * @description
+   * Elements where *itemOptic* finds no value contribute nothing to the
+   * result.  If *itemOptic* is itself a Traversal, the values it focuses
+   * within each element are concatenated into the result, so the result
+   * is always flat.
+   */
+  getAll(subject) {
+    const result = [];
+    collectFoci.call(this, subject, result);
+    return result;
+  }
+
+  /**
+   * @inheritdoc
+   * @returns {Maybe.<Array.<*>>}  *Nothing* if the iterable slot is missing or non-iterable, otherwise an Array of all focused values (as from {@link Traversal#getAll})
+   */
+  get_maybe(subject, ...tail) {
+    const subjResult = [];
+    if (!collectFoci.call(this, subject, subjResult)) {
+      return {};
+    }
+    if (tail.length > 0) {
+      return isLens(subjResult) ? subjResult.get_maybe(...tail) : {};
+    }
+    return {just: subjResult};
+  }
+
+  /**
+   * @template T
+   * @summary Clone the input, transforming or deleting the Maybe value of each focused slot with a function
+   * @param {T}                              subject  The input structured data
+   * @param {function(Maybe.<*>): Maybe.<*>} fn       The function transforming the {@link Maybe} value of each slot
+   * @return {T} A minimally changed clone of *subject* with each focused slot transformed per *fn*
+   *
+   * @description
+   * *fn* is applied — through *itemOptic* — to each element of the iterable
+   * in the slot targeted by *source*.  If no *itemOptic* was given, returning
+   * *Nothing* from *fn* omits the element from the resulting iterable.
+   *
+   * The transformed iterable has the type of the original: Arrays (preserving
+   * empty elements) and other sequences, Sets, and Maps — including their
+   * Immutable counterparts — are rebuilt with the transformed elements, and
+   * transforming the elements of any other iterable throws an Error.  If no
+   * element changes, the iterable from *subject* is kept,
+   * and "minimally changed" otherwise means that reference-copies are used
+   * wherever possible while leaving *subject* unchanged.
+   */
+  xformInClone_maybe(subject, fn) {
+    const { itemOptic, selector } = this;
+    let xformElement;
+    if (!itemOptic) {
+      xformElement = (item) => fn({just: item});
+    } else if (selector.existingFociOnly) {
+      xformElement = (item) => ('just' in itemOptic.get_maybe(item))
+        ? {just: itemOptic.xformInClone_maybe(item, fn)}
+        : {just: item};
+    } else {
+      xformElement = (item) => ({just: itemOptic.xformInClone_maybe(item, fn)});
+    }
+    return this.source.xformInClone_maybe(subject, container_maybe => {
+      if (!('just' in container_maybe)) {
+        return container_maybe;
+      }
+      const container = container_maybe.just,
+        result = selector.xform(container, xformElement);
+      return result === container ? container_maybe : {just: result};
+    });
+  }
+}
+
+export default Traversal;
+
+/**
+ * @interface Traversal~Selector
+ * @since 2.4.0
+ * @summary Strategy for selecting the elements of a container traversed by a {@link Traversal}
+ */
+
+/**
+ * @function Traversal~Selector#forEach
+ * @param {*} container  The value in the slot targeted by the Traversal's *source*
+ * @param {function(*)} visit  Function to call with each selected element
+ * @returns {boolean}  Whether *container* is traversable with this selector
+ */
+
+/**
+ * @function Traversal~Selector#xform
+ * @param {*} container  The value in the slot targeted by the Traversal's *source*
+ * @param {function(*): Maybe.<*>} xformElement  Function transforming an element, returning *Nothing* to omit it
+ * @returns {*}  A minimally changed clone of *container*, or *container* itself if unchanged
+ */
+
+/**
+ * @member {boolean} [Traversal~Selector#existingFociOnly]
+ * @summary Whether elements in which the item optic finds no value are left unchanged (rather than transformed)
+ */
+
+const OMITTED = Symbol('omitted');
+
+/**
+ * @private
+ * @summary Selects each element of an iterable (other than a string)
+ */
+export const ELEMENTS = {
+  forEach(container, visit) {
+    if (!getIterator(container)) {
+      return false;
+    }
+    if (isArray(container)) {
+      // Skips empty elements
+      container.forEach(item => { visit(item); });
+    } else {
+      for (const item of container) {
+        visit(item);
+      }
+    }
+    return true;
+  },
+
+  xform(container, xformElement) {
+    if (!getIterator(container)) {
+      return container;
+    }
+    const changes = [];
+    const xformItem = (item) => {
+      const result_maybe = xformElement(item);
+      if (!('just' in result_maybe)) {
+        changes.push([item, result_maybe]);
+        return OMITTED;
+      }
+      if (result_maybe.just !== item) {
+        changes.push([item, result_maybe]);
+      }
+      return result_maybe.just;
+    };
+    let mapped = isArray(container) ? container.map(xformItem) : Array.from(container, xformItem);
+    if (changes.length === 0) {
+      return container;
+    }
+    if (changes.some(([, result_maybe]) => !('just' in result_maybe))) {
+      mapped = mapped.filter(item => item !== OMITTED);
+    }
+    return isArray(container) ? mapped : rebuildIterable(container, mapped, changes);
+  },
+};
+
+/**
+ * @private
+ * @summary Selects each element of an iterable or each property value of a non-iterable Object (JSONPath `*`)
+ */
+export const VALUES = {
+  forEach(container, visit) {
+    if (getIterator(container)) {
+      return ELEMENTS.forEach(container, visit);
+    }
+    if (!isObject(container)) {
+      return false;
+    }
+    Object.keys(container).forEach(key => { visit(container[key]); });
+    return true;
+  },
+
+  xform(container, xformElement) {
+    if (getIterator(container)) {
+      return ELEMENTS.xform(container, xformElement);
+    }
+    if (!isObject(container)) {
+      return container;
+    }
+    const changes = [];
+    Object.keys(container).forEach(key => {
+      const item = container[key], result_maybe = xformElement(item);
+      if (!('just' in result_maybe) || result_maybe.just !== item) {
+        changes.push([key, result_maybe]);
+      }
+    });
+    return cloneWithChanges(container, changes);
+  },
+};
+
+/**
+ * @private
+ * @summary Construct a selector for the elements or property values satisfying a predicate (JSONPath `[?(...)]`)
+ * @param {function(*): boolean} predicate
+ * @returns {Traversal~Selector}
+ *
+ * @description
+ * Elements are as selected by `*` (i.e. *VALUES*); elements not satisfying
+ * *predicate* are left unchanged when transforming.
+ */
+export function filter(predicate) {
+  return {
+    predicate,
+
+    forEach(container, visit) {
+      return VALUES.forEach(container, (item) => {
+        if (predicate(item)) {
+          visit(item);
+        }
+      });
+    },
+
+    xform(container, xformElement) {
+      return VALUES.xform(
+        container,
+        (item) => predicate(item) ? xformElement(item) : {just: item}
+      );
+    },
+  };
+}
+
+/**
+ * @private
+ * @summary Construct a selector for a slice of an Array (JSONPath `[start:end:step]`)
+ * @param {number} [start]
+ * @param {number} [end]
+ * @param {number} [step=1]
+ * @returns {Traversal~Selector}
+ *
+ * @description
+ * Negative *start* and *end* count from the end of the Array, and a negative
+ * *step* selects elements in reverse order.  A *step* of 0 selects nothing.
+ */
+export function slice(start, end, step = 1) {
+  function indexes(length) {
+    const result = [], normalize = (i) => i < 0 ? length + i : i;
+    if (step > 0) {
+      const lower = clamp(normalize(start === undefined ? 0 : start), 0, length),
+        upper = clamp(normalize(end === undefined ? length : end), 0, length);
+      for (let i = lower; i < upper; i += step) {
+        result.push(i);
+      }
+    } else if (step < 0) {
+      const upper = clamp(normalize(start === undefined ? length - 1 : start), -1, length - 1),
+        lower = clamp(normalize(end === undefined ? -length - 1 : end), -1, length - 1);
+      for (let i = upper; i > lower; i += step) {
+        result.push(i);
+      }
+    }
+    return result;
+  }
+
+  return {
+    start, end, step,
+
+    forEach(container, visit) {
+      if (!isArray(container)) {
+        return false;
+      }
+      indexes(container.length).forEach(i => {
+        if (i in container) {
+          visit(container[i]);
+        }
+      });
+      return true;
+    },
+
+    xform(container, xformElement) {
+      if (!isArray(container)) {
+        return container;
+      }
+      let result = container;
+      const omitted = new Set();
+      indexes(container.length).forEach(i => {
+        if (!(i in container)) {
+          return;
+        }
+        const item = container[i], result_maybe = xformElement(item);
+        if (!('just' in result_maybe)) {
+          omitted.add(i);
+        } else if (result_maybe.just !== item) {
+          if (result === container) {
+            result = container.concat();
+          }
+          result[i] = result_maybe.just;
+        }
+      });
+      if (omitted.size) {
+        result = result.filter((item, i) => !omitted.has(i));
+      }
+      return result;
+    },
+  };
+}
+
+/**
+ * @private
+ * @summary Selects a value and every value nested within it (JSONPath `..`)
+ *
+ * @description
+ * Only Arrays and plain Objects (those whose prototype is `Object.prototype`)
+ * are descended into.  Objects without a prototype lack the container
+ * protocol, so neither they nor their contents are selected.  Transformation applies to the most deeply
+ * nested values first, and elements cannot be omitted.  Only elements in
+ * which the item optic finds a value are transformed, so setting through
+ * `$..name` does not add a `name` property to every nested Object.
+ */
+export const DESCENDANTS = {
+  existingFociOnly: true,
+
+  forEach(container, visit) {
+    (function visitTree(node) {
+      if (lacksContainerProtocol(node)) {
+        return;
+      }
+      visit(node);
+      forEachChild(node, visitTree);
+    }(container));
+    return true;
+  },
+
+  xform(container, xformElement) {
+    return (function xformTree(node) {
+      if (lacksContainerProtocol(node)) {
+        return node;
+      }
+      const changes = [];
+      forEachChild(node, (child, key) => {
+        const newChild = xformTree(child);
+        if (newChild !== child) {
+          changes.push([key, {just: newChild}]);
+        }
+      });
+      const result = cloneWithChanges(node, changes),
+        result_maybe = xformElement(result);
+      return ('just' in result_maybe) ? result_maybe.just : result;
+    }(container));
+  },
+};
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function lacksContainerProtocol(value) {
+  return isObject(value) && !(at_maybe in value);
+}
+
+function forEachChild(node, visit) {
+  if (isArray(node)) {
+    node.forEach(visit);
+  } else if (isObject(node) && Object.getPrototypeOf(node) === Object.prototype) {
+    Object.keys(node).forEach(key => { visit(node[key], key); });
+  }
+}
+
+/*
+ * Rebuild a non-Array iterable with the given elements, keeping its type:
+ * sequences are respliced, native Sets and Maps constructed anew, and other
+ * containers of members or of [key, value] entries (like Immutable's Set and
+ * Map) updated for each changed element.
+ */
+function rebuildIterable(container, elements, changes) {
+  if (isTypedArray(container)) {
+    return container.constructor.from(elements);
+  }
+  if (isSequence(container)) {
+    return container[cloneImpl]({splice: [0, sequenceLength(container), ...elements]});
+  }
+  if (container instanceof Set || container instanceof Map) {
+    return new container.constructor[Symbol.species](elements);
+  }
+  if (at_maybe in container && isFunction(container.add)) {
+    const removed = changes.reduce(
+      (result, [member]) => result[cloneImpl]({set: [member, false]}),
+      container
+    );
+    return changes.reduce(
+      (result, [, member_maybe]) => ('just' in member_maybe)
+        ? result[cloneImpl]({set: [member_maybe.just, true]})
+        : result,
+      removed
+    );
+  }
+  if (at_maybe in container && isFunction(container.set)) {
+    const removed = changes.reduce(
+      (result, [[key]]) => result[cloneImpl]({spliceOut: key}),
+      container
+    );
+    return changes.reduce(
+      (result, [, entry_maybe]) => ('just' in entry_maybe)
+        ? result[cloneImpl]({set: [entry_maybe.just[0], entry_maybe.just[1]]})
+        : result,
+      removed
+    );
+  }
+  throw new Error(
+    `Cannot rebuild a ${container.constructor ? container.constructor.name : 'container'} ` +
+    `with transformed elements; only Arrays, sequences, Sets, Maps, and containers like them can be transformed`
+  );
+}
+
+// Applies all of *changes* in one batch, so an Object or Array is copied only once
+function cloneWithChanges(container, changes) {
+  return applyUpdates(container, changes.map(([key, value_maybe]) => ({
+    lens: new Lens(key),
+    xform_maybe: () => value_maybe,
+  })));
+}
+
+/**
+ * @private
+ * @this Traversal
+ * @param {*} subject
+ * @param {Array} result  Array into which focused values are pushed
+ * @returns {boolean}  Whether the slot targeted by *this.source* contains a container traversable by *this.selector*
+ */
+function collectFoci(subject, result) {
+  const container_maybe = this.source.get_maybe(subject);
+  if (!('just' in container_maybe)) {
+    return false;
+  }
+  const { itemOptic } = this;
+  return this.selector.forEach(container_maybe.just, (item) => {
+    if (!itemOptic) {
+      result.push(item);
+    } else if (itemOptic instanceof Traversal) {
+      collectFoci.call(itemOptic, item, result);
+    } else {
+      const item_maybe = itemOptic.get_maybe(item);
+      if ('just' in item_maybe) {
+        result.push(item_maybe.just);
+      }
+    }
+  });
+}
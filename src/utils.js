@@ -11,6 +11,133 @@ export const $iterator = property(Symbol.iterator);
 export function index_maybe(subject, key) {
   return isObject(subject) ? subject[at_maybe](key) : {};
 }
+/**
+ * @private
+ * @summary Test whether a value is a container without any entries
+ *
+ * @description
+ * Arrays without any (non-hole) elements, plain Objects without own
+ * enumerable properties, and `Map`s, `Set`s, and Immutable containers with a
+ * `size` of zero are empty containers.  No other value is.
+ */
+export function isEmptyContainer(value) {
+  if (isArray(value)) {
+    return !value.some(() => true);
+  }
+  if (!isObject(value)) {
+    return false;
+  }
+  if (typeof value.size === 'number') {
+    return value.size === 0;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return (proto === Object.prototype || proto === null) && Object.keys(value).length === 0;
+}
+
+/**
+ * @private
+ * @summary Test whether a container is a sequence, supporting the `splice` clone operation
+ *
+ * @description
+ * Arrays, TypedArrays, and containers with a non-mutating `splice` method
+ * and a `size` (as Immutable List has) are sequences.
+ */
+export function isSequence(container) {
+  return isArray(container) || isTypedArray(container) || (
+    isObject(container) &&
+    typeof container.splice === 'function' &&
+    typeof container.size === 'number'
+  );
+}
+
+export function sequenceLength(container) {
+  return (isArray(container) || isTypedArray(container)) ? container.length : container.size;
+}
+
+export function isTypedArray(value) {
+  return ArrayBuffer.isView(value) && !(value instanceof DataView);
+}
+
+/**
+ * @private
+ * @summary Test values for structural equality
+ *
+ * @description
+ * Arrays are equal if their elements are equal in order, Maps and plain
+ * Objects if they have the same keys with equal values, Sets if they have the
+ * same members, and values with an `equals` method (such as Immutable
+ * containers) if that method says so.  Dates are equal if they have the same
+ * time, and ArrayBuffers, TypedArrays, and DataViews of the same type if they
+ * hold the same bytes.  All other values are compared strictly.
+ */
+export function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (isArray(a) || isArray(b)) {
+    return isArray(a) && isArray(b) && a.length === b.length &&
+      a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (a instanceof Map || b instanceof Map) {
+    return a instanceof Map && b instanceof Map && a.size === b.size &&
+      Array.from(a).every(([k, v]) => b.has(k) && deepEqual(v, b.get(k)));
+  }
+  if (a instanceof Set || b instanceof Set) {
+    return a instanceof Set && b instanceof Set && a.size === b.size &&
+      Array.from(a).every(member => b.has(member));
+  }
+  if (isObject(a) && typeof a.equals === 'function') {
+    return a.equals(b);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && Object.is(a.getTime(), b.getTime());
+  }
+  if (isBinary(a) || isBinary(b)) {
+    return isBinary(a) && isBinary(b) &&
+      Object.getPrototypeOf(a) === Object.getPrototypeOf(b) &&
+      bytesEqual(binaryBytes(a), binaryBytes(b));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const aKeys = Object.keys(a), bKeys = Object.keys(b);
+    return aKeys.length === bKeys.length && aKeys.every(
+      k => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k])
+    );
+  }
+  return false;
+}
+
+function isBinary(value) {
+  return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+function binaryBytes(value) {
+  return (value instanceof ArrayBuffer)
+    ? new Uint8Array(value)
+    : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+}
+
+function bytesEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * @private
+ * @summary Test whether a value is an Object with no prototype or the prototype of `{}`
+ */
+export function isPlainObject(value) {
+  if (!isObject(value) || isArray(value)) {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
 export function getIterator(val) {
   if (isString(val)) {
     return;
@@ -0,0 +1,174 @@
+const { main } = require('../bin/natural-lenses.js');
+const {assert} = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+function outputCollector() {
+  return {
+    text: '',
+    write(chunk) {
+      this.text += chunk;
+    },
+  };
+}
+
+async function runCli(args, input = '') {
+  const stdout = outputCollector(), stderr = outputCollector();
+  const exitCode = await main(args, {stdin: Readable.from([input]), stdout, stderr});
+  return {exitCode, stdout: stdout.text, stderr: stderr.text};
+}
+
+describe('natural-lenses CLI', () => {
+  const order = JSON.stringify({
+    id: 'A1',
+    items: [{sku: 'x-1', qty: 2}, {sku: 'y-2', qty: 1}],
+    status: 'open',
+  });
+
+  describe('get', () => {
+    it('writes the value of the slot', async () => {
+      const result = await runCli(['get', '$.items[1].sku'], order);
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(result.stdout, '"y-2"\n');
+    });
+
+    it('writes an Array of values for a multi-focus path', async () => {
+      const result = await runCli(['-c', 'get', '$.items[*].qty'], order);
+      assert.strictEqual(result.stdout, '[2,1]\n');
+    });
+
+    it('writes strings without quoting in raw mode', async () => {
+      const result = await runCli(['--raw', 'get', '$.status'], order);
+      assert.strictEqual(result.stdout, 'open\n');
+    });
+
+    it('explains a missing slot and exits with status 1', async () => {
+      const result = await runCli(['get', '$.customer.name'], order);
+      assert.strictEqual(result.exitCode, 1);
+      assert.strictEqual(result.stdout, '');
+      assert.include(result.stderr, 'No key "customer" in Object at $');
+    });
+  });
+
+  describe('set', () => {
+    it('writes the input with the slot set, preserving key order', async () => {
+      const result = await runCli(['-c', 'set', '$.items[0].qty', '5'], order);
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(
+        result.stdout,
+        '{"id":"A1","items":[{"sku":"x-1","qty":5},{"sku":"y-2","qty":1}],"status":"open"}\n'
+      );
+    });
+
+    it('adds a missing slot', async () => {
+      const result = await runCli(['-c', 'set', '$.meta.tags', '["rush"]'], '{"a":1}');
+      assert.strictEqual(result.stdout, '{"a":1,"meta":{"tags":["rush"]}}\n');
+    });
+
+    it('replaces the whole input for the root path', async () => {
+      const result = await runCli(['-c', 'set', '$', '{"b":2}'], '{"a":1}');
+      assert.strictEqual(result.stdout, '{"b":2}\n');
+    });
+
+    it('rejects an argument that is not JSON', async () => {
+      const result = await runCli(['set', '$.a', 'nope'], '{}');
+      assert.strictEqual(result.exitCode, 2);
+      assert.include(result.stderr, "invalid JSON for 'set'");
+    });
+  });
+
+  describe('delete', () => {
+    it('writes the input without the slot', async () => {
+      const result = await runCli(['-c', 'delete', '$.status'], order);
+      assert.deepEqual(JSON.parse(result.stdout), {
+        id: 'A1',
+        items: [{sku: 'x-1', qty: 2}, {sku: 'y-2', qty: 1}],
+      });
+    });
+
+    it('removes an Array element without leaving a hole', async () => {
+      const result = await runCli(['-c', 'delete', '$.a.b[0]'], '{"a":{"b":[1,2,3]}}');
+      assert.deepEqual(JSON.parse(result.stdout), {a: {b: [2, 3]}});
+    });
+
+    it('removes an Array element counted from the end', async () => {
+      const result = await runCli(['-c', 'delete', '$.a.b[-1]'], '{"a":{"b":[1,2,3]}}');
+      assert.deepEqual(JSON.parse(result.stdout), {a: {b: [1, 2]}});
+    });
+  });
+
+  describe('map', () => {
+    it('transforms the value of the slot with the expression', async () => {
+      const result = await runCli(['-c', 'map', '$.items[*].sku', 'value.toUpperCase()'], order);
+      assert.deepEqual(JSON.parse(result.stdout).items.map(item => item.sku), ['X-1', 'Y-2']);
+    });
+
+    it('reports errors thrown by the expression', async () => {
+      const result = await runCli(['map', '$.id', 'value.nope.nope'], order);
+      assert.strictEqual(result.exitCode, 1);
+      assert.include(result.stderr, '<stdin>');
+    });
+
+    it('rejects an invalid expression', async () => {
+      const result = await runCli(['map', '$.id', 'value +'], order);
+      assert.strictEqual(result.exitCode, 2);
+      assert.include(result.stderr, "invalid expression for 'map'");
+    });
+  });
+
+  describe('input files', () => {
+    let tmpDir;
+    before(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'natural-lenses-cli-'));
+    });
+    after(() => {
+      fs.rmSync(tmpDir, {recursive: true, force: true});
+    });
+
+    it('processes each file given', async () => {
+      const files = [{a: 1}, {a: 2}].map((data, i) => {
+        const file = path.join(tmpDir, `input${i}.json`);
+        fs.writeFileSync(file, JSON.stringify(data));
+        return file;
+      });
+      const result = await runCli(['get', '$.a', ...files]);
+      assert.strictEqual(result.stdout, '1\n2\n');
+    });
+
+    it('reports input that is not JSON', async () => {
+      const file = path.join(tmpDir, 'bad.json');
+      fs.writeFileSync(file, '{');
+      const result = await runCli(['get', '$.a', file]);
+      assert.strictEqual(result.exitCode, 2);
+      assert.include(result.stderr, file);
+    });
+  });
+
+  describe('usage', () => {
+    it('writes help', async () => {
+      const result = await runCli(['--help']);
+      assert.strictEqual(result.exitCode, 0);
+      assert.match(result.stdout, /^Usage: natural-lenses/);
+    });
+
+    it('rejects an unknown command', async () => {
+      const result = await runCli(['frob', '$.a']);
+      assert.strictEqual(result.exitCode, 2);
+      assert.include(result.stderr, "unknown command 'frob'");
+    });
+
+    it('requires the argument of set', async () => {
+      const result = await runCli(['set', '$.a']);
+      assert.strictEqual(result.exitCode, 2);
+      assert.include(result.stderr, "'set' requires an argument");
+    });
+
+    it('reports an invalid path', async () => {
+      const result = await runCli(['get', 'a.b'], '{}');
+      assert.strictEqual(result.exitCode, 2);
+      assert.include(result.stderr, 'syntax error');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const { main } = require('../bin/datum-plan-types.js');
+const {assert} = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function outputCollector() {
+  return {
+    text: '',
+    write(chunk) {
+      this.text += chunk;
+    },
+  };
+}
+
+async function runCli(args) {
+  const stdout = outputCollector(), stderr = outputCollector();
+  const exitCode = await main(args, {stdout, stderr});
+  return {exitCode, stdout: stdout.text, stderr: stderr.text};
+}
+
+describe('datum-plan-types CLI', () => {
+  const datumPlanModule = JSON.stringify(path.resolve(__dirname, '../datum-plan.js'));
+  let tmpDir;
+  
+  function writeModule(name, content) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+  
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'datum-plan-types-cli-'));
+  });
+  after(() => {
+    fs.rmSync(tmpDir, {recursive: true, force: true});
+  });
+  
+  it('declares types for each datum plan exported by a CommonJS module', async () => {
+    const file = writeModule('plans.js', `
+      const datumPlan = require(${datumPlanModule});
+      exports.$order = datumPlan(({ STRING }) => ({id: STRING}));
+      exports.customer_record = datumPlan(({ VALUE }) => ({name: VALUE}));
+      exports.notAPlan = 42;
+    `);
+    const result = await runCli([file]);
+    assert.strictEqual(result.exitCode, 0);
+    assert.include(result.stdout, 'export type Order = {\n  id: string;\n};');
+    assert.include(result.stdout, 'export type OrderPlan = ');
+    assert.include(result.stdout, 'export type CustomerRecord = {\n  name: unknown;\n};');
+    assert.notInclude(result.stdout, 'NotAPlan');
+  });
+  
+  it('names a plan that is the whole module after the file', async () => {
+    const file = writeModule('invoice-line.js', `
+      module.exports = require(${datumPlanModule})({amount: '$'});
+    `);
+    const result = await runCli([file]);
+    assert.include(result.stdout, 'export type InvoiceLine = {');
+  });
+  
+  it('declares selected exports of an ES module with given type names', async () => {
+    const file = writeModule('plans.mjs', `
+      import datumPlan from ${JSON.stringify(require('url').pathToFileURL(path.resolve(__dirname, '../datum-plan.mjs')).href)};
+      export const order = datumPlan({id: '$'});
+      export const other = datumPlan({x: '$'});
+    `);
+    const result = await runCli([file, 'order=PurchaseOrder']);
+    assert.strictEqual(result.exitCode, 0);
+    assert.include(result.stdout, 'export type PurchaseOrder = {');
+    assert.notInclude(result.stdout, 'export type Other');
+  });
+  
+  it('writes the declarations to a file', async () => {
+    const file = writeModule('single.js', `
+      exports.doc = require(${datumPlanModule})({a: '$'});
+    `);
+    const output = path.join(tmpDir, 'single.d.ts');
+    const result = await runCli(['-o', output, file]);
+    assert.strictEqual(result.stdout, '');
+    assert.include(fs.readFileSync(output, 'utf8'), 'export type Doc = {');
+  });
+  
+  it('reports a selected export that is not a datum plan', async () => {
+    const file = writeModule('mixed.js', `
+      exports.doc = require(${datumPlanModule})({a: '$'});
+      exports.other = {};
+    `);
+    const result = await runCli([file, 'other']);
+    assert.strictEqual(result.exitCode, 1);
+    assert.include(result.stderr, "export 'other'");
+  });
+  
+  it('requires a module', async () => {
+    const result = await runCli([]);
+    assert.strictEqual(result.exitCode, 2);
+    assert.include(result.stderr, 'no module given');
+  });
+});
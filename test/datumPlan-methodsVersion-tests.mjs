@@ -6,6 +6,14 @@ import datumPlan from '#this/datum-plan';
 
 const API_MAP = await buildVersionApiMap();
 
+// Methods of datum plans that are not Lens methods, with the version adding each
+const PLAN_METHOD_VERSIONS = {$validate: '2.4'};
+
+function versionBefore(a, b) {
+  const [aMajor, aMinor] = a.split('.').map(Number), [bMajor, bMinor] = b.split('.').map(Number);
+  return aMajor < bMajor || (aMajor === bMajor && aMinor < bMinor);
+}
+
 describe("datumPlan methodsVersion-option verity", () => {
   const versions = [...API_MAP.keys()],
     currentVersionMethods = API_MAP.get(versions.slice(-1)[0]);
@@ -20,9 +28,30 @@ describe("datumPlan methodsVersion-option verity", () => {
       const versionMethods = API_MAP.get(version);
       const weakNames = datumPlan.WEAK_LENS_METHODS[version];
       assert.sameMembers(
-        [...currentVersionMethods].filter(prop => !versionMethods.has(prop)),
+        [
+          ...[...currentVersionMethods].filter(prop => !versionMethods.has(prop)),
+          ...Object.keys(PLAN_METHOD_VERSIONS).filter(
+            name => versionBefore(version, PLAN_METHOD_VERSIONS[name])
+          ),
+        ],
         [...weakNames]
       );
     });
   });
+  
+  it("prefers a specified property over $validate before version 2.4", () => {
+    const plan = datumPlan(({ VALUE }) => ({$validate: VALUE}), {methodsVersion: '2.3'});
+    
+    const data = {$validate: 'checked'};
+    assert.strictEqual(plan.$validate.get(data), data.$validate);
+    assert.deepEqual(plan._$validate({}).map(issue => issue.path), [['$validate']]);
+  });
+  
+  it("keeps $validate over a specified property since version 2.4", () => {
+    const plan = datumPlan(({ VALUE }) => ({$validate: VALUE}), {methodsVersion: '2.4'});
+    
+    const data = {$validate: 'checked'};
+    assert.deepEqual(plan.$validate(data), []);
+    assert.strictEqual(plan._$validate.get(data), data.$validate);
+  });
 });
@@ -8,18 +8,18 @@ const _ = require('underscore');
 async function loadEsmSubjects() {
   const { default: datumPlan } = await import('#this/datum-plan');
   const loggerInternals = await import('../esm/logger.js');
-  const { default: lens, UndefinedPropertyError } = await import('#this');
-  return { datumPlan, lens, UndefinedPropertyError, loggerInternals };
+  const { default: lens, UndefinedPropertyError, dataViewField } = await import('#this');
+  return { datumPlan, lens, UndefinedPropertyError, dataViewField, loggerInternals };
 }
 
 function testSequence(loaderName, subjects) {
   const origIt = it;
   describe(loaderName, () => {
     subjects = Promise.resolve(subjects);
-    let datumPlan, lens, UndefinedPropertyError, loggerInternals;
+    let datumPlan, lens, UndefinedPropertyError, dataViewField, loggerInternals;
     
     async function loadSubjects() {
-      ({ datumPlan, lens, UndefinedPropertyError, loggerInternals } = await subjects);
+      ({ datumPlan, lens, UndefinedPropertyError, dataViewField, loggerInternals } = await subjects);
     }
     
     let it = (name, body) => {
@@ -224,6 +224,35 @@ function testSequence(loaderName, subjects) {
             data.address.extractor
           );
         });
+        
+        it("accepts the current methods version", () => {
+          const plan = datumPlan(({ VALUE }) => ({each: VALUE}), {methodsVersion: '2.4'});
+
+          const data = {each: 'every'};
+          assert.strictEqual(plan._each.get(data), data.each);
+          assert.strictEqual(typeof plan.each, 'function');
+        });
+
+        it("uses a Step leaf in place of the property name", () => {
+          const plan = datumPlan(({ VALUE }) => ({
+            id: VALUE,
+            frame: {
+              sequence: dataViewField(0, 'Uint16'),
+              temperature: dataViewField(2, 'Float32', {littleEndian: true}),
+            },
+          }));
+          const view = new DataView(new ArrayBuffer(6));
+          view.setUint16(0, 7);
+          view.setFloat32(2, 20.5, true);
+          const data = {id: 'x', frame: view};
+          
+          assert.strictEqual(plan.frame.sequence.get(data), 7);
+          assert.strictEqual(plan.frame.temperature.get(data), 20.5);
+          const result = plan.frame.temperature.setInClone(data, 21.25);
+          assert.strictEqual(plan.frame.temperature.get(result), 21.25);
+          assert.strictEqual(plan.frame.sequence.get(result), 7);
+          assert.strictEqual(view.getFloat32(2, true), 20.5);
+        });
       });
       
       describe("#at()", () => {
@@ -900,6 +929,340 @@ function testSequence(loaderName, subjects) {
           });
         });
       });
+      
+      describe("#$validate", () => {
+        const orderPlan = () => datumPlan(({ VALUE, NAMED_VALUES, STRING, NUMBER, BOOLEAN, ENUM, PREDICATE, OPTIONAL }) => ({
+          id: STRING,
+          status: ENUM('open', 'shipped'),
+          rush: OPTIONAL(BOOLEAN),
+          items: [{
+            sku: PREDICATE(function isSku(s) { return /^[a-z]-[0-9]+$/.test(s); }),
+            qty: NUMBER,
+          }],
+          customer: {
+            name: VALUE,
+            address: OPTIONAL({city: STRING}),
+          },
+          labels: NAMED_VALUES(STRING),
+          dimensions: {0: NUMBER, 1: NUMBER},
+        }));
+        const validOrder = {
+          id: 'A1',
+          status: 'open',
+          items: [{sku: 'x-1', qty: 2}],
+          customer: {name: 'Ann'},
+          labels: {gift: 'yes'},
+          dimensions: [3, 4],
+        };
+        
+        it('finds no issues in conforming data', () => {
+          assert.deepEqual(orderPlan().$validate(validOrder), []);
+          assert.deepEqual(orderPlan().$validate({...validOrder, rush: true, customer: {name: 'Ann', address: {city: 'Oslo'}}}), []);
+        });
+        
+        it('shares one $validate method among the lenses of a plan', () => {
+          const plan = orderPlan();
+          assert.isFunction(plan.$validate);
+          assert.strictEqual(plan.customer.$validate, plan.$validate);
+          assert.strictEqual(plan.items.$item.sku.$validate, plan.$validate);
+          assert.deepEqual(
+            plan.customer.$validate({customer: {}}).map(i => [i.code, i.path]),
+            [['missing', ['customer', 'name']]]
+          );
+        });
+        
+        it('reports missing required slots', () => {
+          const {id, ...order} = validOrder;
+          const issues = orderPlan().$validate({...order, customer: {address: {}}});
+          assert.deepEqual(issues.map(i => [i.code, i.path]), [
+            ['missing', ['id']],
+            ['missing', ['customer', 'name']],
+            ['missing', ['customer', 'address', 'city']],
+          ]);
+          assert.strictEqual(issues[0].message, 'Missing required slot at $.id');
+        });
+        
+        it('reports containers of the wrong type', () => {
+          const issues = orderPlan().$validate({...validOrder, items: {sku: 'x-1'}, customer: [{name: 'Ann'}]});
+          assert.deepEqual(issues, [
+            {code: 'type', path: ['items'], expected: 'Array', actual: 'Object', message: 'Expected Array at $.items, found Object'},
+            {code: 'type', path: ['customer'], expected: 'Object', actual: 'Array', message: 'Expected Object at $.customer, found Array'},
+          ]);
+        });
+        
+        it('reports unexpected keys outside of named values', () => {
+          const issues = orderPlan().$validate({...validOrder, note: 'hi', labels: {gift: 'yes', extra: 'ok'}});
+          assert.deepEqual(issues.map(i => [i.code, i.path]), [['unexpected', ['note']]]);
+          assert.strictEqual(issues[0].message, 'Unexpected slot at $.note');
+        });
+        
+        it('checks named values against their spec', () => {
+          const issues = orderPlan().$validate({...validOrder, labels: {gift: 5}});
+          assert.deepEqual(issues.map(i => [i.code, i.path, i.expected, i.actual]), [['type', ['labels', 'gift'], 'string', 'number']]);
+        });
+        
+        it('checks each item of an Array', () => {
+          const issues = orderPlan().$validate({...validOrder, items: [{sku: 'x-1', qty: 1}, {sku: 'X1', qty: '2'}]});
+          assert.deepEqual(issues.map(i => [i.code, i.path]), [
+            ['predicate', ['items', 1, 'sku']],
+            ['type', ['items', 1, 'qty']],
+          ]);
+          assert.strictEqual(issues[0].message, 'Value at $.items[1].sku does not satisfy isSku');
+        });
+        
+        it('checks enumerated values', () => {
+          const [issue] = orderPlan().$validate({...validOrder, status: 'lost'});
+          assert.deepEqual(issue.expected, ['open', 'shipped']);
+          assert.strictEqual(issue.message, 'Expected one of "open", "shipped" at $.status, found "lost"');
+        });
+        
+        it('accepts an Array for a spec with only index keys', () => {
+          const issues = orderPlan().$validate({...validOrder, dimensions: [3, 'x', 5]});
+          assert.deepEqual(issues.map(i => [i.code, i.path]), [
+            ['type', ['dimensions', '1']],
+            ['unexpected', ['dimensions', 2]],
+          ]);
+        });
+
+        it('requires an Array for a spec with only index keys', () => {
+          const issues = orderPlan().$validate({...validOrder, dimensions: {0: 3, 1: 4}});
+          assert.deepEqual(issues.map(i => i.message), ['Expected Array at $.dimensions, found Object']);
+        });
+        
+        it('validates the target of a lens within the plan', () => {
+          const plan = orderPlan();
+          assert.deepEqual(plan.customer.$validate({customer: {}}).map(i => i.path), [['customer', 'name']]);
+          assert.deepEqual(plan.items.$item.$validate({sku: 'x-1'}).map(i => i.path), [['qty']]);
+        });
+        
+        it('validates slots accessed through a Step', () => {
+          const plan = datumPlan(({ NUMBER }) => ({
+            frame: {
+              sequence: dataViewField(0, 'Uint16'),
+              temperature: dataViewField(2, 'Float32', {littleEndian: true}),
+            },
+            count: NUMBER,
+          }));
+          assert.deepEqual(plan.$validate({frame: new DataView(new ArrayBuffer(6)), count: 0}), []);
+          const issues = plan.$validate({frame: new DataView(new ArrayBuffer(2)), count: 0});
+          assert.deepEqual(issues.map(i => i.code), ['missing']);
+          assert.strictEqual(issues[0].path[1], plan.frame.temperature.keys[1]);
+        });
+        
+        it('renames a spec property named "$validate"', () => {
+          const plan = datumPlan(({ VALUE }) => ({$validate: VALUE}));
+          assert.deepEqual(plan._$validate.keys, ['$validate']);
+          assert.deepEqual(plan.$validate({}).map(i => i.path), [['$validate']]);
+        });
+      });
+      
+      describe("recursive specs", () => {
+        const treeSpec = ({ STRING, SELF, OPTIONAL }) => ({
+          title: STRING,
+          children: OPTIONAL([SELF]),
+        });
+        const tree = {
+          title: 'root',
+          children: [
+            {title: 'a', children: [{title: 'a1'}, {title: 'a2'}]},
+            {title: 'b'},
+          ],
+        };
+        
+        it('builds lenses at any depth through SELF', () => {
+          const plan = datumPlan(treeSpec);
+          const $grandchild = plan.children.$item.children.$item;
+          assert.deepEqual($grandchild.title.keys, ['title']);
+          assert.strictEqual(plan.children.at(0, $child => $child.children.at(1, $gc => $gc.title)).get(tree), 'a2');
+          assert.strictEqual(plan.children.$item.children.$item, $grandchild);
+        });
+        
+        it('accumulates keys through SELF in an Object', () => {
+          const plan = datumPlan(({ STRING, SELF, OPTIONAL }) => ({name: STRING, manager: OPTIONAL(SELF)}));
+          assert.deepEqual(plan.manager.manager.name.keys, ['manager', 'manager', 'name']);
+          assert.strictEqual(plan.manager.manager.name.get({name: 'x', manager: {manager: {name: 'z'}}}), 'z');
+        });
+        
+        it('builds lenses through REF to a DEFINEd spec', () => {
+          const plan = datumPlan(({ STRING, DEFINE, REF }) => ({
+            org: STRING,
+            chart: DEFINE('position', {title: STRING, reports: [REF('position')]}),
+          }));
+          assert.deepEqual(plan.chart.reports.$item.reports.$item.title.keys, ['title']);
+          assert.containsAllKeys(plan.chart.reports, ['at', 'mapInside', 'flatMapInside']);
+        });
+        
+        it('passes the recursive item plan to mapInside', () => {
+          const plan = datumPlan(treeSpec);
+          function upcase(node, index, $node) {
+            return $node.children.mapInside($node.title.xformInClone(node, s => s.toUpperCase()), upcase);
+          }
+          const result = upcase(tree, 0, plan);
+          assert.deepEqual(result.children[0].children.map(node => node.title), ['A1', 'A2']);
+          assert.strictEqual(result.children[1].title, 'B');
+        });
+        
+        it('validates to the depth of the data', () => {
+          const plan = datumPlan(treeSpec);
+          const issues = plan.$validate({title: 'root', children: [{children: [{title: 1}]}]});
+          assert.deepEqual(issues.map(issue => issue.message), [
+            'Missing required slot at $.children[0].title',
+            'Expected string at $.children[0].children[0].title, found number',
+          ]);
+        });
+        
+        it('throws for a REF to a name never DEFINEd', () => {
+          assert.throws(() => datumPlan(({ REF }) => ({a: REF('missing')})), /no datum plan spec defined as "missing"/i);
+        });
+        
+        it('throws for a name DEFINEd twice', () => {
+          assert.throws(
+            () => datumPlan(({ VALUE, DEFINE }) => ({a: DEFINE('x', VALUE), b: DEFINE('x', VALUE)})),
+            /already defined/i
+          );
+        });
+
+        it('throws for a reference resolving only to itself', () => {
+          assert.throws(() => datumPlan(({ SELF }) => SELF), /"self" refers only to itself/);
+          assert.throws(() => datumPlan(({ DEFINE, REF }) => DEFINE('a', REF('a'))), /"a" refers only to itself/);
+          assert.throws(
+            () => datumPlan(({ DEFINE, REF, OPTIONAL }) => ({x: DEFINE('a', OPTIONAL(DEFINE('b', REF('a'))))})),
+            /refers only to itself/
+          );
+        });
+
+        it('declares and describes recursive plans', () => {
+          const plan = datumPlan(treeSpec);
+          assert.include(datumPlan.typeDeclarations({Tree: plan}), 'export type TreePlan<S = Tree> = DatumPlanNode<S, Tree> & {');
+          assert.deepEqual(datumPlan.toJSONSchema(plan).properties.children, {type: 'array', items: {$ref: '#'}});
+        });
+      });
+    });
+    
+    describe('lens.DatumPlan.typeDeclarations', () => {
+      const orderSpec = ({ VALUE, NAMED_VALUES, STRING, NUMBER, ENUM, OPTIONAL, RAW }) => ({
+        id: STRING,
+        status: ENUM('open', 'shipped'),
+        items: [{sku: STRING, qty: OPTIONAL(NUMBER)}],
+        labels: NAMED_VALUES(STRING),
+        keys: [VALUE],
+        [RAW]: {'((odd))': VALUE},
+      });
+      
+      function declarationOf(text, name) {
+        return text.split('\n\n').find(part => part.startsWith(`export type ${name} =`));
+      }
+      
+      it('declares the type of the data described by the plan', () => {
+        const text = datumPlan.typeDeclarations({Order: datumPlan(orderSpec)});
+        assert.strictEqual(declarationOf(text, 'Order'), [
+          'export type Order = {',
+          '  id: string;',
+          '  status: "open" | "shipped";',
+          '  items: Array<{',
+          '    sku: string;',
+          '    qty?: number;',
+          '  }>;',
+          '  labels: {',
+          '    [key: string]: string;',
+          '  };',
+          '  keys: Array<unknown>;',
+          '  "((odd))": unknown;',
+          '};',
+        ].join('\n'));
+      });
+      
+      it('declares the type of the plan with its property names as built', () => {
+        const text = datumPlan.typeDeclarations({Order: datumPlan(orderSpec)});
+        const planDecl = declarationOf(text, 'OrderPlan');
+        assert.include(planDecl, 'export type OrderPlan = DatumPlanNode<Order, Order> & {');
+        assert.include(planDecl, '  id: DatumPlanNode<Order, Order["id"]>;');
+        assert.include(planDecl, '  _keys: DatumPlanNode<Order, Order["keys"]> & DatumPlanIndexable<');
+        assert.include(planDecl, '  "((odd))": DatumPlanNode<Order, Order["((odd))"]>;');
+        assert.include(planDecl, 'qty: DatumPlanNode<Order["items"][number], NonNullable<Order["items"][number]["qty"]>>;');
+        assert.include(planDecl, 'DatumPlanEntries<Order, Order["labels"][string], DatumPlanNode<Order["labels"][string], Order["labels"][string]>>');
+      });
+      
+      it('builds plans from specs', () => {
+        const text = datumPlan.typeDeclarations({Order: orderSpec});
+        assert.strictEqual(text, datumPlan.typeDeclarations({Order: datumPlan(orderSpec)}));
+      });
+      
+      it('declares every public Lens member', () => {
+        const text = datumPlan.typeDeclarations({Order: orderSpec});
+        const declared = new Set(
+          Array.from(text.matchAll(/^  (?:readonly )?([\w$]+)[(<?:]/gm), match => match[1])
+        );
+        const members = new Set();
+        for (let proto = Object.getPrototypeOf(lens('a')); proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+          Object.getOwnPropertyNames(proto).forEach(name => members.add(name));
+        }
+        members.delete('constructor');
+        // Added by natural-lenses/immutable, which datum plan declarations do not cover
+        members.delete('getSeq');
+        members.forEach(name => {
+          if (!name.startsWith('_')) {
+            assert.isTrue(declared.has(name), `Lens member ${name} is not declared`);
+          }
+        });
+        assert.isTrue(declared.has('getAll'));
+      });
+
+      it('declares a tuple type for an Object spec with only index keys', () => {
+        const text = datumPlan.typeDeclarations({
+          Size: ({ NUMBER, STRING, ENUM, OPTIONAL }) => ({0: NUMBER, 1: OPTIONAL(STRING), 2: OPTIONAL(ENUM('cm', 'in'))}),
+          Gap: ({ NUMBER, OPTIONAL }) => ({0: OPTIONAL(NUMBER), 2: NUMBER}),
+        });
+        assert.strictEqual(declarationOf(text, 'Size'), 'export type Size = [number, string?, ("cm" | "in")?];');
+        assert.strictEqual(declarationOf(text, 'Gap'), 'export type Gap = [number | undefined, unknown, number];');
+      });
+
+      it('omits Lens members replaced by plan properties', () => {
+        const plan = datumPlan(({ VALUE }) => ({explain: VALUE}), {methodsVersion: '2.3'});
+        const planDecl = declarationOf(datumPlan.typeDeclarations({Doc: plan}), 'DocPlan');
+        assert.include(planDecl, 'export type DocPlan = Omit<DatumPlanNode<Doc, Doc>, "explain"> & {');
+      });
+      
+      it('declares a named type for entries beside explicit properties', () => {
+        const plan = datumPlan(({ NAMED_VALUES, STRING, NUMBER }) => ({
+          meta: {kind: STRING, ...NAMED_VALUES({n: NUMBER})},
+        }));
+        const text = datumPlan.typeDeclarations({Doc: plan});
+        assert.strictEqual(declarationOf(text, 'DocMetaEntry'), 'export type DocMetaEntry = {\n  n: number;\n};');
+        assert.include(declarationOf(text, 'DocPlan'), 'DatumPlanEntries<Doc, DocMetaEntry, DatumPlanNode<DocMetaEntry, DocMetaEntry> & {');
+      });
+      
+      it('declares an Object read by a Step as unknown', () => {
+        const plan = datumPlan(() => ({frame: {sequence: dataViewField(0, 'Uint16')}}));
+        const text = datumPlan.typeDeclarations({Doc: plan});
+        assert.include(declarationOf(text, 'Doc'), '  frame: unknown;');
+        assert.include(declarationOf(text, 'DocPlan'), '    sequence: DatumPlanNode<Doc, unknown>;');
+      });
+      
+      it('declares named, generic plan types for recursive plans', () => {
+        const plan = datumPlan.fromJSONSchema({
+          type: 'object',
+          properties: {
+            title: {type: 'string'},
+            children: {type: 'array', items: {$ref: '#'}},
+          },
+          required: ['title'],
+          additionalProperties: false,
+        });
+        const text = datumPlan.typeDeclarations({Tree: plan});
+        assert.strictEqual(declarationOf(text, 'Tree'), [
+          'export type Tree = {',
+          '  title: string;',
+          '  children?: Array<Tree>;',
+          '};',
+        ].join('\n'));
+        assert.include(text, 'export type TreePlan<S = Tree> = DatumPlanNode<S, Tree> & {');
+        assert.include(text, 'DatumPlanIndexable<S, NonNullable<Tree["children"]>[number], TreePlan<NonNullable<Tree["children"]>[number]>>');
+      });
+      
+      it('rejects a type name that is not an identifier', () => {
+        assert.throws(() => datumPlan.typeDeclarations({'not-a-name': datumPlan.value}), /invalid type name/i);
+      });
     });
     
     describe('lens.DatumPlan.fromPOD', () => {
@@ -1013,6 +1376,270 @@ function testSequence(loaderName, subjects) {
         });
       });
     });
+    
+    describe('lens.DatumPlan.fromJSONSchema', () => {
+      const commentSchema = {
+        $defs: {
+          comment: {
+            type: 'object',
+            properties: {
+              author: {type: 'string'},
+              votes: {type: 'integer'},
+              replies: {type: 'array', items: {$ref: '#/$defs/comment'}},
+            },
+            required: ['author'],
+          },
+        },
+        type: 'object',
+        properties: {
+          status: {enum: ['open', 'locked']},
+          thread: {type: 'array', items: {$ref: '#/$defs/comment'}},
+          labels: {type: 'object', additionalProperties: {type: 'string'}},
+          '((raw))': {type: 'boolean'},
+        },
+        required: ['status', 'thread'],
+      };
+      
+      it('maps properties, items, and additionalProperties into the plan', () => {
+        const plan = datumPlan.fromJSONSchema(commentSchema);
+        assert.deepEqual(plan.status.keys, ['status']);
+        assert.deepEqual(plan.thread.$item.author.keys, ['author']);
+        assert.deepEqual(plan['((raw))'].keys, ['((raw))']);
+        assert.deepEqual(plan.labels.at('x').keys, ['labels', 'x']);
+        assert.containsAllKeys(plan.thread, ['at', 'mapInside', 'flatMapInside']);
+      });
+      
+      it('follows a recursive $ref to any depth accessed', () => {
+        const plan = datumPlan.fromJSONSchema(commentSchema);
+        const data = {
+          status: 'open',
+          thread: [{author: 'ann', replies: [{author: 'bob', replies: [{author: 'cy'}]}]}],
+        };
+        const $reply = plan.thread.$item.replies.$item;
+        assert.strictEqual($reply.replies.$item.author.get(data.thread[0].replies[0].replies[0]), 'cy');
+        assert.strictEqual(plan.thread.at(0, $comment => $comment.author).get(data), 'ann');
+        assert.strictEqual(
+          plan.thread.at(0, $comment => $comment.replies.at(0, $r => $r.author)).get(data),
+          'bob'
+        );
+        assert.strictEqual($reply, plan.thread.$item.replies.$item);
+      });
+      
+      it('validates data against the required properties and types in the schema', () => {
+        const plan = datumPlan.fromJSONSchema(commentSchema);
+        const issues = plan.$validate({
+          status: 'closed',
+          thread: [{votes: 1.5, replies: [{author: 7}]}],
+          labels: {x: 1},
+        });
+        assert.deepEqual(issues.map(issue => issue.message), [
+          'Expected one of "open", "locked" at $.status, found "closed"',
+          'Missing required slot at $.thread[0].author',
+          'Value at $.thread[0].votes does not satisfy integer',
+          'Expected string at $.thread[0].replies[0].author, found number',
+          'Expected string at $.labels.x, found number',
+        ]);
+        assert.deepEqual(plan.$validate({status: 'open', thread: []}), []);
+      });
+      
+      it('treats a schema for any Object as a dictionary', () => {
+        const plan = datumPlan.fromJSONSchema({type: 'object'});
+        assert.deepEqual(plan.$validate({a: 1, b: [2]}), []);
+        assert.deepEqual(plan.$validate([]).map(issue => issue.code), ['type']);
+      });
+      
+      it('allows other properties unless additionalProperties forbids them', () => {
+        const open = datumPlan.fromJSONSchema({properties: {a: {type: 'number'}}, required: ['a']});
+        assert.deepEqual(open.$validate({a: 1, b: 'x'}), []);
+        assert.deepEqual(open.at('b').keys, ['b']);
+        const closed = datumPlan.fromJSONSchema({properties: {a: {type: 'number'}}, additionalProperties: false});
+        assert.deepEqual(closed.$validate({a: 1, b: 'x'}).map(issue => issue.code), ['unexpected']);
+      });
+
+      it('checks entries against the patternProperties their keys match', () => {
+        const plan = datumPlan.fromJSONSchema({
+          type: 'object',
+          patternProperties: {'^n_': {type: 'number'}},
+        });
+        assert.deepEqual(plan.$validate({n_a: 1, other: 'x'}), []);
+        assert.deepEqual(plan.$validate({n_a: 'x'}).map(issue => issue.message), [
+          'Expected number at $.n_a, found string',
+        ]);
+      });
+
+      it('checks entries matching no pattern against additionalProperties', () => {
+        const plan = datumPlan.fromJSONSchema({
+          type: 'object',
+          patternProperties: {'^n_': {type: 'number'}, '^s_': {type: 'string'}},
+          additionalProperties: false,
+        });
+        assert.deepEqual(plan.$validate({n_a: 1, s_b: 'x'}), []);
+        assert.deepEqual(plan.$validate({n_a: 1, other: 2}).map(issue => issue.message), [
+          'Unexpected slot at $.other',
+        ]);
+        const typed = datumPlan.fromJSONSchema({
+          type: 'object',
+          patternProperties: {'^n_': {type: 'number'}},
+          additionalProperties: {type: 'boolean'},
+        });
+        assert.deepEqual(typed.$validate({n_a: 1, other: true}), []);
+        assert.deepEqual(typed.$validate({other: 2}).map(issue => issue.message), [
+          'Expected boolean at $.other, found number',
+        ]);
+      });
+
+      it('compares Objects in a const or enum by structure', () => {
+        assert.deepEqual(datumPlan.fromJSONSchema({const: {a: 1}}).$validate({a: 1}), []);
+        assert.deepEqual(datumPlan.fromJSONSchema({enum: [[1, 2], null]}).$validate([1, 2]), []);
+        assert.deepEqual(
+          datumPlan.fromJSONSchema({const: {a: 1}}).$validate({a: 2}).map(issue => issue.code),
+          ['enum']
+        );
+      });
+
+      it('checks a list of types', () => {
+        const plan = datumPlan.fromJSONSchema({
+          properties: {note: {type: ['string', 'null']}},
+          additionalProperties: false,
+        });
+        assert.deepEqual(plan.$validate({note: null}), []);
+        assert.deepEqual(plan.$validate({note: 3, other: 1}).map(issue => issue.message), [
+          'Value at $.note does not satisfy string or null',
+          'Unexpected slot at $.other',
+        ]);
+      });
+      
+      it('rejects a $ref outside of the schema', () => {
+        assert.throws(
+          () => datumPlan.fromJSONSchema({properties: {a: {$ref: 'other.json#/a'}}}),
+          /only local \$refs/i
+        );
+      });
+      
+      it('rejects a $ref that cannot be resolved', () => {
+        assert.throws(
+          () => datumPlan.fromJSONSchema({properties: {a: {$ref: '#/$defs/missing'}}}),
+          /unresolvable \$ref/i
+        );
+      });
+      
+      it('rejects a $ref referring only to itself', () => {
+        assert.throws(
+          () => datumPlan.fromJSONSchema({$defs: {a: {$ref: '#/$defs/a'}}, properties: {a: {$ref: '#/$defs/a'}}}),
+          /circular \$ref/i
+        );
+      });
+    });
+    
+    describe('lens.DatumPlan.toJSONSchema', () => {
+      const DRAFT_2020_12 = 'https://json-schema.org/draft/2020-12/schema';
+      
+      it('describes objects, arrays, entries, and annotations', () => {
+        const schema = datumPlan.toJSONSchema(({ VALUE, NAMED_VALUES, STRING, NUMBER, ENUM, PREDICATE, OPTIONAL }) => ({
+          id: STRING,
+          status: ENUM('open', 'shipped'),
+          items: [{sku: PREDICATE(s => /^[a-z]-[0-9]+$/.test(s), 'a SKU'), qty: OPTIONAL(NUMBER)}],
+          labels: NAMED_VALUES(STRING),
+          customer: VALUE,
+        }));
+        assert.deepEqual(schema, {
+          $schema: DRAFT_2020_12,
+          type: 'object',
+          properties: {
+            id: {type: 'string'},
+            status: {enum: ['open', 'shipped']},
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  sku: {description: 'Satisfies a SKU'},
+                  qty: {type: 'number'},
+                },
+                required: ['sku'],
+                additionalProperties: false,
+              },
+            },
+            labels: {type: 'object', additionalProperties: {type: 'string'}},
+            customer: {},
+          },
+          required: ['id', 'status', 'items', 'labels', 'customer'],
+          additionalProperties: false,
+        });
+      });
+      
+      it('describes an Object spec with index keys as a tuple', () => {
+        const schema = datumPlan.toJSONSchema(({ NUMBER, OPTIONAL }) => ({0: NUMBER, 1: NUMBER, 2: OPTIONAL(NUMBER)}));
+        assert.deepEqual(schema, {
+          $schema: DRAFT_2020_12,
+          type: 'array',
+          prefixItems: [{type: 'number'}, {type: 'number'}, {type: 'number'}],
+          items: false,
+          minItems: 2,
+        });
+      });
+
+      it('describes an index missing from a tuple spec as any value', () => {
+        const schema = datumPlan.toJSONSchema(({ NUMBER }) => ({0: NUMBER, 2: NUMBER}));
+        assert.deepEqual(schema.prefixItems, [{type: 'number'}, {}, {type: 'number'}]);
+        assert.strictEqual(schema.minItems, 3);
+      });
+      
+      it('describes a plan from POD', () => {
+        const plan = datumPlan.fromPOD({name: 'x', tags: []}, {tweaks: ({ access }) => [access.ITEMS('tags')]});
+        assert.deepEqual(datumPlan.toJSONSchema(plan), {
+          $schema: DRAFT_2020_12,
+          type: 'object',
+          properties: {name: {}, tags: {type: 'array'}},
+          required: ['name', 'tags'],
+          additionalProperties: false,
+        });
+      });
+      
+      it('describes references once, under $defs', () => {
+        const plan = datumPlan.fromJSONSchema({
+          $defs: {
+            comment: {
+              type: 'object',
+              properties: {
+                author: {type: 'string'},
+                replies: {type: 'array', items: {$ref: '#/$defs/comment'}},
+              },
+              required: ['author'],
+              additionalProperties: false,
+            },
+          },
+          type: 'object',
+          properties: {
+            pinned: {$ref: '#/$defs/comment'},
+            thread: {type: 'array', items: {$ref: '#/$defs/comment'}},
+            parent: {$ref: '#'},
+          },
+        });
+        const schema = datumPlan.toJSONSchema(plan);
+        assert.deepEqual(schema.properties, {
+          pinned: {$ref: '#/$defs/comment'},
+          thread: {type: 'array', items: {$ref: '#/$defs/comment'}},
+          parent: {$ref: '#'},
+        });
+        assert.deepEqual(schema.$defs, {
+          comment: {
+            type: 'object',
+            properties: {
+              author: {type: 'string'},
+              replies: {type: 'array', items: {$ref: '#/$defs/comment'}},
+            },
+            required: ['author'],
+            additionalProperties: false,
+          },
+        });
+      });
+      
+      it('leaves an Object read by a Step unconstrained', () => {
+        const schema = datumPlan.toJSONSchema(() => ({frame: {sequence: dataViewField(0, 'Uint16')}}));
+        assert.deepEqual(schema.properties.frame, {});
+      });
+    });
   });
 }
 
@@ -1020,6 +1647,7 @@ testSequence('CommonJS', {
   datumPlan,
   lens,
   UndefinedPropertyError: lens.UndefinedPropertyError,
+  dataViewField: lens.dataViewField,
   loggerInternals,
 });
 testSequence('ESM', loadEsmSubjects());
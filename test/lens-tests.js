@@ -1,5 +1,5 @@
 const lens = require('#this'), lensUtils = lens;
-const { lensFactory: immutableLensFactory } = require('../cjs/immutable');
+const { lensFactory: immutableLensFactory, ImmutableContainerFactory } = require('../cjs/immutable');
 const loggerInternals = require('../cjs/logger.js');
 const {assert} = require('chai');
 const sinon = require('sinon');
@@ -9,18 +9,18 @@ const { range } = require('underscore');
 async function loadEsmSubjects() {
   const { default: lens, ...lensUtils } = await import('#this');
   const loggerInternals = await import('../esm/logger.js');
-  const { lensFactory: immutableLensFactory } = await import('../esm/immutable.js');
-  return { lens, lensUtils, immutableLensFactory, loggerInternals };
+  const { lensFactory: immutableLensFactory, ImmutableContainerFactory } = await import('../esm/immutable.js');
+  return { lens, lensUtils, immutableLensFactory, ImmutableContainerFactory, loggerInternals };
 }
 
 function testSequence(loaderName, subjects) {
   const origIt = it;
   describe(loaderName, () => {
     subjects = Promise.resolve(subjects);
-    let lens, lensUtils, immutableLensFactory, loggerInternals;
+    let lens, lensUtils, immutableLensFactory, ImmutableContainerFactory, loggerInternals;
     
     async function loadSubjects() {
-      ({ lens, lensUtils, immutableLensFactory, loggerInternals } = await subjects);
+      ({ lens, lensUtils, immutableLensFactory, ImmutableContainerFactory, loggerInternals } = await subjects);
     }
     
     let it = (name, body) => {
@@ -299,8 +299,18 @@ function testSequence(loaderName, subjects) {
             }
           }
         }
-        it('should raise an error for uncloneable data', () => {
+        it('should clone data whose constructor requires arguments', () => {
           const data = new Uncloneable(0);
+          const result = lens('answer').setInClone(data, 42);
+          assert.instanceOf(result, Uncloneable);
+          assert.strictEqual(result.answer, 42);
+        });
+
+        class UncloneableSpecies extends Uncloneable {
+          static get [Symbol.species]() { return Uncloneable; }
+        }
+        it('should raise an error for a species requiring arguments', () => {
+          const data = new UncloneableSpecies(0);
           assert.throws(() => lens('answer').setInClone(data, 42), /requires\s+arguments/);
         });
 
@@ -784,6 +794,25 @@ function testSequence(loaderName, subjects) {
           );
         });
       });
+      
+      describe('#maybe()', () => {
+        it('returns a Maybe instance of a present slot', () => {
+          const result = lens('answer', 1).maybe({answer: [2,3,5]});
+          assert.instanceOf(result, lensUtils.Maybe);
+          assert.deepEqual(result.toArray(), [3]);
+        });
+        
+        it('returns a Nothing for a missing slot', () => {
+          const result = lens('answer', 15).maybe({answer: [2,3,5]});
+          assert.instanceOf(result, lensUtils.Maybe);
+          assert.notProperty(result, 'just');
+        });
+        
+        it('applies the tail to a lens found in the slot', () => {
+          const data = {inner: lens('answer')};
+          assert.strictEqual(lens('inner').maybe(data, {answer: 42}).just, 42);
+        });
+      });
 
       describe('.fuse()', () => {
         it('joins the behavior of Lenses sequentially', () => {
@@ -922,248 +951,1223 @@ function testSequence(loaderName, subjects) {
           sinon.assert.notCalled(xformFake);
         });
       });
-    });
-
-    describe('CustomStep', () => {
-      let elementZeroStep;
-      before(async () => {
-        await loadSubjects();
-        elementZeroStep = new lensUtils.Step(
-          (c) => ({just: c[0]}),
-          (c, v_m) => ('just' in v_m ? [v_m.just] : new Array(1)).concat(c.slice(1)),
-          () => []
-        );
-      });
-      
-      it("can be used in a 'get' to fetch in an arbitrary way", () => {
-        const data = [{v: 2}, {v: 3}, {v: 5}];
-        assert.strictEqual(lens(elementZeroStep).get(data), data[0]);
-      });
-      
-      it("can be used in a 'setInClone' to update in an arbitrary way", () => {
-        const data = [{v: 1}, {v: 3}, {v: 5}], elt0repl = {v: 2};
-        const result = lens(elementZeroStep).setInClone(data, elt0repl);
-        assert.deepEqual(data[0], {v: 1});
-        assert.notStrictEqual(result, data);
-        assert.strictEqual(result[0], elt0repl);
-        for (var i of [1, 2]) {
-          assert.strictEqual(result[i], data[i]);
-        }
-      });
-      
-      it("can be used to construct a missing container", () => {
-        const elt0val = {v:2};
-        const result = lens('answers', elementZeroStep).setInClone({}, elt0val);
-        assert.typeOf(result.answers, 'array', 'Array was constructed');
-        assert.strictEqual(result.answers[0], elt0val);
-      });
       
-      it("can be used to eliminate a slot in an arbitrary way", () => {
-        const data = {answers: [{v: 2}, {v: 3}, {v: 5}]};
-        const result = lens('answers', elementZeroStep).xformInClone_maybe(
-          data,
-          () => ({})
-        );
-        assert.strictEqual(data.answers.length, 3);
-        assert.notStrictEqual(result, data);
-        assert.notProperty(result.answers, 0);
-        assert.strictEqual(result.answers.length, 3);
-      });
-    });
-
-    describe('ArrayNFocal', () => {
-      describe('#get()', () => {
-        it('pulls multiple values from structured data', () => {
-          const L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
-          const data = {
-            name: 'Fred Flintstone',
-            address: {street: ['345 Cave Stone Rd']}
-          };
-          assert.deepEqual(L.get(data), [data.name, data.address.street[0]]);
+      describe('#deleteInClone()', () => {
+        it('omits the slot from the clone', () => {
+          const data = {user: {prefs: {theme: 'dark'}, name: 'Ann'}};
+          const result = lens('user', 'prefs', 'theme').deleteInClone(data);
+          assert.deepEqual(result, {user: {prefs: {}, name: 'Ann'}});
+          assert.deepEqual(data, {user: {prefs: {theme: 'dark'}, name: 'Ann'}});
         });
         
-        it("chains application via tail", () => {
-          const lenses = [lens('question'), lens('answer')];
-          const data = {answer: [2, 3, 5]};
-          assert.deepEqual(
-            nfocal(range(3).map(n => lens(n))).get(lenses, data),
-            [, data.answer, ,]
-          );
+        it('returns the subject when the slot is missing', () => {
+          const data = {user: {}};
+          assert.strictEqual(lens('user', 'prefs', 'theme').deleteInClone(data), data);
+          assert.strictEqual(lens('user', 'prefs', 'theme').deleteInClone(data, {prune: true}), data);
+        });
+        
+        it('prunes containers left empty when requested', () => {
+          const data = {user: {prefs: {theme: 'dark'}, name: 'Ann'}, log: []};
+          const result = lens('user', 'prefs', 'theme').deleteInClone(data, {prune: true});
+          assert.deepEqual(result, {user: {name: 'Ann'}, log: []});
+          assert.strictEqual(result.log, data.log);
+        });
+        
+        it('prunes emptied Arrays and Maps', () => {
+          const data = {a: [new Map([['k', 1]])], b: 2};
+          assert.deepEqual(lens('a', 0, 'k').deleteInClone(data, {prune: true}), {b: 2});
+        });
+        
+        it('never prunes the subject itself', () => {
+          assert.deepEqual(lens('a', 'b').deleteInClone({a: {b: 1}}, {prune: true}), {});
         });
       });
-
-      describe('#get_maybe()', () => {
-        it('pulls multiple values from structured data', () => {
-          const L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
-          const data = {
-            name: 'Fred Flintstone',
-            address: {street: ['345 Cave Stone Rd']}
-          };
-          const result = L.get_maybe(data);
-          assert.deepEqual(result, {just: [data.name, data.address.street[0]], multiFocal: true});
+      
+      describe('#insertInClone()', () => {
+        it('inserts values, shifting following elements', () => {
+          const data = {list: [1, 4], other: {}};
+          const result = lens('list').insertInClone(data, 1, 2, 3);
+          assert.deepEqual(result, {list: [1, 2, 3, 4], other: {}});
+          assert.deepEqual(data.list, [1, 4]);
+          assert.strictEqual(result.other, data.other);
         });
-
-        it('leaves indexes not found out of the "found" property of the result', () => {
-          const L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
-          const data = {
-            name: 'Fred Flintstone',
-          };
-          const result = L.get_maybe(data);
-          assert.deepEqual(result, {just: [data.name, undefined], multiFocal: true});
-          assert.doesNotHaveAllKeys(result.just, [1]);
+        
+        it('counts negative indexes back from the end', () => {
+          assert.deepEqual(lens('list').insertInClone({list: [1, 3]}, -1, 2), {list: [1, 2, 3]});
         });
-
-        it('includes falsey properties present in the input', () => {
-          const L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
-          const data = {
-            name: 'Fred Flintstone',
-            address: {street: [undefined]}
-          };
-          const result = L.get_maybe(data);
-          assert.deepEqual(result, {just: [data.name, undefined], multiFocal: true});
-          assert.containsAllKeys(result.just, [1]);
+        
+        it('sets a missing slot to an Array of the values', () => {
+          assert.deepEqual(lens('a', 'list').insertInClone({}, 0, 'x'), {a: {list: ['x']}});
         });
         
-        it("chains application via tail", () => {
-          const lenses = [lens('question'), lens('answer')];
-          const data = {answer: [2, 3, 5]};
-          const lensLens = nfocal(range(3).map(n => lens(n)));
-          const result = lensLens.get_maybe(lenses, data);
-          assert(result.multiFocal, "Result is multifocal Maybe");
-          assert.property(result, 'just');
-          assert.deepEqual(result.just, [, data.answer, ,]);
+        it('throws for a slot not containing a sequence', () => {
+          assert.throws(() => lens('list').insertInClone({list: 'abc'}, 0, 'x'), /requires a sequence \(Array, TypedArray, or immutable.List\)/);
         });
       });
       
-      describe("#present()", () => {
-        it("returns an Array of the indexes of each constituent lens present in the subject", () => {
-          const L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
-          assert.deepEqual(L.present({name: "Fred Flintstone"}), [0]);
-          assert.deepEqual(L.present({
-            name: "Fred Flintstone",
-            address: {street: ['345 Cave Stone Rd']},
-          }), [0, 1]);
+      describe('#removeInClone()', () => {
+        it('removes elements, shifting following elements', () => {
+          assert.deepEqual(lens('list').removeInClone({list: [1, 2, 3, 4]}, 1, 2), {list: [1, 4]});
+          assert.deepEqual(lens('list').removeInClone({list: [1, 2, 3]}, -1), {list: [1, 2]});
+        });
+        
+        it('returns the subject when no element is removed', () => {
+          const data = {list: [1, 2]};
+          assert.strictEqual(lens('list').removeInClone(data, 2), data);
+          assert.strictEqual(lens('list').removeInClone(data, 0, 0), data);
+          assert.strictEqual(lens('missing').removeInClone(data, 0), data);
         });
       });
       
-      describe("#xformInClone()", () => {
-        let L;
-        before(async () => {
-          await loadSubjects();
-          L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
+      describe('#appendInClone()', () => {
+        it('appends values', () => {
+          assert.deepEqual(lens('list').appendInClone({list: [1]}, 2, 3), {list: [1, 2, 3]});
         });
         
-        it("applies the given transforms", () => {
-          const data = {
-            name: "Fred Flintstone",
-            address: {street: ['345 Cave Stone Rd']},
-          };
-          const result = L.xformInClone(
-            data,
-            [
-              [0, n => n.toLowerCase()],
-            ]
-          );
-          assert.deepEqual(result, {...data, name: "fred flintstone"});
+        it('sets a missing slot to an Array of the values', () => {
+          assert.deepEqual(lens('list').appendInClone({}, 1), {list: [1]});
+        });
+      });
+      
+      describe('#moveInClone()', () => {
+        it('moves an element forward or backward', () => {
+          assert.deepEqual(lens('list').moveInClone({list: ['a', 'b', 'c', 'd']}, 0, 2), {list: ['b', 'c', 'a', 'd']});
+          assert.deepEqual(lens('list').moveInClone({list: ['a', 'b', 'c', 'd']}, -1, 0), {list: ['d', 'a', 'b', 'c']});
         });
         
-        it("skips invalid keys in xformPairs", () => {
-          const data = {
-            name: "Fred Flintstone",
-            address: {street: ['345 Cave Stone Rd']},
-          };
-          const result = L.xformInClone(
-            data,
-            [
-              [0, n => n.toLowerCase()],
-              [17, v => `### ${v} ###`],
-            ]
-          );
-          assert.deepEqual(result, {...data, name: "fred flintstone"});
+        it('returns the subject when no element moves', () => {
+          const data = {list: ['a', 'b']};
+          assert.strictEqual(lens('list').moveInClone(data, 1, 1), data);
+          assert.strictEqual(lens('list').moveInClone(data, 1, 5), data);
+          assert.strictEqual(lens('list').moveInClone(data, 2, 0), data);
         });
       });
       
-      describe("#xformInClone_maybe()", () => {
-        let L;
-        before(async () => {
-          await loadSubjects();
-          L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
+      describe('#toPointer()', () => {
+        it('formats string and index keys', () => {
+          assert.strictEqual(lens('orders', 0, 'items', 3).toPointer(), '/orders/0/items/3');
         });
         
-        it("can supply a value for a missing slot", () => {
-          const insertedName = "Barney Rubble";
-          const result = L.xformInClone_maybe(
-            {},
-            [
-              [0, n_m => 'just' in n_m ? n_m : {just: insertedName}],
-            ]
-          );
-          assert.strictEqual(result.name, insertedName);
+        it('formats the trivial lens as the empty pointer', () => {
+          assert.strictEqual(lens().toPointer(), '');
         });
         
-        it("skips invalid keys in xformPairs", () => {
-          const data = {
-            name: "Fred Flintstone",
-            address: {street: ['345 Cave Stone Rd']},
-          };
-          const xforms = [
-            [0, n_m => 'just' in n_m ? {just: n_m.just.toLowerCase()} : n_m],
-            [17, v_m => 'just' in v_m ? {just: `### ${v_m.just} ###`} : v_m],
-          ];
-          var result;
-          result = L.xformInClone_maybe(data, xforms);
-          assert.deepEqual(result, {...data, name: "fred flintstone"});
+        it('escapes tilde and slash', () => {
+          assert.strictEqual(lens('a/b', 'm~n', '').toPointer(), '/a~1b/m~0n/');
+        });
+        
+        it('throws for a custom Step', () => {
+          const step = new lensUtils.Step(() => ({}), () => null, () => null);
+          assert.throws(() => lens('a', step).toPointer(), /index 1 is a custom Step/);
+        });
+        
+        it('throws for a symbol key', () => {
+          assert.throws(() => lens(Symbol('a')).toPointer(), /symbol/);
+        });
+        
+        it('throws for a negative index', () => {
+          assert.throws(() => lens('a', -1).toPointer(), /-1/);
+        });
+        
+        it('round-trips through fromPointer', () => {
+          const L = lens('a/b', 'm~n', 0, '01', '-');
+          assert.deepEqual(lensUtils.fromPointer(L.toPointer()).keys, L.keys);
         });
       });
       
-      describe("#setInClone()", () => {
-        // A stereoscopy error occurs when two parts of a multifocal reference
-        // the same slot and the call to #setInClone() calls for these
-        // references to be assigned non-strict-equal values.
-        it('detects stereoscopy errors', () => {
-          const L = lensUtils.nfocal([lens('name'), lens('name')]);
-          const data = {name: "Fred Flintstone"}, newName = "Barney Rubble";
-          assert.throws(
-            () => L.setInClone(data, [newName, data.name]),
-            lensUtils.StereoscopyError
+      describe('#explain()', () => {
+        it('explains a present slot', () => {
+          const result = lens('user', 'roles', 0).explain({user: {roles: ['admin']}});
+          assert.include(result, {found: true, value: 'admin', depth: 3, path: '$.user.roles[0]'});
+          assert.notProperty(result, 'message');
+        });
+        
+        it('identifies the key missing from a container', () => {
+          const data = {user: {name: "Fred"}};
+          const result = lens('user', 'address', 'city').explain(data);
+          assert.include(result, {
+            found: false,
+            depth: 1,
+            path: '$.user',
+            failedKey: 'address',
+            container: data.user,
+            containerType: 'Object',
+          });
+          assert.deepEqual(result.keys, ['user']);
+          assert.strictEqual(result.message, 'No key "address" in Object at $.user');
+        });
+        
+        it('identifies a value that is not a container', () => {
+          const result = lens('user', 'address', 'city').explain({user: {address: 42}});
+          assert.include(result, {depth: 2, failedKey: 'city', containerType: 'number'});
+          assert.strictEqual(result.message, 'Cannot look up key "city" in number at $.user.address');
+        });
+        
+        it('describes indexes, Maps, and keys that are not identifiers', () => {
+          assert.strictEqual(
+            lens('items', 3).explain({items: []}).message,
+            'No index 3 in Array at $.items'
+          );
+          assert.strictEqual(
+            lens('by id', 'x').explain({'by id': new Map()}).message,
+            'No key "x" in Map at $["by id"]'
           );
         });
         
-        it('allows consistent stereoscopic changes', () => {
-          const L = lensUtils.nfocal([lens('name'), lens('name')]);
-          const data = {name: "Fred Flintstone"}, newName = "Barney Rubble";
-          const {name: inputName, ...inputOther} = data;
-          const {name: resultName, ...resultOther} =
-            L.setInClone(data, [newName, newName]);
-          assert.deepEqual(resultOther, inputOther);
-          assert.strictEqual(resultName, newName);
+        it('identifies a custom Step which found no value', () => {
+          const step = new lensUtils.Step(() => ({}), () => null, () => null);
+          const result = lens('a', step, 'b').explain({a: {}});
+          assert.strictEqual(result.failedKey, step);
+          assert.strictEqual(result.message, 'No match for Step in Object at $.a');
+        });
+        
+        it('includes custom Steps in the path', () => {
+          const step = new lensUtils.Step(c => ({just: c}), () => null, () => null);
+          assert.strictEqual(lens('a', step, 'b').explain({a: {}}).path, '$.a[<Step>]');
         });
       });
       
-      describe("(as an Array-like collection of lenses)", () => {
-        let L;
-        before(async () => {
-          await loadSubjects();
-          L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
+      describe('#compile()', () => {
+        const subjects = [
+          undefined,
+          {},
+          {a: 5},
+          {a: {b: [1, 2, {c: 'x'}]}},
+          {a: {b: [1, , 3]}},
+          {a: {b: new Map([[-1, 'm']])}},
+          {a: [{c: 1}]},
+        ];
+        const lenses = () => [
+          lens('a'),
+          lens('a', 'b', -1, 'c'),
+          lens('a', 'b', 1),
+          lens('a', 'b', -1),
+          lens('a', 0, 'c'),
+          lens('x', 'y', 2),
+        ];
+        
+        it('is a Lens with the same keys', () => {
+          const L = lens('a', 0), compiled = L.compile();
+          assert.instanceOf(compiled, L.constructor);
+          assert.strictEqual(compiled.constructor, L.constructor);
+          assert.deepEqual(compiled.keys, L.keys);
+        });
+        
+        it('gets the same values as the Lens', () => {
+          lenses().forEach(L => {
+            const compiled = L.compile();
+            subjects.forEach(subject => {
+              assert.deepEqual(compiled.get_maybe(subject), L.get_maybe(subject), `${L.keys} on ${JSON.stringify(subject)}`);
+              assert.strictEqual(compiled.get(subject), L.get(subject));
+            });
+          });
         });
         
-        it("allows 'getting' of a constituent lens", () => {
-          const lens0 = lens(0).get(L);
-          assert.strictEqual(lens0, L.lenses[0]);
+        it('sets the same values as the Lens', () => {
+          lenses().forEach(L => {
+            const compiled = L.compile();
+            subjects.forEach(subject => {
+              const desc = `${L.keys} on ${JSON.stringify(subject)}`;
+              assert.deepEqual(compiled.setInClone(subject, 'new'), L.setInClone(subject, 'new'), desc);
+              assert.deepEqual(
+                compiled.xformInClone(subject, v => [v], {addMissing: true}),
+                L.xformInClone(subject, v => [v], {addMissing: true}),
+                desc
+              );
+              assert.deepEqual(compiled.xformInClone(subject, v => [v]), L.xformInClone(subject, v => [v]), desc);
+            });
+          });
         });
         
-        it("can construct an altered clone", () => {
-          const institutionLens = lens('institution');
-          const L2 = lens(0).setInClone(L, institutionLens);
-          assert.strictEqual(L2.lenses[0], institutionLens);
-          assert.strictEqual(L2.lenses[1], L.lenses[1]);
+        it('returns the subject when the value is unchanged', () => {
+          const data = {a: {b: [1, 2]}}, compiled = lens('a', 'b', 0).compile();
+          assert.strictEqual(compiled.setInClone(data, 1), data);
+          assert.strictEqual(compiled.xformInClone(data, v => v), data);
+          assert.strictEqual(lens('x', 'y').compile().setInClone(data, undefined), data);
+        });
+        
+        it('leaves the subject unchanged and shares unchanged parts', () => {
+          const data = {a: {b: [1, 2]}, d: {e: 1}};
+          const result = lens('a', 'b', 0).compile().setInClone(data, 9);
+          assert.deepEqual(data, {a: {b: [1, 2]}, d: {e: 1}});
+          assert.deepEqual(result, {a: {b: [9, 2]}, d: {e: 1}});
+          assert.strictEqual(result.d, data.d);
+        });
+        
+        it('handles custom Steps as the Lens does', () => {
+          const step = new lensUtils.Step(
+            c => (c.has('v') ? {just: c.get('v')} : {}),
+            (c, v_maybe) => new Map(c).set('v', v_maybe.just),
+            () => new Map()
+          );
+          const L = lens('a', step), compiled = L.compile();
+          assert.deepEqual(compiled.setInClone({}, 3), L.setInClone({}, 3));
+          assert.strictEqual(compiled.get({a: new Map([['v', 4]])}), 4);
+        });
+        
+        it('uses containers overriding the lens protocol', () => {
+          class Box {
+            constructor(content) { this.content = content; }
+            [lensUtils.at_maybe](key) { return key === 'content' ? {just: this.content} : {}; }
+            [lensUtils.clone]({set}) { return new Box(set[1]); }
+          }
+          const compiled = lens('box', 'content').compile();
+          assert.strictEqual(compiled.get({box: new Box(1)}), 1);
+          const result = compiled.setInClone({box: new Box(1)}, 2);
+          assert.instanceOf(result.box, Box);
+          assert.strictEqual(result.box.content, 2);
+        });
+        
+        it('constructs containers with the Lens factory', () => {
+          const factory = new lensUtils.Factory({containerFactory: new lensUtils.JsContainerFactory()});
+          const compiled = factory.lens('a', 'b').compile();
+          assert.instanceOf(compiled.setInClone(new Map(), 1).get('a'), Map);
+        });
+        
+        it('respects a cloner registered for Object', () => {
+          const cloner = sinon.fake(obj => Object.assign({}, obj));
+          lensUtils.registerCloner(Object, cloner);
+          try {
+            lens('a').compile().setInClone({a: 1}, 2);
+          } finally {
+            lensUtils.registerCloner(Object, null);
+          }
+          assert.strictEqual(cloner.callCount, 1);
         });
       });
     });
-
-    describe('ObjectNFocal', () => {
-      describe('#get()', () => {
-        it("chains application via tail", () => {
+    
+    describe('Maybe', () => {
+      it('is structurally compatible with plain Maybe Objects', () => {
+        const {Maybe} = lensUtils;
+        assert.isTrue('just' in Maybe.just(undefined));
+        assert.isFalse('just' in Maybe.nothing());
+        assert.strictEqual(lensUtils.maybeDo(Maybe.just(5), x => x * 2), 10);
+      });
+      
+      it('converts plain Maybe Objects', () => {
+        const {Maybe} = lensUtils;
+        assert.strictEqual(Maybe.from({just: 7}).just, 7);
+        assert.strictEqual(Maybe.from({}), Maybe.nothing());
+        const m = Maybe.just(1);
+        assert.strictEqual(Maybe.from(m), m);
+      });
+      
+      it('is frozen', () => {
+        assert.isFrozen(lensUtils.Maybe.just(1));
+      });
+      
+      it('maps a Just and passes through a Nothing', () => {
+        const {Maybe} = lensUtils;
+        assert.strictEqual(Maybe.just(2).map(x => x + 1).just, 3);
+        const fn = sinon.fake();
+        assert.notProperty(Maybe.nothing().map(fn), 'just');
+        assert.strictEqual(fn.callCount, 0);
+      });
+      
+      it('flatMaps with functions returning plain Maybe Objects', () => {
+        const {Maybe} = lensUtils;
+        const data = {user: {address: {city: 'Bedrock'}}};
+        const result = lens('user').maybe(data)
+          .flatMap(user => lens('address', 'city').get_maybe(user));
+        assert.instanceOf(result, Maybe);
+        assert.strictEqual(result.just, 'Bedrock');
+        assert.notProperty(Maybe.just(1).flatMap(() => ({})), 'just');
+      });
+      
+      it('filters the contained value', () => {
+        const {Maybe} = lensUtils;
+        assert.strictEqual(Maybe.just(4).filter(x => x > 3).just, 4);
+        assert.notProperty(Maybe.just(2).filter(x => x > 3), 'just');
+        assert.notProperty(Maybe.nothing().filter(() => true), 'just');
+      });
+      
+      it('gets the contained value or a fallback', () => {
+        const {Maybe} = lensUtils;
+        assert.strictEqual(Maybe.just(undefined).orElse(5), undefined);
+        assert.strictEqual(Maybe.nothing().orElse(5), 5);
+      });
+      
+      it('gets the contained value or throws', () => {
+        const {Maybe} = lensUtils;
+        assert.strictEqual(Maybe.just(3).getOrThrow(), 3);
+        assert.throws(() => Maybe.nothing().getOrThrow(), /no value/);
+        const err = new Error("missing city");
+        assert.throws(() => Maybe.nothing().getOrThrow(err), err);
+      });
+      
+      it('converts to an Array', () => {
+        const {Maybe} = lensUtils;
+        assert.deepEqual(Maybe.just(3).toArray(), [3]);
+        assert.deepEqual(Maybe.nothing().toArray(), []);
+      });
+    });
+    
+    describe('checkLensLaws', () => {
+      const samples = [{a: {b: 1}}, {a: {}}, {}];
+      
+      // Step for property 'v' that cannot delete its slot
+      function undeletableStep() {
+        return new lensUtils.Step(
+          c => ('v' in c) ? {just: c.v} : {},
+          (c, v_maybe) => ('just' in v_maybe) ? Object.assign({}, c, {v: v_maybe.just}) : c,
+          () => ({})
+        );
+      }
+      
+      it('finds no violations for a Lens over plain data', () => {
+        assert.deepEqual(lensUtils.checkLensLaws(lens('a', 'b'), samples, {values: [2, 'x', null]}), []);
+      });
+      
+      it('defaults the values to those found in the samples', () => {
+        const L = new lensUtils.Step(
+          c => ('v' in c) ? {just: c.v} : {},
+          (c, v_maybe) => ({v: 'just' in v_maybe ? 0 : undefined}),
+          () => ({})
+        );
+        const violations = lensUtils.checkLensLaws(lens(L), [{v: 5}], {throwOnViolation: false});
+        assert.include(violations.map(v => v.law), 'put-get');
+        assert.deepEqual(violations.find(v => v.law === 'put-get').actual, {just: 0});
+      });
+      
+      it('reports violations with the offending inputs', () => {
+        const violations = lensUtils.checkLensLaws(
+          lens('a', undeletableStep()), [{a: {v: 1}}], {values: [2], throwOnViolation: false}
+        );
+        assert.isAbove(violations.length, 0);
+        violations.forEach(v => assert.strictEqual(v.law, 'delete-get'));
+        assert.deepEqual(violations[0].subject, {a: {v: 1}});
+        assert.deepEqual(violations[0].actual, {just: 1});
+        assert.deepEqual(violations[1].subject, {a: {v: 2}});
+      });
+
+      it('compares Date values by their time', () => {
+        const L = new lensUtils.Step(
+          c => ('v' in c) ? {just: c.v} : {},
+          (c, v_maybe) => ({v: new Date(0)}),
+          () => ({})
+        );
+        const values = [new Date(1000), new Date(2000)];
+        assert.deepEqual(lensUtils.checkLensLaws(lens('v'), [{v: new Date(0)}], {values}), []);
+        const violations = lensUtils.checkLensLaws(
+          lens(L), [{v: new Date(0)}], {values, laws: ['put-get'], throwOnViolation: false}
+        );
+        assert.isAbove(violations.length, 0);
+        violations.forEach(v => assert.strictEqual(v.actual.just.getTime(), 0));
+      });
+
+      it('finds a change to the subject outside the slot', () => {
+        const L = new lensUtils.Step(
+          c => ('v' in c) ? {just: c.v} : {},
+          (c, v_maybe) => {
+            c.count = (c.count || 0) + 1;
+            return ('just' in v_maybe) ? Object.assign({}, c, {v: v_maybe.just}) : c;
+          },
+          () => ({})
+        );
+        const violations = lensUtils.checkLensLaws(
+          lens(L), [{v: 1}], {values: [2], throwOnViolation: false}
+        ).filter(v => v.law === 'subject-unchanged');
+        assert.isAbove(violations.length, 0);
+        assert.notDeepEqual(violations[0].actual, violations[0].expected);
+        assert.strictEqual(violations[0].actual, violations[0].subject);
+      });
+      
+      it('reports values thrown while checking a law', () => {
+        const L = lens(new lensUtils.Step(
+          c => ({just: c.v}),
+          () => { throw new Error("cannot update"); },
+          () => ({})
+        ));
+        const violations = lensUtils.checkLensLaws(L, [{v: 1}], {values: [2], laws: ['put-get'], throwOnViolation: false});
+        assert.strictEqual(violations.length, 1);
+        assert.include(violations[0], {law: 'put-get', value: 2});
+        assert.match(violations[0].message, /cannot update/);
+      });
+      
+      it('throws a LensLawViolationError by default', () => {
+        try {
+          lensUtils.checkLensLaws(lens(undeletableStep()), [{v: 1}], {values: [2]});
+          assert.fail("no error thrown");
+        } catch (e) {
+          assert.instanceOf(e, lensUtils.LensLawViolationError);
+          assert.match(e.message, /delete-get: .* \(subject: \{"v":1\}\)/);
+          assert.isAbove(e.violations.length, 0);
+        }
+      });
+      
+      it('checks only the laws selected', () => {
+        const iso = lensUtils.iso(n => n * 2, n => n / 2);
+        assert.throws(() => lensUtils.checkLensLaws(iso, [1, 2], {values: [4]}), /delete-get/);
+        assert.deepEqual(
+          lensUtils.checkLensLaws(iso, [1, 2], {values: [4], laws: ['get-put', 'put-get', 'put-put']}),
+          []
+        );
+      });
+      
+      it('rejects unknown law names', () => {
+        assert.throws(() => lensUtils.checkLensLaws(lens('a'), [{}], {laws: ['put-gte']}), /put-gte/);
+      });
+    });
+    
+    describe('batch', () => {
+      function applyInTurn(subject, updates) {
+        return updates.reduce(
+          (cur, [optic, update]) => (typeof update === 'function')
+            ? optic.xformInClone(cur, update)
+            : optic.setInClone(cur, update),
+          subject
+        );
+      }
+      
+      function countingObjectAssign(body) {
+        const assign = sinon.spy(Object, 'assign');
+        try {
+          body();
+          return assign.callCount;
+        } finally {
+          assign.restore();
+        }
+      }
+      
+      it('produces the same result as applying each update in turn', () => {
+        const subjects = [
+          undefined,
+          {},
+          {a: 5},
+          {a: {b: {x: 1}, c: [1, 2, 3]}, d: 'd'},
+          {a: {b: new Map([['x', 1]]), c: []}},
+        ];
+        const updateLists = [
+          [[lens('a', 'b', 'x'), 2], [lens('a', 'b', 'y'), 3], [lens('d'), 'e']],
+          [[lens('a', 'c', 1), n => n * 10], [lens('a', 'c', -1), 0]],
+          [[lens('a', 'b', 'x'), 1], [lens('a'), {z: 1}], [lens('a', 'c'), 2]],
+          [[lens('a'), {b: {}}], [lens('a', 'b', 'x'), 7], [lens('a', 'b'), b => Object.assign({w: 0}, b)]],
+          [[lens('q', 'r'), undefined], [lens('a', 'b', 'x'), x => x]],
+        ];
+        subjects.forEach(subject => {
+          updateLists.forEach(updates => {
+            assert.deepEqual(
+              lensUtils.batch(subject, updates),
+              applyInTurn(subject, updates),
+              `${JSON.stringify(updates.map(([L, u]) => [L.keys, String(u)]))} on ${JSON.stringify(subject)}`
+            );
+          });
+        });
+      });
+      
+      it('clones each shared Object once', () => {
+        const subject = {a: {b: {x: 1}, c: 1}, d: {}};
+        const updates = [[lens('a', 'b', 'x'), 2], [lens('a', 'b', 'y'), 3], [lens('a', 'c'), 4]];
+        let result;
+        const clones = countingObjectAssign(() => {
+          result = lensUtils.batch(subject, updates);
+        });
+        assert.strictEqual(clones, 3);
+        assert.deepEqual(result, {a: {b: {x: 2, y: 3}, c: 4}, d: {}});
+        assert.deepEqual(subject, {a: {b: {x: 1}, c: 1}, d: {}});
+      });
+      
+      it('clones a shared Array once', () => {
+        const subject = [[1, 2], [3]];
+        const result = lensUtils.batch(subject, [[lens(0, 0), 10], [lens(0, -1), 20], [lens(0, 2), 30]]);
+        assert.deepEqual(result, [[10, 20, 30], [3]]);
+        assert.deepEqual(subject, [[1, 2], [3]]);
+        assert.strictEqual(result[1], subject[1]);
+      });
+      
+      it('reuses unchanged containers', () => {
+        const subject = {a: {b: {x: 1}, c: {y: 2}}, d: {z: 3}};
+        const result = lensUtils.batch(subject, [[lens('a', 'b', 'x'), 2], [lens('a', 'c', 'y'), 2]]);
+        assert.notStrictEqual(result.a, subject.a);
+        assert.strictEqual(result.a.c, subject.a.c);
+        assert.strictEqual(result.d, subject.d);
+      });
+      
+      it('returns the subject when no slot changes', () => {
+        const subject = {a: {b: 1}};
+        assert.strictEqual(
+          lensUtils.batch(subject, [[lens('a', 'b'), 1], [lens('a', 'c'), x => x + 1], [lens('a', 'b'), b => b]]),
+          subject
+        );
+      });
+      
+      it('applies the last of several updates to one slot', () => {
+        const result = lensUtils.batch({}, [[lens('a', 'b'), 1], [lens('a', 'b'), b => b + 1], [lens('a', 'b'), b => b * 10]]);
+        assert.deepEqual(result, {a: {b: 20}});
+      });
+      
+      it('does not call a Function for a missing slot', () => {
+        const fn = sinon.fake.returns(1);
+        assert.deepEqual(lensUtils.batch({a: {}}, [[lens('a', 'b'), fn], [lens('c'), 2]]), {a: {}, c: 2});
+        assert.strictEqual(fn.callCount, 0);
+      });
+      
+      it('updates through Steps', () => {
+        const vStep = new lensUtils.Step(
+          c => ('v' in c) ? {just: c.v} : {},
+          (c, v_maybe) => Object.assign({}, c, {v: v_maybe.just}),
+          () => ({})
+        );
+        const subject = {a: {v: {x: 1}}};
+        const updates = [[lens('a', vStep, 'x'), 2], [lens('a', vStep, 'y'), 3], [lens('a', 'w'), 4]];
+        assert.deepEqual(lensUtils.batch(subject, updates), {a: {v: {x: 2, y: 3}, w: 4}});
+        assert.deepEqual(lensUtils.batch(subject, updates), applyInTurn(subject, updates));
+      });
+      
+      it('applies updates through other optics in order', () => {
+        const subject = {items: [1, 2], total: 3};
+        const items = lens('items');
+        const result = lensUtils.batch(subject, [
+          [items.thence(0), 5],
+          [items.each(), n => n * 2],
+          [items.thence(1), n => n + 1],
+        ]);
+        assert.deepEqual(result, {items: [10, 5], total: 3});
+        assert.deepEqual(subject, {items: [1, 2], total: 3});
+      });
+      
+      it('is used by ObjectNFocal#setInClone', () => {
+        const subject = {a: {b: {x: 1, y: 2}}};
+        const nf = lensUtils.nfocal({x: lens('a', 'b', 'x'), y: lens('a', 'b', 'y')});
+        let result;
+        const clones = countingObjectAssign(() => {
+          result = nf.setInClone(subject, {x: 3, y: 4});
+        });
+        assert.deepEqual(result, {a: {b: {x: 3, y: 4}}});
+        assert.strictEqual(clones, 3);
+      });
+    });
+    
+    describe('fromPointer', () => {
+      it('constructs a Lens from a pointer', () => {
+        const L = lensUtils.fromPointer('/orders/0/items/3');
+        assert.deepEqual(L.keys, ['orders', 0, 'items', 3]);
+      });
+      
+      it('constructs the trivial Lens from the empty pointer', () => {
+        assert.deepEqual(lensUtils.fromPointer('').keys, []);
+      });
+      
+      it('unescapes tilde and slash', () => {
+        assert.deepEqual(lensUtils.fromPointer('/a~1b/m~0n/~01').keys, ['a/b', 'm~n', '~1']);
+      });
+      
+      it('does not treat an index with leading zeros as a number', () => {
+        assert.deepEqual(lensUtils.fromPointer('/00/-/-1').keys, ['00', '-', '-1']);
+      });
+      
+      it('constructs missing Arrays for index tokens when setting', () => {
+        const result = lensUtils.fromPointer('/list/0').setInClone({}, 'x');
+        assert.deepEqual(result, {list: ['x']});
+      });
+      
+      it('throws for a pointer not starting with a slash', () => {
+        assert.throws(() => lensUtils.fromPointer('orders/0'));
+      });
+      
+      it('throws for an invalid escape sequence', () => {
+        assert.throws(() => lensUtils.fromPointer('/a~2'), /escape/);
+        assert.throws(() => lensUtils.fromPointer('/a~'), /escape/);
+      });
+    });
+
+    describe('recordPatch', () => {
+      it('records replacing an existing slot', () => {
+        const {result, patch} = lensUtils.recordPatch({a: {b: 1}, c: 2}, draft => {
+          draft.setInClone(lens('a', 'b'), 3);
+        });
+        assert.deepEqual(result, {a: {b: 3}, c: 2});
+        assert.deepEqual(patch, [{op: 'replace', path: '/a/b', value: 3}]);
+      });
+      
+      it('records adding the shallowest missing slot', () => {
+        const {result, patch} = lensUtils.recordPatch({a: {}}, draft => {
+          draft.setInClone(lens('a', 'b', 0, 'c'), 'x');
+        });
+        assert.deepEqual(result, {a: {b: [{c: 'x'}]}});
+        assert.deepEqual(patch, [{op: 'add', path: '/a/b', value: [{c: 'x'}]}]);
+      });
+      
+      it('records removing a slot', () => {
+        const {result, patch} = lensUtils.recordPatch({a: 1, b: 2}, draft => {
+          draft.xformInClone_maybe(lens('a'), () => ({}));
+        });
+        assert.deepEqual(result, {b: 2});
+        assert.deepEqual(patch, [{op: 'remove', path: '/a'}]);
+      });
+      
+      it('records nothing for an unchanged slot', () => {
+        const subject = {a: 1};
+        const {result, patch} = lensUtils.recordPatch(subject, draft => {
+          draft.setInClone(lens('a'), 1);
+          draft.xformInClone(lens('missing'), () => 5);
+        });
+        assert.strictEqual(result, subject);
+        assert.deepEqual(patch, []);
+      });
+      
+      it('resolves negative indexes', () => {
+        const {patch} = lensUtils.recordPatch({list: [1, 2, 3]}, draft => {
+          draft.setInClone(lens('list', -1), 4);
+        });
+        assert.deepEqual(patch, [{op: 'replace', path: '/list/2', value: 4}]);
+      });
+      
+      it('records appending to an Array as an add', () => {
+        const {patch} = lensUtils.recordPatch({list: [1]}, draft => {
+          draft.setInClone(lens('list', 1), 2);
+        });
+        assert.deepEqual(patch, [{op: 'add', path: '/list/1', value: 2}]);
+      });
+      
+      it('records deleting within an Array as replacement with null', () => {
+        const {patch} = lensUtils.recordPatch({list: [1, 2, 3]}, draft => {
+          draft.xformInClone_maybe(lens('list', 1), () => ({}));
+          draft.xformInClone_maybe(lens('list', 2), () => ({}));
+        });
+        assert.deepEqual(patch, [
+          {op: 'replace', path: '/list/1', value: null},
+          {op: 'remove', path: '/list/2'},
+        ]);
+      });
+      
+      it('applies successive changes to the previous result', () => {
+        const {result, patch} = lensUtils.recordPatch({n: 1}, draft => {
+          draft.xformInClone(lens('n'), n => n + 1);
+          assert.deepEqual(draft.current, {n: 2});
+          draft.xformInClone(lens('n'), n => n * 10);
+        });
+        assert.deepEqual(result, {n: 20});
+        assert.deepEqual(patch, [
+          {op: 'replace', path: '/n', value: 2},
+          {op: 'replace', path: '/n', value: 20},
+        ]);
+      });
+      
+      it('records only the elements changed through a Traversal', () => {
+        const subject = {orders: [{total: 5}, {total: 20}, {total: 8}]};
+        const {result, patch} = lensUtils.recordPatch(subject, draft => {
+          draft.xformInClone(lens('orders').each().thence('total'), t => (t > 10 ? t : 0));
+        });
+        assert.strictEqual(result.orders[1], subject.orders[1]);
+        assert.deepEqual(patch, [
+          {op: 'replace', path: '/orders/0/total', value: 0},
+          {op: 'replace', path: '/orders/2/total', value: 0},
+        ]);
+      });
+      
+      it('records pruning deletions as removal of the shallowest pruned container', () => {
+        const {result, patch} = lensUtils.recordPatch({a: {b: {c: 1}}, d: 2}, draft => {
+          draft.deleteInClone(lens('a', 'b', 'c'), {prune: true});
+        });
+        assert.deepEqual(result, {d: 2});
+        assert.deepEqual(patch, [{op: 'remove', path: '/a'}]);
+      });
+      
+      it('escapes keys in paths', () => {
+        const {patch} = lensUtils.recordPatch({}, draft => {
+          draft.setInClone(lens('a/b'), 1);
+        });
+        assert.deepEqual(patch, [{op: 'add', path: '/a~1b', value: 1}]);
+      });
+      
+      it('throws for a change at a slot JSON Pointer cannot represent', () => {
+        assert.throws(() => lensUtils.recordPatch({}, draft => {
+          draft.setInClone(lens(Symbol('s')), 1);
+        }), /symbol/);
+      });
+    });
+
+    describe('applyPatch', () => {
+      it('applies add, replace, and remove operations without modifying the subject', () => {
+        const subject = {a: {b: 1}, c: 2, d: [5]};
+        const result = lensUtils.applyPatch(subject, [
+          {op: 'replace', path: '/a/b', value: 3},
+          {op: 'add', path: '/e', value: 4},
+          {op: 'remove', path: '/c'},
+        ]);
+        assert.deepEqual(result, {a: {b: 3}, d: [5], e: 4});
+        assert.deepEqual(subject, {a: {b: 1}, c: 2, d: [5]});
+        assert.strictEqual(result.d, subject.d);
+      });
+      
+      it('shifts Array elements for add and remove', () => {
+        const result = lensUtils.applyPatch({list: [1, 2, 3]}, [
+          {op: 'add', path: '/list/1', value: 'x'},
+          {op: 'remove', path: '/list/0'},
+          {op: 'add', path: '/list/-', value: 'end'},
+        ]);
+        assert.deepEqual(result, {list: ['x', 2, 3, 'end']});
+      });
+      
+      it('applies move and copy operations', () => {
+        const result = lensUtils.applyPatch({a: {x: 1}, b: {}}, [
+          {op: 'copy', from: '/a/x', path: '/b/y'},
+          {op: 'move', from: '/a', path: '/c'},
+        ]);
+        assert.deepEqual(result, {b: {y: 1}, c: {x: 1}});
+      });
+      
+      it('replaces the whole document for the empty pointer', () => {
+        assert.deepEqual(lensUtils.applyPatch({a: 1}, [{op: 'replace', path: '', value: [2]}]), [2]);
+        assert.deepEqual(lensUtils.applyPatch([1, 2], [{op: 'remove', path: '/0'}]), [2]);
+      });
+      
+      it('uses number tokens as string keys of non-sequence containers', () => {
+        const result = lensUtils.applyPatch(new Map([['0', 'a']]), [
+          {op: 'replace', path: '/0', value: 'b'},
+        ]);
+        assert.deepEqual(Array.from(result), [['0', 'b']]);
+      });
+      
+      it('patches Immutable containers', () => {
+        const subject = immutable.fromJS({items: ['a', 'c'], meta: {n: 1}});
+        const result = lensUtils.applyPatch(subject, [
+          {op: 'add', path: '/items/1', value: 'b'},
+          {op: 'replace', path: '/meta/n', value: 2},
+        ]);
+        assert.instanceOf(result.get('items'), immutable.List);
+        assert.deepEqual(result.toJS(), {items: ['a', 'b', 'c'], meta: {n: 2}});
+        assert.deepEqual(subject.toJS(), {items: ['a', 'c'], meta: {n: 1}});
+      });
+      
+      it('passes test operations with deeply equal values', () => {
+        const subject = {a: {b: [1, {c: 2}]}};
+        assert.strictEqual(
+          lensUtils.applyPatch(subject, [{op: 'test', path: '/a', value: {b: [1, {c: 2}]}}]),
+          subject
+        );
+      });
+      
+      it('throws a PatchTestFailedError for a failing test operation', () => {
+        let error;
+        try {
+          lensUtils.applyPatch({a: {b: 1}}, [
+            {op: 'replace', path: '/a/b', value: 2},
+            {op: 'test', path: '/a/b', value: 1},
+          ]);
+        } catch (e) {
+          error = e;
+        }
+        assert.instanceOf(error, lensUtils.PatchTestFailedError);
+        assert.strictEqual(error.pointer, '/a/b');
+        assert.strictEqual(error.opIndex, 1);
+      });
+
+      it('throws a PatchTestFailedError for a test operation on a missing path', () => {
+        for (const path of ['/x/y', '/a/b/c']) {
+          try {
+            lensUtils.applyPatch({a: {b: 1}}, [{op: 'test', path, value: 1}]);
+            assert.fail("no error thrown");
+          } catch (error) {
+            assert.instanceOf(error, lensUtils.PatchTestFailedError);
+            assert.strictEqual(error.pointer, path);
+            assert.strictEqual(error.opIndex, 0);
+          }
+        }
+      });
+
+      it('compares Dates in a test operation by their time', () => {
+        const subject = {d: new Date(1000)};
+        assert.strictEqual(
+          lensUtils.applyPatch(subject, [{op: 'test', path: '/d', value: new Date(1000)}]),
+          subject
+        );
+        assert.throws(
+          () => lensUtils.applyPatch(subject, [{op: 'test', path: '/d', value: new Date(2000)}]),
+          lensUtils.PatchTestFailedError
+        );
+      });
+
+      it('compares binary data in a test operation byte by byte', () => {
+        const subject = {
+          bytes: new Uint8Array([1, 2, 3]),
+          view: new DataView(new Uint8Array([4, 5]).buffer),
+          buffer: new Uint8Array([6]).buffer,
+        };
+        assert.strictEqual(
+          lensUtils.applyPatch(subject, [
+            {op: 'test', path: '/bytes', value: new Uint8Array([1, 2, 3])},
+            {op: 'test', path: '/view', value: new DataView(new Uint8Array([4, 5]).buffer)},
+            {op: 'test', path: '/buffer', value: new Uint8Array([6]).buffer},
+          ]),
+          subject
+        );
+        assert.throws(
+          () => lensUtils.applyPatch(subject, [{op: 'test', path: '/bytes', value: new Uint8Array([1, 2, 4])}]),
+          lensUtils.PatchTestFailedError
+        );
+        assert.throws(
+          () => lensUtils.applyPatch(subject, [{op: 'test', path: '/view', value: new DataView(new Uint8Array([4, 6]).buffer)}]),
+          lensUtils.PatchTestFailedError
+        );
+        assert.throws(
+          () => lensUtils.applyPatch(subject, [{op: 'test', path: '/buffer', value: new Uint8Array([7]).buffer}]),
+          lensUtils.PatchTestFailedError
+        );
+        assert.throws(
+          () => lensUtils.applyPatch(subject, [{op: 'test', path: '/bytes', value: new Int8Array([1, 2, 3])}]),
+          lensUtils.PatchTestFailedError
+        );
+      });
+
+      it('does not compare class instances by their keys in a test operation', () => {
+        class Box { constructor(v) { this.v = v; } }
+        assert.throws(
+          () => lensUtils.applyPatch({b: new Box(1)}, [{op: 'test', path: '/b', value: {v: 1}}]),
+          lensUtils.PatchTestFailedError
+        );
+      });
+
+      it('throws for operations on missing slots', () => {
+        assert.throws(() => lensUtils.applyPatch({}, [{op: 'remove', path: '/a'}]), /does not exist/);
+        assert.throws(() => lensUtils.applyPatch({}, [{op: 'add', path: '/a/b', value: 1}]), /does not exist/);
+        assert.throws(() => lensUtils.applyPatch({list: []}, [{op: 'add', path: '/list/1', value: 1}]), /invalid index/);
+      });
+      
+      it('throws for an unknown operation', () => {
+        assert.throws(() => lensUtils.applyPatch({}, [{op: 'frobnicate', path: '/a'}]), /Unknown/);
+      });
+      
+      it('reproduces the result of a recorded patch', () => {
+        const subject = {orders: [{total: 5}, {total: 20}], status: 'new'};
+        const {result, patch} = lensUtils.recordPatch(subject, draft => {
+          draft.xformInClone(lens('orders').each().thence('total'), t => t * 2);
+          draft.setInClone(lens('status'), 'priced');
+          draft.setInClone(lens('notes', 0), 'rush');
+        });
+        assert.deepEqual(lensUtils.applyPatch(subject, patch), result);
+      });
+    });
+
+    describe('dataViewField', () => {
+      function makeView() {
+        const view = new DataView(new ArrayBuffer(8));
+        view.setUint16(0, 0x0102);
+        view.setFloat32(4, 1.5, true);
+        return view;
+      }
+      
+      it('gets a field', () => {
+        const view = makeView();
+        assert.strictEqual(lens(lensUtils.dataViewField(0, 'Uint16')).get(view), 0x0102);
+        assert.strictEqual(lens(lensUtils.dataViewField(0, 'Uint16', {littleEndian: true})).get(view), 0x0201);
+        assert.strictEqual(lens(lensUtils.dataViewField(4, 'Float32', {littleEndian: true})).get(view), 1.5);
+      });
+      
+      it('treats a field beyond the end of the view as missing', () => {
+        assert.isFalse(lens(lensUtils.dataViewField(6, 'Uint32')).present(makeView()));
+      });
+      
+      it('sets a field in a clone of the buffer', () => {
+        const view = makeView();
+        const L = lens('frame', lensUtils.dataViewField(4, 'Float32', {littleEndian: true}));
+        const result = L.setInClone({frame: view}, 2.25);
+        assert.notStrictEqual(result.frame.buffer, view.buffer);
+        assert.strictEqual(L.get(result), 2.25);
+        assert.strictEqual(result.frame.getUint16(0), 0x0102);
+        assert.strictEqual(view.getFloat32(4, true), 1.5);
+      });
+      
+      it('returns the subject when the field value does not change', () => {
+        const data = {frame: makeView()};
+        assert.strictEqual(lens('frame', lensUtils.dataViewField(0, 'Uint16')).setInClone(data, 0x0102), data);
+      });
+      
+      it('zeroes a deleted field', () => {
+        const L = lens(lensUtils.dataViewField(0, 'Uint16'));
+        assert.strictEqual(L.get(L.deleteInClone(makeView())), 0);
+      });
+      
+      it('constructs a missing DataView', () => {
+        const result = lens('frame', lensUtils.dataViewField(2, 'Int8')).setInClone({}, -3);
+        assert.instanceOf(result.frame, DataView);
+        assert.strictEqual(result.frame.byteLength, 3);
+        assert.strictEqual(result.frame.getInt8(2), -3);
+      });
+      
+      it('extends a DataView too short for the field', () => {
+        const result = lens(lensUtils.dataViewField(8, 'Uint8')).setInClone(makeView(), 5);
+        assert.strictEqual(result.byteLength, 9);
+        assert.strictEqual(result.getUint16(0), 0x0102);
+      });
+      
+      it('throws for an unknown field type', () => {
+        assert.throws(() => lensUtils.dataViewField(0, 'Float16'), /Unknown/);
+      });
+    });
+
+    describe('CustomStep', () => {
+      let elementZeroStep;
+      before(async () => {
+        await loadSubjects();
+        elementZeroStep = new lensUtils.Step(
+          (c) => ({just: c[0]}),
+          (c, v_m) => ('just' in v_m ? [v_m.just] : new Array(1)).concat(c.slice(1)),
+          () => []
+        );
+      });
+      
+      it("can be used in a 'get' to fetch in an arbitrary way", () => {
+        const data = [{v: 2}, {v: 3}, {v: 5}];
+        assert.strictEqual(lens(elementZeroStep).get(data), data[0]);
+      });
+      
+      it("can be used in a 'setInClone' to update in an arbitrary way", () => {
+        const data = [{v: 1}, {v: 3}, {v: 5}], elt0repl = {v: 2};
+        const result = lens(elementZeroStep).setInClone(data, elt0repl);
+        assert.deepEqual(data[0], {v: 1});
+        assert.notStrictEqual(result, data);
+        assert.strictEqual(result[0], elt0repl);
+        for (var i of [1, 2]) {
+          assert.strictEqual(result[i], data[i]);
+        }
+      });
+      
+      it("can be used to construct a missing container", () => {
+        const elt0val = {v:2};
+        const result = lens('answers', elementZeroStep).setInClone({}, elt0val);
+        assert.typeOf(result.answers, 'array', 'Array was constructed');
+        assert.strictEqual(result.answers[0], elt0val);
+      });
+      
+      it("can be used to eliminate a slot in an arbitrary way", () => {
+        const data = {answers: [{v: 2}, {v: 3}, {v: 5}]};
+        const result = lens('answers', elementZeroStep).xformInClone_maybe(
+          data,
+          () => ({})
+        );
+        assert.strictEqual(data.answers.length, 3);
+        assert.notStrictEqual(result, data);
+        assert.notProperty(result.answers, 0);
+        assert.strictEqual(result.answers.length, 3);
+      });
+    });
+
+    describe('ArrayNFocal', () => {
+      describe('#get()', () => {
+        it('pulls multiple values from structured data', () => {
+          const L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
+          const data = {
+            name: 'Fred Flintstone',
+            address: {street: ['345 Cave Stone Rd']}
+          };
+          assert.deepEqual(L.get(data), [data.name, data.address.street[0]]);
+        });
+        
+        it("chains application via tail", () => {
+          const lenses = [lens('question'), lens('answer')];
+          const data = {answer: [2, 3, 5]};
+          assert.deepEqual(
+            nfocal(range(3).map(n => lens(n))).get(lenses, data),
+            [, data.answer, ,]
+          );
+        });
+      });
+
+      describe('#get_maybe()', () => {
+        it('pulls multiple values from structured data', () => {
+          const L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
+          const data = {
+            name: 'Fred Flintstone',
+            address: {street: ['345 Cave Stone Rd']}
+          };
+          const result = L.get_maybe(data);
+          assert.deepEqual(result, {just: [data.name, data.address.street[0]], multiFocal: true});
+        });
+
+        it('leaves indexes not found out of the "found" property of the result', () => {
+          const L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
+          const data = {
+            name: 'Fred Flintstone',
+          };
+          const result = L.get_maybe(data);
+          assert.deepEqual(result, {just: [data.name, undefined], multiFocal: true});
+          assert.doesNotHaveAllKeys(result.just, [1]);
+        });
+
+        it('includes falsey properties present in the input', () => {
+          const L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
+          const data = {
+            name: 'Fred Flintstone',
+            address: {street: [undefined]}
+          };
+          const result = L.get_maybe(data);
+          assert.deepEqual(result, {just: [data.name, undefined], multiFocal: true});
+          assert.containsAllKeys(result.just, [1]);
+        });
+        
+        it("chains application via tail", () => {
+          const lenses = [lens('question'), lens('answer')];
+          const data = {answer: [2, 3, 5]};
+          const lensLens = nfocal(range(3).map(n => lens(n)));
+          const result = lensLens.get_maybe(lenses, data);
+          assert(result.multiFocal, "Result is multifocal Maybe");
+          assert.property(result, 'just');
+          assert.deepEqual(result.just, [, data.answer, ,]);
+        });
+      });
+      
+      describe("#present()", () => {
+        it("returns an Array of the indexes of each constituent lens present in the subject", () => {
+          const L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
+          assert.deepEqual(L.present({name: "Fred Flintstone"}), [0]);
+          assert.deepEqual(L.present({
+            name: "Fred Flintstone",
+            address: {street: ['345 Cave Stone Rd']},
+          }), [0, 1]);
+        });
+      });
+      
+      describe("#xformInClone()", () => {
+        let L;
+        before(async () => {
+          await loadSubjects();
+          L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
+        });
+        
+        it("applies the given transforms", () => {
+          const data = {
+            name: "Fred Flintstone",
+            address: {street: ['345 Cave Stone Rd']},
+          };
+          const result = L.xformInClone(
+            data,
+            [
+              [0, n => n.toLowerCase()],
+            ]
+          );
+          assert.deepEqual(result, {...data, name: "fred flintstone"});
+        });
+        
+        it("skips invalid keys in xformPairs", () => {
+          const data = {
+            name: "Fred Flintstone",
+            address: {street: ['345 Cave Stone Rd']},
+          };
+          const result = L.xformInClone(
+            data,
+            [
+              [0, n => n.toLowerCase()],
+              [17, v => `### ${v} ###`],
+            ]
+          );
+          assert.deepEqual(result, {...data, name: "fred flintstone"});
+        });
+      });
+      
+      describe("#xformInClone_maybe()", () => {
+        let L;
+        before(async () => {
+          await loadSubjects();
+          L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
+        });
+        
+        it("can supply a value for a missing slot", () => {
+          const insertedName = "Barney Rubble";
+          const result = L.xformInClone_maybe(
+            {},
+            [
+              [0, n_m => 'just' in n_m ? n_m : {just: insertedName}],
+            ]
+          );
+          assert.strictEqual(result.name, insertedName);
+        });
+        
+        it("skips invalid keys in xformPairs", () => {
+          const data = {
+            name: "Fred Flintstone",
+            address: {street: ['345 Cave Stone Rd']},
+          };
+          const xforms = [
+            [0, n_m => 'just' in n_m ? {just: n_m.just.toLowerCase()} : n_m],
+            [17, v_m => 'just' in v_m ? {just: `### ${v_m.just} ###`} : v_m],
+          ];
+          var result;
+          result = L.xformInClone_maybe(data, xforms);
+          assert.deepEqual(result, {...data, name: "fred flintstone"});
+        });
+      });
+      
+      describe("#setInClone()", () => {
+        // A stereoscopy error occurs when two parts of a multifocal reference
+        // the same slot and the call to #setInClone() calls for these
+        // references to be assigned non-strict-equal values.
+        it('detects stereoscopy errors', () => {
+          const L = lensUtils.nfocal([lens('name'), lens('name')]);
+          const data = {name: "Fred Flintstone"}, newName = "Barney Rubble";
+          assert.throws(
+            () => L.setInClone(data, [newName, data.name]),
+            lensUtils.StereoscopyError
+          );
+        });
+        
+        it('allows consistent stereoscopic changes', () => {
+          const L = lensUtils.nfocal([lens('name'), lens('name')]);
+          const data = {name: "Fred Flintstone"}, newName = "Barney Rubble";
+          const {name: inputName, ...inputOther} = data;
+          const {name: resultName, ...resultOther} =
+            L.setInClone(data, [newName, newName]);
+          assert.deepEqual(resultOther, inputOther);
+          assert.strictEqual(resultName, newName);
+        });
+      });
+      
+      describe("#deleteInClone()", () => {
+        it('omits the slots of all constituent lenses', () => {
+          const L = lensUtils.nfocal([lens('name'), lens('address', 'city')]);
+          const data = {name: "Fred Flintstone", address: {city: "Bedrock", street: "Cobblestone"}, age: 35};
+          assert.deepEqual(L.deleteInClone(data), {address: {street: "Cobblestone"}, age: 35});
+        });
+        
+        it('omits only the slots of the given keys', () => {
+          const L = lensUtils.nfocal([lens('name'), lens('age')]);
+          assert.deepEqual(L.deleteInClone({name: "Fred Flintstone", age: 35}, {keys: [1]}), {name: "Fred Flintstone"});
+        });
+        
+        it('prunes containers left empty when requested', () => {
+          const L = lensUtils.nfocal([lens('address', 'city'), lens('address', 'street')]);
+          const data = {name: "Fred Flintstone", address: {city: "Bedrock", street: "Cobblestone"}};
+          assert.deepEqual(L.deleteInClone(data, {prune: true}), {name: "Fred Flintstone"});
+        });
+      });
+      
+      describe("(as an Array-like collection of lenses)", () => {
+        let L;
+        before(async () => {
+          await loadSubjects();
+          L = lensUtils.nfocal([lens('name'), lens('address', 'street', 0)]);
+        });
+        
+        it("allows 'getting' of a constituent lens", () => {
+          const lens0 = lens(0).get(L);
+          assert.strictEqual(lens0, L.lenses[0]);
+        });
+        
+        it("can construct an altered clone", () => {
+          const institutionLens = lens('institution');
+          const L2 = lens(0).setInClone(L, institutionLens);
+          assert.strictEqual(L2.lenses[0], institutionLens);
+          assert.strictEqual(L2.lenses[1], L.lenses[1]);
+        });
+      });
+      
+      describe('#explain()', () => {
+        it('explains each constituent optic by index', () => {
+          const L = lensUtils.nfocal([lens('name'), lens('address', 'city')]);
+          const result = L.explain({name: "Fred"});
+          assert.strictEqual(result.found, true);
+          assert.strictEqual(result.parts.length, 2);
+          assert.include(result.parts[0], {found: true, value: "Fred"});
+          assert.strictEqual(result.parts[1].message, 'No key "address" in Object at $');
+        });
+      });
+    });
+
+    describe('ObjectNFocal', () => {
+      describe('#get()', () => {
+        it("chains application via tail", () => {
           const lenses = nfocal({
             name: lens('name'),
             mailTo: lens('school', 'address'),
@@ -1266,6 +2270,15 @@ function testSequence(loaderName, subjects) {
         });
       });
       
+      describe("#deleteInClone()", () => {
+        it('omits the slots of the given keys', () => {
+          const L = lensUtils.nfocal({name: lens('name'), city: lens('address', 'city')});
+          const data = {name: "Fred Flintstone", address: {city: "Bedrock"}};
+          assert.deepEqual(L.deleteInClone(data, {keys: ['city'], prune: true}), {name: "Fred Flintstone"});
+          assert.deepEqual(L.deleteInClone(data), {address: {}});
+        });
+      });
+      
       describe("(as an Object-like collection of lenses)", () => {
         let L;
         before(async () => {
@@ -1278,6 +2291,17 @@ function testSequence(loaderName, subjects) {
           assert.strictEqual(lensName, L.lenses.name);
         });
       });
+      
+      describe('#explain()', () => {
+        it('explains each constituent optic by key', () => {
+          const L = lensUtils.nfocal({name: lens('name'), city: lens('address', 'city')});
+          const result = L.explain({name: "Fred", address: {}});
+          assert.strictEqual(result.found, true);
+          assert.deepEqual(result.value, {name: "Fred"});
+          assert.include(result.parts.name, {found: true, value: "Fred"});
+          assert.include(result.parts.city, {found: false, path: '$.address', failedKey: 'city'});
+        });
+      });
     });
 
     describe('OpticArray', () => {
@@ -1487,6 +2511,428 @@ function testSequence(loaderName, subjects) {
           assert.strictEqual(fusedLens.get({name}), name.first);
         })
       });
+      
+      describe('#deleteInClone()', () => {
+        it('omits the slot through fused optics', () => {
+          const fusedLens = lensUtils.fuse(mfl, lens(0));
+          assert.deepEqual(fusedLens.deleteInClone({name: "Fred Flintstone", age: 35}), {age: 35});
+        });
+        
+        it('prunes containers left empty when requested', () => {
+          const fusedLens = lensUtils.fuse(lens('a'), lensUtils.iso(v => v, v => v), lens('b', 'c'));
+          const data = {a: {b: {c: 1}, e: 1}};
+          assert.deepEqual(fusedLens.deleteInClone(data, {prune: true}), {a: {e: 1}});
+          assert.deepEqual(fusedLens.deleteInClone(data), {a: {b: {}, e: 1}});
+        });
+        
+        it('stops pruning at an optic that cannot omit its slot', () => {
+          const fusedLens = lensUtils.fuse(lens('a'), lensUtils.iso(v => v, v => v), lens('b', 'c'));
+          const data = {a: {b: {c: 1}}, d: 1};
+          assert.deepEqual(fusedLens.deleteInClone(data, {prune: true}), {a: {}, d: 1});
+        });
+        
+        it('returns the subject when a constituent optic declines the change', () => {
+          const fusedLens = lensUtils.fuse(lens('a'), lensUtils.prism({kind: 'x'}), lens('c'));
+          const data = {a: {kind: 'y', c: 1}};
+          assert.strictEqual(fusedLens.deleteInClone(data), data);
+        });
+      });
+      
+      describe('#explain()', () => {
+        it('combines the steps of the constituent optics', () => {
+          const fusedLens = lensUtils.fuse(lens('a'), lens('b', 'c'), lens('d'));
+          const result = fusedLens.explain({a: {b: {c: {}}}});
+          assert.include(result, {found: false, depth: 3, path: '$.a.b.c', failedKey: 'd'});
+          assert.strictEqual(result.message, 'No key "d" in Object at $.a.b.c');
+          assert.include(fusedLens.explain({a: {b: {c: {d: 1}}}}), {found: true, value: 1, depth: 4});
+        });
+        
+        it('identifies an optic which found no value', () => {
+          const prism = lensUtils.prism({kind: 'x'});
+          const result = lensUtils.fuse(lens('a'), prism, lens('c')).explain({a: {kind: 'y'}});
+          assert.strictEqual(result.failedKey, prism);
+          assert.strictEqual(result.path, '$.a');
+          assert.strictEqual(result.message, 'No match for Prism in Object at $.a');
+        });
+      });
+    });
+    
+    describe('Traversal', () => {
+      const data = {
+        orders: [
+          {id: 'a', total: 10},
+          {id: 'b', total: 20, items: [{sku: 'x'}, {sku: 'y'}]},
+          {id: 'c'},
+        ],
+      };
+      
+      describe('#getAll()', () => {
+        it('gets the slot within each element', () => {
+          const L = lens('orders').each().thence('total');
+          assert.deepEqual(L.getAll(data), [10, 20]);
+        });
+        
+        it('gets each element when no slot within the element is given', () => {
+          assert.deepEqual(lens('orders').each().getAll(data), data.orders);
+        });
+        
+        it('returns an empty Array if the iterable slot is missing', () => {
+          assert.deepEqual(lens('invoices').each().thence('total').getAll(data), []);
+        });
+        
+        it('does not traverse a string', () => {
+          assert.deepEqual(lens('name').each().getAll({name: "Fred"}), []);
+        });
+        
+        it('flattens nested traversals', () => {
+          const L = lens('orders').each().thence('items').each().thence('sku');
+          assert.deepEqual(L.getAll(data), ['x', 'y']);
+        });
+        
+        it('traverses a non-Array iterable', () => {
+          const subject = {tags: new Set(['red', 'green'])};
+          assert.deepEqual(lens('tags').each().getAll(subject), ['red', 'green']);
+        });
+      });
+      
+      describe('#get_maybe()', () => {
+        it('returns a Just of all focused values', () => {
+          const L = lens('orders').each().thence('id');
+          assert.deepEqual(L.get_maybe(data), {just: ['a', 'b', 'c']});
+        });
+        
+        it('returns a Nothing if the iterable slot is missing', () => {
+          assert.notProperty(lens('invoices').each().get_maybe(data), 'just');
+        });
+      });
+      
+      describe('#xformInClone()', () => {
+        it('transforms the slot within each element', () => {
+          const L = lens('orders').each().thence('total');
+          const result = L.xformInClone(data, t => t * 2);
+          assert.deepEqual(L.getAll(result), [20, 40]);
+          assert.strictEqual(data.orders[0].total, 10);
+        });
+        
+        it('reuses unchanged elements', () => {
+          const L = lens('orders').each().thence('total');
+          const result = L.xformInClone(data, t => t * 2);
+          assert.notStrictEqual(result.orders[0], data.orders[0]);
+          assert.strictEqual(result.orders[1].items, data.orders[1].items);
+          assert.strictEqual(result.orders[2], data.orders[2]);
+        });
+        
+        it('returns the subject if no element changes', () => {
+          const L = lens('orders').each().thence('total');
+          assert.strictEqual(L.xformInClone(data, t => t), data);
+        });
+        
+        it('returns the subject if the iterable slot is missing', () => {
+          const L = lens('invoices').each().thence('total');
+          assert.strictEqual(L.xformInClone(data, t => t + 1), data);
+        });
+        
+        it('transforms through nested traversals', () => {
+          const L = lens('orders').each().thence('items').each().thence('sku');
+          const result = L.xformInClone(data, sku => sku.toUpperCase());
+          assert.deepEqual(L.getAll(result), ['X', 'Y']);
+          assert.strictEqual(result.orders[0], data.orders[0]);
+        });
+        
+        it('keeps a Set a Set', () => {
+          const subject = {tags: new Set(['red', 'green'])};
+          const result = lens('tags').each().xformInClone(subject, tag => tag.toUpperCase());
+          assert.instanceOf(result.tags, Set);
+          assert.deepEqual([...result.tags], ['RED', 'GREEN']);
+          assert.deepEqual([...subject.tags], ['red', 'green']);
+        });
+        
+        it('keeps a Map a Map', () => {
+          const subject = {prices: new Map([['a', 1], ['b', 2]])};
+          const result = lens('prices').each().thence(1).xformInClone(subject, n => n * 10);
+          assert.instanceOf(result.prices, Map);
+          assert.deepEqual([...result.prices], [['a', 10], ['b', 20]]);
+        });
+        
+        it('keeps a TypedArray of its type', () => {
+          const subject = {samples: new Float32Array([1, 2, 3])};
+          const result = lens('samples').each().xformInClone(subject, n => n / 2);
+          assert.instanceOf(result.samples, Float32Array);
+          assert.deepEqual(Array.from(result.samples), [0.5, 1, 1.5]);
+        });
+        
+        it('keeps an immutable.List a List', () => {
+          const subject = {items: immutable.List([1, 2, 3])};
+          const result = lens('items').each().xformInClone(subject, n => n + 1);
+          assert(immutable.List.isList(result.items));
+          assert.deepEqual(result.items.toArray(), [2, 3, 4]);
+        });
+        
+        it('keeps an immutable.Set a Set', () => {
+          const subject = {tags: immutable.Set(['red', 'green'])};
+          const result = lens('tags').each().xformInClone(subject, tag => (tag === 'red' ? 'blue' : tag));
+          assert(immutable.Set.isSet(result.tags));
+          assert.sameMembers(result.tags.toArray(), ['blue', 'green']);
+        });
+        
+        it('throws rather than change the type of an iterable it cannot rebuild', () => {
+          const subject = {
+            items: {*[Symbol.iterator]() { yield 1; yield 2; }},
+          };
+          assert.throws(
+            () => lens('items').each().xformInClone(subject, n => n + 1),
+            /Cannot rebuild/
+          );
+        });
+      });
+      
+      describe('#xformInClone_maybe()', () => {
+        it('omits members of a Set for which the transform returns Nothing', () => {
+          const subject = {tags: new Set(['red', 'green'])};
+          const result = lens('tags').each().xformInClone_maybe(subject, v_m => (v_m.just === 'red' ? {} : v_m));
+          assert.deepEqual([...result.tags], ['green']);
+        });
+        
+        it('omits elements for which the transform returns Nothing', () => {
+          const L = lens('orders').each();
+          const result = L.xformInClone_maybe(data, v_m =>
+            'total' in v_m.just ? v_m : {}
+          );
+          assert.deepEqual(result.orders, data.orders.slice(0, 2));
+        });
+        
+        it('deletes the slot within each element', () => {
+          const L = lens('orders').each().thence('total');
+          const result = L.xformInClone_maybe(data, () => ({}));
+          assert.deepEqual(L.getAll(result), []);
+          assert.strictEqual(result.orders.length, 3);
+        });
+      });
+      
+      describe('#setInClone()', () => {
+        it('sets the slot within each element to the value', () => {
+          const L = lens('orders').each().thence('status');
+          const result = L.setInClone(data, 'open');
+          assert.deepEqual(L.getAll(result), ['open', 'open', 'open']);
+          assert.deepEqual(lens('orders').each().thence('id').getAll(result), ['a', 'b', 'c']);
+        });
+      });
+      
+      describe('(composition)', () => {
+        it('fuses following optics into the item optic', () => {
+          const L = lensUtils.fuse(lens('orders').each(), lens('items'), lens(0, 'sku'));
+          assert.deepEqual(L.getAll(data), ['x']);
+        });
+        
+        it('fuses preceding optics into the source optic', () => {
+          const L = lensUtils.fuse(lens('customer'), lens('orders').each(), lens('id'));
+          assert.deepEqual(L.getAll({customer: data}), ['a', 'b', 'c']);
+        });
+        
+        it('can traverse the result of a multifocal', () => {
+          const L = nfocal([lens('primary'), lens('secondary')]).each().thence('name');
+          const subject = {primary: {name: 'Fred'}, secondary: {name: 'Wilma'}};
+          assert.deepEqual(L.getAll(subject), ['Fred', 'Wilma']);
+        });
+      });
+    });
+    
+    describe('Prism', () => {
+      const data = {
+        payments: [
+          {type: 'card', last4: '4242'},
+          {type: 'ach', routing: '011000015'},
+        ],
+      };
+      
+      describe('#get_maybe()', () => {
+        it('focuses a subject matching a discriminator', () => {
+          const P = lensUtils.prism({type: 'card'});
+          assert.deepEqual(P.get_maybe(data.payments[0]), {just: data.payments[0]});
+        });
+        
+        it('focuses nothing in a subject not matching a discriminator', () => {
+          const P = lensUtils.prism({type: 'card'});
+          assert.deepEqual(P.get_maybe(data.payments[1]), {});
+        });
+        
+        it('focuses a subject matching a predicate', () => {
+          const P = lensUtils.prism(n => n > 0);
+          assert.deepEqual(P.get_maybe(3), {just: 3});
+          assert.deepEqual(P.get_maybe(-3), {});
+        });
+        
+        it('focuses nothing in a missing subject', () => {
+          const P = lensUtils.prism(() => true);
+          assert.deepEqual(P.get_maybe(undefined), {});
+        });
+        
+        it('matches a discriminator within a Map', () => {
+          const P = lensUtils.prism({type: 'card'});
+          const subject = new Map([['type', 'card']]);
+          assert.deepEqual(P.get_maybe(subject), {just: subject});
+        });
+      });
+      
+      describe('#xformInClone_maybe()', () => {
+        it('returns a non-matching subject without calling the transform', () => {
+          const P = lensUtils.prism({type: 'card'}), fn = sinon.fake();
+          assert.strictEqual(P.xformInClone_maybe(data.payments[1], fn), data.payments[1]);
+          assert.isFalse(fn.called);
+        });
+        
+        it('returns the subject if the transform returns Nothing', () => {
+          const P = lensUtils.prism({type: 'card'});
+          assert.strictEqual(P.xformInClone_maybe(data.payments[0], () => ({})), data.payments[0]);
+        });
+        
+        it('reviews the result of the transform', () => {
+          const P = lensUtils.prism({type: 'card'});
+          const result = P.xformInClone_maybe(data.payments[0], () => ({just: {last4: '1111'}}));
+          assert.deepEqual(result, {type: 'card', last4: '1111'});
+        });
+      });
+      
+      describe('#review()', () => {
+        it('sets the discriminator into the value by default', () => {
+          const P = lensUtils.prism({type: 'card'});
+          const value = {last4: '4242'};
+          assert.deepEqual(P.review(value), {type: 'card', last4: '4242'});
+          assert.notProperty(value, 'type');
+        });
+        
+        it('returns a value already matching the discriminator', () => {
+          const P = lensUtils.prism({type: 'card'});
+          assert.strictEqual(P.review(data.payments[0]), data.payments[0]);
+        });
+        
+        it('uses a given review function', () => {
+          const P = lensUtils.prism(n => n > 0, n => Math.abs(n));
+          assert.strictEqual(P.review(-5), 5);
+        });
+      });
+      
+      describe('(composition)', () => {
+        const cardLast4 = (i) => lensUtils.fuse(
+          lens('payments', i), lensUtils.prism({type: 'card'}), lens('last4')
+        );
+        
+        it('gets through a matching variant', () => {
+          assert.strictEqual(cardLast4(0).get(data), '4242');
+        });
+        
+        it('gets nothing through a non-matching variant', () => {
+          assert.strictEqual(cardLast4(1).get(data), undefined);
+        });
+        
+        it('sets through a matching variant', () => {
+          const result = cardLast4(0).setInClone(data, '1111');
+          assert.strictEqual(result.payments[0].last4, '1111');
+          assert.strictEqual(result.payments[1], data.payments[1]);
+          assert.strictEqual(data.payments[0].last4, '4242');
+        });
+        
+        it('does not set through a non-matching variant', () => {
+          assert.strictEqual(cardLast4(1).setInClone(data, '1111'), data);
+        });
+        
+        it('does not set through a missing variant', () => {
+          assert.strictEqual(cardLast4(2).setInClone(data, '1111'), data);
+        });
+        
+        it('restricts a traversal to matching elements', () => {
+          const L = lensUtils.fuse(
+            lens('payments').each(), lensUtils.prism({type: 'card'}), lens('last4')
+          );
+          assert.deepEqual(L.getAll(data), ['4242']);
+          const result = L.setInClone(data, '0000');
+          assert.strictEqual(result.payments[0].last4, '0000');
+          assert.strictEqual(result.payments[1], data.payments[1]);
+        });
+      });
+    });
+    
+    describe('Iso', () => {
+      const cents = () => lensUtils.iso(c => c / 100, a => Math.round(a * 100));
+      const tags = () => lensUtils.iso(s => s.split(','), a => a.join(','));
+      
+      describe('#get_maybe()', () => {
+        it('focuses the converted subject', () => {
+          assert.deepEqual(cents().get_maybe(1250), {just: 12.5});
+        });
+        
+        it('focuses nothing in a missing subject', () => {
+          const to = sinon.fake();
+          assert.deepEqual(lensUtils.iso(to, x => x).get_maybe(undefined), {});
+          assert.isFalse(to.called);
+        });
+      });
+      
+      describe('#xformInClone_maybe()', () => {
+        it('converts the result of the transform back', () => {
+          assert.strictEqual(cents().xformInClone_maybe(1250, v_m => ({just: v_m.just * 2})), 2500);
+        });
+        
+        it('returns the subject if the transform returns Nothing', () => {
+          assert.strictEqual(cents().xformInClone_maybe(1250, () => ({})), 1250);
+        });
+        
+        it('returns the subject if the converted result is unchanged', () => {
+          const subject = 'a,b', from = sinon.fake.returns(subject);
+          const I = lensUtils.iso(s => s.split(','), from);
+          assert.strictEqual(I.xformInClone_maybe(subject, v_m => ({just: v_m.just.slice()})), subject);
+          assert.isTrue(from.calledOnce);
+        });
+      });
+      
+      describe('#reverse()', () => {
+        it('exchanges the conversion directions', () => {
+          assert.strictEqual(cents().reverse().get(12.5), 1250);
+        });
+      });
+      
+      describe('(composition)', () => {
+        const data = {invoice: {amountCents: 1250, tags: 'new,urgent'}};
+        
+        it('gets the converted value of a slot', () => {
+          const L = lensUtils.fuse(lens('invoice', 'amountCents'), cents());
+          assert.strictEqual(L.get(data), 12.5);
+        });
+        
+        it('gets nothing from a missing slot', () => {
+          const L = lensUtils.fuse(lens('invoice', 'taxCents'), cents());
+          assert.deepEqual(L.get_maybe(data), {});
+        });
+        
+        it('sets the slot to the converted value', () => {
+          const L = lensUtils.fuse(lens('invoice', 'amountCents'), cents());
+          const result = L.setInClone(data, 20);
+          assert.strictEqual(result.invoice.amountCents, 2000);
+          assert.strictEqual(data.invoice.amountCents, 1250);
+        });
+        
+        it('adds a missing slot with the converted value', () => {
+          const L = lensUtils.fuse(lens('invoice', 'taxCents'), cents());
+          assert.strictEqual(L.setInClone(data, 1).invoice.taxCents, 100);
+        });
+        
+        it('transforms the converted value of a slot', () => {
+          const L = lensUtils.fuse(lens('invoice', 'tags'), tags());
+          const result = L.xformInClone(data, t => t.concat(['paid']));
+          assert.strictEqual(result.invoice.tags, 'new,urgent,paid');
+        });
+        
+        it('returns the subject if the stored value is unchanged', () => {
+          const L = lensUtils.fuse(lens('invoice', 'tags'), tags());
+          assert.strictEqual(L.setInClone(data, ['new', 'urgent']), data);
+        });
+        
+        it('composes further optics within the view', () => {
+          const L = lensUtils.fuse(lens('invoice', 'tags'), tags(), lens(1));
+          assert.strictEqual(L.get(data), 'urgent');
+          assert.strictEqual(L.setInClone(data, 'late').invoice.tags, 'new,late');
+        });
+      });
     });
     
     describe('Factory', () => {
@@ -1533,6 +2979,26 @@ function testSequence(loaderName, subjects) {
         const result = f.construct([0, 'foo']);
         assert.instanceOf(result, Map);
       });
+      
+      it('constructs a Set where indicated by the useSet option', () => {
+        const f = new lensUtils.JsContainerFactory(undefined, {
+          useSet: (keys) => keys[keys.length - 2] === 'tags',
+        });
+        assert.instanceOf(f.construct(['tags', 'urgent']), Set);
+        assert.instanceOf(f.construct(['labels', 'urgent']), Map);
+        assert.property(f.containerTypes, 'Set');
+      });
+      
+      it('constructs Sets for a Factory', () => {
+        const lf = new lensUtils.Factory({
+          containerFactory: new lensUtils.JsContainerFactory(undefined, {
+            useSet: (keys) => keys[keys.length - 2] === 'tags',
+          }),
+        });
+        const result = lf.lens('tags', 'urgent').setInClone({}, true);
+        assert.instanceOf(result.tags, Set);
+        assert.deepEqual(Array.from(result.tags), ['urgent']);
+      });
     });
 
     describe('eachFound', () => {
@@ -1637,6 +3103,213 @@ function testSequence(loaderName, subjects) {
           const result = data[lensUtils.clone]();
           assertIsClone(result, data);
         });
+
+        it('clones class instances without calling the constructor', () => {
+          class Point {
+            constructor(x, y) {
+              if (arguments.length < 2) throw new Error("coordinates required");
+              this.x = x;
+              this.y = y;
+            }
+            get magnitude() { return Math.hypot(this.x, this.y); }
+          }
+          const data = new Point(3, 4);
+          const result = lens('x').setInClone(data, 6);
+          assert.instanceOf(result, Point);
+          assert.strictEqual(result.x, 6);
+          assert.strictEqual(result.magnitude, Math.hypot(6, 4));
+          assert.strictEqual(data.x, 3);
+        });
+
+        it('preserves own non-enumerable properties in clones of class instances without a no-argument constructor', () => {
+          class Person {
+            constructor(name) {
+              if (!name) throw new Error("name required");
+              this.name = name;
+            }
+          }
+          const data = new Person("Fred");
+          Object.defineProperty(data, 'id', {value: 7, enumerable: false});
+          const result = lens('name').setInClone(data, "Barney");
+          assert.strictEqual(result.name, "Barney");
+          assert.deepEqual(Object.getOwnPropertyDescriptor(result, 'id'), {
+            value: 7, enumerable: false, writable: true, configurable: true,
+          });
+        });
+        
+        it('does not call the constructor of a class instance it clones', () => {
+          let constructed = 0;
+          class Counted {
+            constructor() { constructed += 1; }
+          }
+          const data = new Counted();
+          const result = lens('x').setInClone(data, 2);
+          assert.instanceOf(result, Counted);
+          assert.strictEqual(result.x, 2);
+          assert.strictEqual(constructed, 1);
+        });
+
+        it('throws rather than lose the private state of a class instance', () => {
+          class Quantity {
+            #v;
+            constructor(v = 1) { this.#v = v; }
+            get v() { return this.#v; }
+          }
+          class Liters extends Quantity {}
+          const data = new Quantity(5);
+          assert.throws(() => lens('x').setInClone(data, 2), /'Quantity' has private members.*registerCloner/);
+          assert.throws(() => lens('x').setInClone(new Liters(5), 2), /'Quantity' has private members/);
+          assert.strictEqual(data.v, 5);
+        });
+
+        it('preserves private state through a static clone method', () => {
+          class Quantity {
+            #v;
+            constructor(v = 1) { this.#v = v; }
+            get v() { return this.#v; }
+            static [lensUtils.clone](q) { return Object.assign(new Quantity(q.v), q); }
+          }
+          const result = lens('x').setInClone(new Quantity(5), 2);
+          assert.instanceOf(result, Quantity);
+          assert.strictEqual(result.x, 2);
+          assert.strictEqual(result.v, 5);
+        });
+        
+        it('clones frozen class instances', () => {
+          class Knob {}
+          const result = lens('x').setInClone(Object.freeze(Object.assign(new Knob(), {x: 1})), 2);
+          assert.instanceOf(result, Knob);
+          assert.strictEqual(result.x, 2);
+        });
+        
+        it('clones frozen class instances without a no-argument constructor', () => {
+          class Pair {
+            constructor(a, b) {
+              if (arguments.length < 2) throw new Error("two values required");
+              this.a = a;
+              this.b = b;
+            }
+          }
+          const result = lens('a').setInClone(Object.freeze(new Pair(1, 2)), 3);
+          assert.instanceOf(result, Pair);
+          assert.deepEqual({...result}, {a: 3, b: 2});
+        });
+
+        it('uses a cloner registered for the class', () => {
+          class Account {
+            #balance;
+            constructor(owner, balance) { this.owner = owner; this.#balance = balance; }
+            get balance() { return this.#balance; }
+            copy() { return new Account(this.owner, this.#balance); }
+          }
+          lensUtils.registerCloner(Account, account => account.copy());
+          const result = lens('owner').setInClone(new Account('Ann', 10), 'Bob');
+          assert.instanceOf(result, Account);
+          assert.strictEqual(result.owner, 'Bob');
+          assert.strictEqual(result.balance, 10);
+        });
+
+        it('uses a cloner registered for a base class on subclass instances', () => {
+          class Base {}
+          class Derived extends Base {}
+          const cloner = sinon.fake(instance => Object.assign(new Derived(), instance));
+          lensUtils.registerCloner(Base, cloner);
+          const result = lens('a').setInClone(Object.assign(new Derived(), {a: 1}), 2);
+          assert.strictEqual(cloner.callCount, 1);
+          assert.strictEqual(result.a, 2);
+        });
+
+        it('stops using a cloner when its registration is removed', () => {
+          class Tagged {}
+          const cloner = sinon.fake(() => new Tagged());
+          lensUtils.registerCloner(Tagged, cloner);
+          lensUtils.registerCloner(Tagged, null);
+          lens('a').setInClone(new Tagged(), 1);
+          assert.strictEqual(cloner.callCount, 0);
+        });
+
+        it('uses a static clone method on the constructor', () => {
+          class Temperature {
+            #celsius;
+            constructor(celsius) { this.#celsius = celsius; this.unit = 'C'; }
+            get celsius() { return this.#celsius; }
+            static [lensUtils.clone](instance) {
+              return Object.assign(new Temperature(instance.#celsius), instance);
+            }
+          }
+          const result = lens('unit').setInClone(new Temperature(21), 'F');
+          assert.strictEqual(result.unit, 'F');
+          assert.strictEqual(result.celsius, 21);
+        });
+
+        it('deletes properties from clones of class instances', () => {
+          class Pair {
+            constructor(a, b) { this.a = a; this.b = b; }
+          }
+          const result = lens('b').deleteInClone(new Pair(1, 2));
+          assert.instanceOf(result, Pair);
+          assert.deepEqual(Object.keys(result), ['a']);
+        });
+      });
+
+      describe('Set', () => {
+        it('gets membership of a value', () => {
+          const data = {tags: new Set(['urgent'])};
+          assert.strictEqual(lens('tags', 'urgent').get(data), true);
+          assert.strictEqual(lens('tags', 'later').get(data), false);
+        });
+        
+        it('removes a member in a clone when set false', () => {
+          const data = {tags: new Set(['urgent', 'billing'])};
+          const result = lens('tags', 'urgent').setInClone(data, false);
+          assert.deepEqual(Array.from(result.tags), ['billing']);
+          assert.deepEqual(Array.from(data.tags), ['urgent', 'billing']);
+        });
+        
+        it('adds a member in a clone when set true', () => {
+          const data = {tags: new Set(['billing'])};
+          const result = lens('tags', 'urgent').setInClone(data, true);
+          assert.deepEqual(Array.from(result.tags), ['billing', 'urgent']);
+        });
+        
+        it('returns the subject when membership does not change', () => {
+          const data = {tags: new Set(['urgent'])};
+          assert.strictEqual(lens('tags', 'urgent').setInClone(data, true), data);
+          assert.strictEqual(lens('tags', 'later').setInClone(data, false), data);
+        });
+        
+        it('removes a member when the slot is deleted', () => {
+          const data = {tags: new Set(['urgent'])};
+          assert.strictEqual(lens('tags', 'urgent').deleteInClone(data).tags.size, 0);
+        });
+      });
+      
+      describe('TypedArray', () => {
+        it('gets elements by index', () => {
+          const data = {samples: new Float32Array([1.5, 2.5, 3.5])};
+          assert.strictEqual(lens('samples', 1).get(data), 2.5);
+          assert.strictEqual(lens('samples', -1).get(data), 3.5);
+          assert.isUndefined(lens('samples', 3).get(data));
+        });
+        
+        it('sets an element in a clone', () => {
+          const data = {samples: new Uint8Array([1, 2, 3])};
+          const result = lens('samples', 0).setInClone(data, 9);
+          assert.instanceOf(result.samples, Uint8Array);
+          assert.deepEqual(Array.from(result.samples), [9, 2, 3]);
+          assert.deepEqual(Array.from(data.samples), [1, 2, 3]);
+        });
+        
+        it('zeroes a deleted element', () => {
+          const result = lens(1).deleteInClone(new Int16Array([1, 2, 3]));
+          assert.deepEqual(Array.from(result), [1, 0, 3]);
+        });
+        
+        it('supports sequence editing', () => {
+          const result = lens('samples').insertInClone({samples: new Uint8Array([1, 3])}, 1, 2);
+          assert.instanceOf(result.samples, Uint8Array);
+          assert.deepEqual(Array.from(result.samples), [1, 2, 3]);
+        });
       });
       
       describe('Map', () => {
@@ -1672,6 +3345,81 @@ function testSequence(loaderName, subjects) {
         );
       });
       
+      it('gets and sets fields of Records', () => {
+        const Point = immutable.Record({x: 0, y: 0});
+        const data = immutable.Map({origin: new Point({x: 3})});
+        assert.strictEqual(lens('origin', 'x').get(data), 3);
+        assert.strictEqual(lens('origin', 'y').get(data), 0);
+        const result = lens('origin', 'y').setInClone(data, 4);
+        assert.instanceOf(result.get('origin'), Point);
+        assert.strictEqual(result.getIn(['origin', 'y']), 4);
+        assert.strictEqual(lens('origin', 'x').deleteInClone(result).getIn(['origin', 'x']), 0);
+      });
+      
+      it('lenses Sets and OrderedSets by membership', () => {
+        [immutable.Set, immutable.OrderedSet].forEach(SetType => {
+          const data = immutable.Map({tags: SetType(['urgent'])});
+          assert.strictEqual(lens('tags', 'urgent').get(data), true);
+          assert.strictEqual(lens('tags', 'later').get(data), false);
+          assert.strictEqual(lens('tags', 'urgent').setInClone(data, true), data);
+          const result = lens('tags', 'later').setInClone(data, true);
+          assert.deepEqual(result.get('tags').toJS(), ['urgent', 'later']);
+          assert.instanceOf(result.get('tags'), SetType);
+          assert.deepEqual(lens('tags', 'urgent').deleteInClone(data).get('tags').toJS(), []);
+        });
+      });
+      
+      it('leaves a Set unchanged when cloned without a change', () => {
+        [immutable.Set, immutable.OrderedSet].forEach(SetType => {
+          const tags = SetType([undefined, 'urgent']);
+          assert.strictEqual(tags[lensUtils.clone]({}), tags);
+          assert.deepEqual(tags[lensUtils.clone]({spliceOut: undefined}).toJS(), ['urgent']);
+        });
+      });
+      
+      it('indexes Stacks', () => {
+        const data = immutable.Map({stack: immutable.Stack(['top', 'middle', 'bottom'])});
+        assert.strictEqual(lens('stack', 0).get(data), 'top');
+        assert.strictEqual(lens('stack', -1).get(data), 'bottom');
+        const result = lens('stack', 1).setInClone(data, 'center');
+        assert.instanceOf(result.get('stack'), immutable.Stack);
+        assert.deepEqual(result.get('stack').toJS(), ['top', 'center', 'bottom']);
+        assert.deepEqual(lens('stack').removeInClone(data, 0).get('stack').toJS(), ['middle', 'bottom']);
+      });
+      
+      it('constructs registered Record types by path', () => {
+        const Address = immutable.Record({street: '', city: ''});
+        const containers = new ImmutableContainerFactory()
+          .registerRecord(['people', ImmutableContainerFactory.ANY_KEY, 'address'], Address);
+        const lenses = new lensUtils.Factory({containerFactory: containers});
+        const result = lenses.lens('people', 0, 'address', 'city').setInClone(new immutable.Map(), 'Bedrock');
+        assert.instanceOf(result.get('people'), immutable.List);
+        assert.instanceOf(result.getIn(['people', 0]), immutable.Map);
+        assert.instanceOf(result.getIn(['people', 0, 'address']), Address);
+        assert.strictEqual(result.getIn(['people', 0, 'address', 'city']), 'Bedrock');
+      });
+      
+      it('constructs Sets where indicated', () => {
+        const containers = new ImmutableContainerFactory({Set: immutable.OrderedSet}, {
+          useSet: (keys) => keys[keys.length - 2] === 'tags',
+        });
+        const lenses = new lensUtils.Factory({containerFactory: containers});
+        const result = lenses.lens('tags', 'admin').setInClone(new immutable.Map(), true);
+        assert.instanceOf(result.get('tags'), immutable.OrderedSet);
+        assert.deepEqual(result.get('tags').toJS(), ['admin']);
+      });
+      
+      it('edits immutable Lists as sequences', () => {
+        const data = immutable.fromJS({items: ['a', 'b', 'c']});
+        const L = lens('items');
+        assert.deepEqual(L.insertInClone(data, 1, 'x').toJS(), {items: ['a', 'x', 'b', 'c']});
+        assert.deepEqual(L.removeInClone(data, 0).toJS(), {items: ['b', 'c']});
+        assert.deepEqual(L.appendInClone(data, 'd').toJS(), {items: ['a', 'b', 'c', 'd']});
+        assert.deepEqual(L.moveInClone(data, 2, 0).toJS(), {items: ['c', 'a', 'b']});
+        assert.instanceOf(L.removeInClone(data, 0).get('items'), immutable.List);
+        assert.deepEqual(data.toJS(), {items: ['a', 'b', 'c']});
+      });
+      
       it('instantiates immutable Lists', () => {
         const street0 = '360 Tied Key';
         const im_result = lf.lens('address', 'street', 0).setInClone(new immutable.Map(), street0);
@@ -1751,5 +3499,5 @@ function testSequence(loaderName, subjects) {
   });
 }
 
-testSequence('CommonJS', { lens, lensUtils, immutableLensFactory, loggerInternals });
+testSequence('CommonJS', { lens, lensUtils, immutableLensFactory, ImmutableContainerFactory, loggerInternals });
 testSequence('ESM', loadEsmSubjects());
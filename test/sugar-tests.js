@@ -133,6 +133,193 @@ function testSequence(loaderName, subjects) {
         });
       });
       
+      describe('multi-focus operators', () => {
+        const data = {
+          orders: [
+            {id: 'a', items: [{sku: 'a1'}, {sku: 'a2'}, {sku: 'a3'}, {sku: 'a4'}]},
+            {id: 'b', items: [{sku: 'b1'}, {sku: 'b2'}]},
+          ],
+          meta: {name: 'root', owner: {name: 'Fred', pets: [{name: 'Dino'}]}},
+        };
+        
+        it('creates a Lens when no multi-focus operator is used', () => {
+          assert.instanceOf(A`$.orders[0].items`, Lens);
+        });
+        
+        it('accepts a bracketed wildcard over an Array', () => {
+          assert.deepEqual(A`$.orders[*].id`.getAll(data), ['a', 'b']);
+        });
+        
+        it('accepts a dotted wildcard over an Object', () => {
+          assert.deepEqual(A`$.meta.owner.*`.getAll(data), ['Fred', data.meta.owner.pets]);
+        });
+        
+        it('removes several values of an Object in one transform', () => {
+          const subject = {scores: {a: 1, b: -2, c: 3, d: -4}};
+          const result = A`$.scores.*`.xformInClone_maybe(subject, v_m => (v_m.just < 0 ? {} : v_m));
+          assert.deepEqual(result, {scores: {a: 1, c: 3}});
+          assert.deepEqual(subject.scores, {a: 1, b: -2, c: 3, d: -4});
+        });
+        
+        it('accepts a slice', () => {
+          assert.deepEqual(A`$.orders[0].items[1:3].sku`.getAll(data), ['a2', 'a3']);
+        });
+        
+        it('accepts a slice with negative bounds', () => {
+          assert.deepEqual(A`$.orders[0].items[-2:].sku`.getAll(data), ['a3', 'a4']);
+        });
+        
+        it('accepts a slice with a step', () => {
+          assert.deepEqual(A`$.orders[0].items[::2].sku`.getAll(data), ['a1', 'a3']);
+        });
+        
+        it('accepts a slice with a negative step', () => {
+          assert.deepEqual(A`$.orders[1].items[::-1].sku`.getAll(data), ['b2', 'b1']);
+        });
+        
+        it('accepts recursive descent to a name', () => {
+          assert.deepEqual(A`$..name`.getAll(data), ['root', 'Fred', 'Dino']);
+        });
+        
+        it('accepts recursive descent to a subscript', () => {
+          assert.deepEqual(A`$..[1].sku`.getAll(data), ['a2', 'b2']);
+        });
+        
+        it('accepts recursive descent to a wildcard', () => {
+          assert.deepEqual(A`$..*`.getAll({a: {b: 1}}), [{b: 1}, 1]);
+        });
+
+        it('skips Objects without a prototype in recursive descent', () => {
+          const bare = Object.assign(Object.create(null), {name: 'hidden'});
+          const subject = {name: 'root', bare, kids: [{name: 'Fred'}]};
+          assert.deepEqual(A`$..name`.getAll({root: Object.create(null)}), []);
+          assert.deepEqual(A`$..name`.getAll(subject), ['root', 'Fred']);
+          const result = A`$..name`.xformInClone(subject, name => name.toUpperCase());
+          assert.strictEqual(result.bare, bare);
+          assert.deepEqual(A`$..name`.getAll(result), ['ROOT', 'FRED']);
+        });
+
+        it('composes multiple multi-focus operators', () => {
+          assert.deepEqual(A`$.orders[*].items[1:3].sku`.getAll(data), ['a2', 'a3', 'b2']);
+        });
+        
+        it('transforms all matching slots', () => {
+          const L = A`$.orders[*].items[1:3].sku`;
+          const result = L.xformInClone(data, sku => sku.toUpperCase());
+          assert.deepEqual(L.getAll(result), ['A2', 'A3', 'B2']);
+          assert.strictEqual(result.orders[0].items[0], data.orders[0].items[0]);
+          assert.strictEqual(result.meta, data.meta);
+        });
+        
+        it('transforms property values selected by a wildcard', () => {
+          const result = A`$.meta.owner.*`.xformInClone({meta: {owner: {a: 1, b: 2}}}, n => n * 10);
+          assert.deepEqual(result, {meta: {owner: {a: 10, b: 20}}});
+        });
+        
+        it('sets only existing slots through recursive descent', () => {
+          const result = A`$..name`.setInClone(data, 'X');
+          assert.deepEqual(A`$..name`.getAll(result), ['X', 'X', 'X']);
+          assert.notProperty(result.orders[0], 'name');
+          assert.strictEqual(result.orders, data.orders);
+        });
+        
+        it('uses intercalated values alongside multi-focus operators', () => {
+          const key = 'sku';
+          assert.deepEqual(A`$.orders[*].items[0][${key}]`.getAll(data), ['a1', 'b1']);
+        });
+        
+        it('throws an exception with a diagnostic for an invalid slice', () => {
+          assert.throws(() => A`$.orders[1:2:3:4]`, /slice[\s\S]*\^\^\^/);
+        });
+        
+        it('throws an exception for an incomplete recursive descent', () => {
+          assert.throws(() => A`$..`);
+        });
+      });
+      
+      describe('filter expressions', () => {
+        const data = {
+          orders: [
+            {id: 1, status: 'open', total: 5},
+            {id: 2, status: 'closed', total: 50},
+            {id: 3, status: 'open', total: 500, rush: false},
+          ],
+          byCode: {x: {open: true}, y: {open: false}},
+        };
+        
+        it('selects Array elements by equality', () => {
+          assert.deepEqual(A`$.orders[?(@.status == 'open')].id`.getAll(data), [1, 3]);
+        });
+        
+        it('selects Array elements by inequality', () => {
+          assert.deepEqual(A`$.orders[?(@.status != "open")].id`.getAll(data), [2]);
+        });
+        
+        it('selects Array elements by ordering comparison', () => {
+          assert.deepEqual(A`$.orders[?(@.total >= 50)].id`.getAll(data), [2, 3]);
+          assert.deepEqual(A`$.orders[?(@.total < 50)].id`.getAll(data), [1]);
+        });
+        
+        it('selects property values of an Object', () => {
+          assert.deepEqual(A`$.byCode[?(@.open == true)]`.getAll(data), [{open: true}]);
+        });
+        
+        it('supports existence checks', () => {
+          assert.deepEqual(A`$.orders[?(@.rush)].id`.getAll(data), [3]);
+        });
+        
+        it('supports boolean operators and grouping', () => {
+          const L = A`$.orders[?(!@.rush && (@.id == 1 || @.total > 10))].id`;
+          assert.deepEqual(L.getAll(data), [1, 2]);
+        });
+        
+        it('supports subscripts in paths', () => {
+          assert.deepEqual(A`$.orders[?(@['status'] == 'closed')].id`.getAll(data), [2]);
+        });
+        
+        it('supports intercalated values', () => {
+          const id = 3;
+          assert.deepEqual(A`$.orders[?(@.id == ${id})].total`.getAll(data), [500]);
+        });
+        
+        it('supports intercalated values as path subscripts', () => {
+          const key = 'status';
+          assert.deepEqual(A`$.orders[?(@[${key}] == ${'closed'})].id`.getAll(data), [2]);
+        });
+        
+        it('does not end the filter at a parenthesis and bracket within a string', () => {
+          const subject = [{name: 'a)]'}, {name: 'b'}];
+          assert.deepEqual(A`$[?(@.name == 'a)]')]`.getAll(subject), [subject[0]]);
+        });
+        
+        it('transforms only the selected elements', () => {
+          const result = A`$.orders[?(@.status == 'open')].total`.xformInClone(data, t => t * 2);
+          assert.deepEqual(result.orders.map(o => o.total), [10, 50, 1000]);
+          assert.strictEqual(result.orders[1], data.orders[1]);
+          assert.strictEqual(result.byCode, data.byCode);
+        });
+        
+        it('throws an exception with a diagnostic for an invalid filter', () => {
+          assert.throws(
+            () => A`$.orders[?(@.status = 'open')]`,
+            /\n {4}\$\.orders\[\?\(@\.status = 'open'\)\]\n {24}\^/
+          );
+        });
+        
+        it('throws an exception for root references', () => {
+          assert.throws(() => A`$.orders[?(@.id == $.id)]`, /Root/);
+        });
+        
+        it('caches the compiled filter', () => {
+          const adjustAllocation = cache.addCapacity(1), used = cache.used;
+          for (const id of [1, 2, 3]) {
+            A`$.orders[?(@.id == ${id} && @.status == 'cached')]`;
+          }
+          assert.strictEqual(cache.used, used + 1);
+          adjustAllocation();
+        });
+      });
+      
       it('throws an exception if the path ends prematurely', () => {
         assert.throws( () => A `$.foo['bar\']` );
       });